@@ -2,6 +2,8 @@ class ClaimWebApp {
     constructor() {
         this.mondayClient = new MondayClient();
         this.currentWeekStart = this.getMonday(new Date());
+        this.viewMode = localStorage.getItem('viewMode') === 'month' ? 'month' : 'week';
+        this.currentMonthStart = this.getMonthStart(new Date());
         this.user = null;
         this.entries = new Map();
         this.currentEditingDate = null;
@@ -15,20 +17,96 @@ class ClaimWebApp {
         this.expiredPairs = new Set(); // Set of "customer|workItem" strings
         this.loadCustomerWorkPairs();
 
+        // How often and how recently each pair was used, per year: year -> { "customer|workItem": stats }
+        this.pairUsageByYear = {};
+        this.pairUsageCache = null;
+        this.loadPairUsage();
+
+        // Project catalog board (customer, work item, active, billable) maintained outside this app. labels holds
+        // the comma separated status/text labels that mean active or billable; checkbox columns need none
+        this.catalogSettings = {
+            boardId: '',
+            columns: { customer: '', workItem: 'name', active: '', billable: '' },
+            labels: { active: '', billable: '' }
+        };
+        this.catalog = { pairs: [], syncedAt: null };
+        this.catalogIndex = null;
+        this.loadCatalogSettings();
+        this.loadCatalog();
+
+        // Colleagues picked for the team view: [{ id, name }]
+        this.teamMembers = [];
+        this.loadTeamMembers();
+
+        // Board profiles (board ID, column mapping, status index mapping)
+        this.boardProfiles = new Map(); // profileId -> profile
+        this.activeBoardProfileId = 'default';
+        this.loadBoardProfiles();
+        this.mondayClient.setBoardId(this.getActiveBoardProfile().boardId);
+
+        // Recurring entry templates (entry fields plus the weekdays they recur on)
+        this.entryTemplates = [];
+        this.loadEntryTemplates();
+
+        // Timesheet settings: validation limits and the expected hours per weekday (0 = Sunday)
+        this.timesheetSettings = {
+            maxDailyHours: 10,
+            hoursIncrement: 0.5,
+            weeklyHours: { 0: 0, 1: 8, 2: 8, 3: 8, 4: 8, 5: 8, 6: 0 },
+            holidayCustomer: 'Internal',
+            holidayWorkItem: 'Holiday'
+        };
+        this.loadTimesheetSettings();
+
+        // Public holiday calendar: date -> holiday name
+        this.holidays = new Map();
+        this.loadHolidays();
+
+        // 'filtered' fetches only the user's items server-side, 'full' scans the whole year group
+        this.queryMode = localStorage.getItem('queryMode') === 'full' ? 'full' : 'filtered';
+
         // Data caching system
         this.dataCache = {
-            items: [], // All items from Monday.com
-            lastUpdated: null,
-            currentYear: null,
+            years: new Map(), // year -> { items, lastUpdated } for each year group loaded
             cacheDuration: 5 * 60 * 1000, // 5 minutes cache
             userData: new Map() // user -> { items, lastUpdated }
         };
 
+        // Offline outbox: create/update/delete operations waiting for Monday.com to be reachable
+        this.outbox = [];
+        this.isReplayingOutbox = false;
+        this.loadOutbox();
+
+        // Persistent IndexedDB cache, kept current through activity-log delta syncs
+        this.itemCacheStore = new ItemCacheStore();
+        this.pendingSyncItemIds = new Set(); // items written by this app since the last sync
+
+        this.spreadsheetExporter = new SpreadsheetExporter();
+
+        // Undo/redo stacks of changes sent to Monday.com in this session
+        this.history = { undo: [], redo: [], maxSize: 50 };
+        // Set while an undo or redo runs; a second one would apply the same record again
+        this.isApplyingHistory = false;
+        this.undoToastTimer = null;
+
         // Autocomplete event handlers storage
         this.customerInputHandler = null;
         this.customerFocusHandler = null;
         this.workItemFocusHandler = null;
+        this.workItemInputHandler = null;
+        this.workItemChangeHandler = null;
         this.suggestionsClickHandler = null;
+        this.suggestionsKeyHandler = null;
+        this.suggestionsInput = null;
+
+        // Day targeted by keyboard shortcuts
+        this.focusedDate = null;
+
+        // Set while the entry form is being saved, so a repeated Enter does not save twice
+        this.isSavingEntry = false;
+
+        // Dates whose entries have been loaded; other days are not validated
+        this.loadedDates = new Set();
 
         // Loading progress tracking
         this.loadingStats = {
@@ -60,34 +138,129 @@ class ClaimWebApp {
     }
 
     // Data caching methods
-    isCacheValid() {
-        if (!this.dataCache.lastUpdated) return false;
+    isCacheValid(year) {
+        const cached = this.dataCache.years.get(year);
+        if (!cached || !cached.lastUpdated) return false;
         const now = Date.now();
-        return (now - this.dataCache.lastUpdated) < this.dataCache.cacheDuration;
+        return (now - cached.lastUpdated) < this.dataCache.cacheDuration;
     }
 
-    getCachedData() {
-        if (this.isCacheValid() && this.dataCache.items.length > 0) {
-            this.safeLog(`✅ Using cached data (${this.dataCache.items.length} items from ${new Date(this.dataCache.lastUpdated).toLocaleTimeString()})`);
-            return this.dataCache.items;
+    getCachedData(year) {
+        if (this.isCacheValid(year)) {
+            const cached = this.dataCache.years.get(year);
+            this.safeLog(`✅ Using cached data for ${year} (${cached.items.length} items from ${new Date(cached.lastUpdated).toLocaleTimeString()})`);
+            return cached.items;
         }
         return null;
     }
 
     setCachedData(items, year) {
-        this.dataCache.items = items;
-        this.dataCache.lastUpdated = Date.now();
-        this.dataCache.currentYear = year;
+        this.dataCache.years.set(year, { items, lastUpdated: Date.now() });
         this.safeLog(`💾 Cached ${items.length} items for year ${year}`);
     }
 
     clearCache() {
-        this.dataCache.items = [];
-        this.dataCache.lastUpdated = null;
-        this.dataCache.currentYear = null;
+        this.dataCache.years.clear();
         this.safeLog('🧹 Cache cleared');
     }
 
+    async clearAllCaches() {
+        this.clearCache();
+        await this.itemCacheStore.clear();
+        this.showNotification('Cache cleared', 'success');
+    }
+
+    removeCachedItem(itemId) {
+        this.dataCache.years.forEach(cached => {
+            cached.items = cached.items.filter(item => String(item.id) !== String(itemId));
+        });
+    }
+
+    // Items written by the app are re-fetched on the next delta sync even if the activity log lags
+    markItemForSync(itemId) {
+        if (itemId) {
+            this.pendingSyncItemIds.add(String(itemId));
+        }
+    }
+
+    // Per year: years without their own group share the fallback group, but not its snapshot.
+    // Per query mode: a filtered snapshot holds only the user's items, a full one the whole group.
+    getItemCacheKey(profile, groupId, year) {
+        return this.itemCacheStore.buildKey(profile.boardId, groupId, year, this.queryMode, this.user.id);
+    }
+
+    // Restore a year group's items from IndexedDB and bring them up to date with a delta sync.
+    // Returns null when there is no usable snapshot and a full load is needed.
+    async restoreYearItems(profile, groupId, year) {
+        const key = this.getItemCacheKey(profile, groupId, year);
+        const snapshot = await this.itemCacheStore.getSnapshot(key);
+        if (!snapshot) {
+            return null;
+        }
+
+        this.safeLog(`📦 Restored ${snapshot.items.length} items for ${year} from persistent cache (last sync ${new Date(snapshot.lastSyncedAt).toLocaleString()})`);
+        this.updateLoadingDetails(`Syncing changes since ${new Date(snapshot.lastSyncedAt).toLocaleString()}...`);
+
+        try {
+            const result = await this.syncItemsDelta(profile, groupId, year, snapshot);
+            if (!result) {
+                return null;
+            }
+
+            this.safeLog(`✅ Delta sync complete for ${year}: ${result.changedCount} changed items`);
+            return result.items;
+        } catch (error) {
+            this.safeLog(`⚠️ Delta sync failed, falling back to full load: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    // IDs of the items touched by activity log events
+    getLoggedItemIds(logs) {
+        const itemIds = new Set();
+        logs.forEach(log => {
+            try {
+                const data = JSON.parse(log.data);
+                const itemId = data.pulse_id || data.item_id;
+                if (itemId) itemIds.add(String(itemId));
+            } catch (e) {
+                // Events without item data are irrelevant here
+            }
+        });
+        return itemIds;
+    }
+
+    // Re-fetch only the items touched since the snapshot was taken
+    async syncItemsDelta(profile, groupId, year, snapshot) {
+        const syncStartedAt = Date.now();
+        // Overlap the previous sync slightly so events logged late are not missed
+        const from = new Date(snapshot.lastSyncedAt - 60 * 1000).toISOString();
+        const logs = await this.mondayClient.getActivityLogs(profile.boardId, from);
+
+        if (logs.length >= 10000) {
+            this.safeLog('Too many changes since last sync for a delta update', 'warn');
+            return null;
+        }
+
+        const changedIds = new Set([...this.pendingSyncItemIds, ...this.getLoggedItemIds(logs)]);
+
+        let items = snapshot.items;
+        if (changedIds.size > 0) {
+            const freshItems = await this.mondayClient.getItemsByIds(Array.from(changedIds));
+            items = items.filter(item => !changedIds.has(String(item.id)));
+
+            freshItems.forEach(item => {
+                if (item.state && item.state !== 'active') return;
+                if (item.group && item.group.id !== groupId) return;
+                if (this.queryMode === 'filtered' && !this.debugIsUserItem(item).isMatch) return;
+                items.push(item);
+            });
+        }
+
+        await this.itemCacheStore.putSnapshot(this.getItemCacheKey(profile, groupId, year), items, syncStartedAt);
+        return { items, changedCount: changedIds.size };
+    }
+
     // Customer-work item memory methods
     loadCustomerWorkPairs() {
         try {
@@ -135,7 +308,7 @@ class ClaimWebApp {
         const pairKey = `${customer}|${workItem}`;
 
         // Skip if this pair is expired
-        if (this.expiredPairs.has(pairKey)) {
+        if (this.isPairExpired(customer, workItem)) {
             return;
         }
 
@@ -174,25 +347,44 @@ class ClaimWebApp {
         this.safeLog(`Unmarked pair as expired: ${customer} - ${workItem}`);
     }
 
+    // Pairs in the catalog expire with its active flag; other pairs only when marked expired here
+    isPairExpired(customer, workItem) {
+        const catalogPair = this.getCatalogPair(customer, workItem);
+        if (catalogPair) return !catalogPair.active;
+        return this.expiredPairs.has(`${customer}|${workItem}`);
+    }
+
+    // Learned pairs plus the active catalog pairs; catalog pairs carry catalog: true
     getCustomerWorkPairs() {
-        const pairs = [];
+        const pairs = new Map();
         for (const [customer, workItems] of this.customerWorkPairs.entries()) {
             for (const workItem of workItems) {
-                const pairKey = `${customer}|${workItem}`;
-                if (!this.expiredPairs.has(pairKey)) {
-                    pairs.push({ customer, workItem });
+                if (!this.isPairExpired(customer, workItem)) {
+                    pairs.set(`${customer}|${workItem}`.toLowerCase(), { customer, workItem, catalog: false });
                 }
             }
         }
-        return pairs.sort((a, b) => a.customer.localeCompare(b.customer));
+
+        // The catalog's spelling wins when a learned pair differs only in case
+        this.catalog.pairs.filter(pair => pair.active).forEach(pair => {
+            pairs.set(`${pair.customer}|${pair.workItem}`.toLowerCase(), { customer: pair.customer, workItem: pair.workItem, catalog: true });
+        });
+
+        return Array.from(pairs.values()).sort((a, b) => a.customer.localeCompare(b.customer));
     }
 
     getExpiredCustomerWorkPairs() {
         const expiredPairs = [];
         for (const pairKey of this.expiredPairs) {
             const [customer, workItem] = pairKey.split('|');
-            expiredPairs.push({ customer, workItem });
+            if (!this.getCatalogPair(customer, workItem)) {
+                expiredPairs.push({ customer, workItem, catalog: false });
+            }
         }
+
+        this.catalog.pairs.filter(pair => !pair.active).forEach(pair => {
+            expiredPairs.push({ customer: pair.customer, workItem: pair.workItem, catalog: true });
+        });
         return expiredPairs.sort((a, b) => a.customer.localeCompare(b.customer));
     }
 
@@ -207,1402 +399,6994 @@ class ClaimWebApp {
     }
 
     getCustomers() {
-        return Array.from(this.customerWorkPairs.keys()).sort();
+        return Array.from(new Set(this.getCustomerWorkPairs().map(pair => pair.customer))).sort();
     }
 
     getWorkItemsForCustomer(customer) {
-        if (this.customerWorkPairs.has(customer)) {
-            return Array.from(this.customerWorkPairs.get(customer)).sort();
-        }
-        return [];
+        return this.getCustomerWorkPairs()
+            .filter(pair => pair.customer === customer)
+            .map(pair => pair.workItem)
+            .sort();
     }
 
-    initializeApp() {
-        this.safeLog('🚀 Initializing ClaimWebApp...');
-        this.updateStatus('Initializing');
+    // Project catalog methods
+    loadCatalogSettings() {
+        try {
+            const stored = localStorage.getItem('catalogSettings');
+            if (stored) {
+                const settings = JSON.parse(stored);
+                this.catalogSettings = {
+                    boardId: String(settings.boardId || ''),
+                    columns: { ...this.catalogSettings.columns, ...(settings.columns || {}) },
+                    labels: { ...this.catalogSettings.labels, ...(settings.labels || {}) }
+                };
+            }
+        } catch (error) {
+            this.safeLog('Failed to load catalog settings from storage', 'warn');
+        }
+    }
 
+    saveCatalogSettings() {
         try {
-            this.bindEvents();
-            this.loadStoredApiKey();
-            this.renderCalendarView();
-            this.startResponsivenessCheck();
-            this.safeLog('✅ App initialized successfully');
-            this.updateStatus('Ready');
+            localStorage.setItem('catalogSettings', JSON.stringify(this.catalogSettings));
         } catch (error) {
-            this.safeLog(`❌ App initialization failed: ${error.message}`, 'error');
-            this.updateStatus('Error', 'error');
-            this.hideLoading();
+            this.safeLog('Failed to save catalog settings to storage', 'warn');
         }
     }
 
-    // Safe logging method to prevent errors
-    safeLog(message, type = 'info') {
+    loadCatalog() {
         try {
-            if (this.logger && this.logger.log) {
-                this.logger.log(message, type);
-            } else {
-                console.log(`[${type}] ${message}`);
+            const stored = localStorage.getItem('customerWorkCatalog');
+            if (stored) {
+                this.catalog = JSON.parse(stored);
+                this.catalogIndex = null;
+                this.safeLog(`Loaded ${this.catalog.pairs.length} catalog pairs from storage`);
             }
-        } catch (e) {
-            console.log(`[${type}] ${message}`);
+        } catch (error) {
+            this.safeLog('Failed to load the catalog from storage', 'warn');
+            this.catalog = { pairs: [], syncedAt: null };
         }
     }
 
-    bindEvents() {
-        this.safeLog('Binding events...');
-
-        // API Key events
-        const saveApiKeyBtn = document.getElementById('saveApiKey');
-        const apiKeyInput = document.getElementById('apiKey');
-
-        if (saveApiKeyBtn) saveApiKeyBtn.addEventListener('click', () => this.saveApiKey());
-        if (apiKeyInput) apiKeyInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.saveApiKey();
-        });
-
-        // Navigation events
-        const prevWeekBtn = document.getElementById('prevWeek');
-        const nextWeekBtn = document.getElementById('nextWeek');
-        const weekPicker = document.getElementById('weekPicker');
-        const queryDataBtn = document.getElementById('queryData');
-
-        if (prevWeekBtn) prevWeekBtn.addEventListener('click', () => this.previousWeek());
-        if (nextWeekBtn) nextWeekBtn.addEventListener('click', () => this.nextWeek());
-        if (weekPicker) weekPicker.addEventListener('change', (e) => this.selectWeek(e.target.value));
-        if (queryDataBtn) queryDataBtn.addEventListener('click', () => this.loadData(true)); // Force reload
-
-        // Debug events
-        const toggleDebugBtn = document.getElementById('toggleDebug');
-        const forceLoadBtn = document.getElementById('forceLoad');
-        const testConnectionBtn = document.getElementById('testConnection');
-        const clearCacheBtn = document.getElementById('clearCache');
-
-        if (toggleDebugBtn) toggleDebugBtn.addEventListener('click', () => this.toggleDebug());
-        if (forceLoadBtn) forceLoadBtn.addEventListener('click', () => this.loadData(true)); // Force reload
-        if (testConnectionBtn) testConnectionBtn.addEventListener('click', () => this.testConnection());
-
-        // Add Clear Cache button to debug panel if it doesn't exist
-        if (!clearCacheBtn && document.querySelector('.debug-panel')) {
-            const debugPanel = document.querySelector('.debug-panel');
-            const clearCacheBtn = document.createElement('button');
-            clearCacheBtn.id = 'clearCache';
-            clearCacheBtn.className = 'btn-secondary';
-            clearCacheBtn.innerHTML = '<i class="fas fa-broom"></i> Clear Cache';
-            clearCacheBtn.addEventListener('click', () => this.clearCache());
-            debugPanel.appendChild(clearCacheBtn);
-        } else if (clearCacheBtn) {
-            clearCacheBtn.addEventListener('click', () => this.clearCache());
+    saveCatalog() {
+        try {
+            localStorage.setItem('customerWorkCatalog', JSON.stringify(this.catalog));
+        } catch (error) {
+            this.safeLog('Failed to save the catalog to storage', 'warn');
         }
+    }
 
-        // Modal events
-        const closeModalBtn = document.querySelector('.close-modal');
-        const cancelEntryBtn = document.getElementById('cancelEntry');
-        const saveEntryBtn = document.getElementById('saveEntry');
-        const updateEntryBtn = document.getElementById('updateEntry');
-        const addAnotherBtn = document.getElementById('addAnother');
-
-        if (closeModalBtn) closeModalBtn.addEventListener('click', () => this.closeModal());
-        if (cancelEntryBtn) cancelEntryBtn.addEventListener('click', () => this.closeModal());
-        if (saveEntryBtn) saveEntryBtn.addEventListener('click', () => this.saveEntry());
-        if (updateEntryBtn) updateEntryBtn.addEventListener('click', () => this.updateEntry());
-        if (addAnotherBtn) addAnotherBtn.addEventListener('click', () => this.saveEntry(true));
+    isCatalogConfigured() {
+        return Boolean(this.catalogSettings.boardId);
+    }
 
-        // Bulk actions
-        const addMultipleBtn = document.getElementById('addMultipleEntries');
-        const clearAllBtn = document.getElementById('clearAll');
+    // Catalog entry of a pair, compared case-insensitively; null when the catalog does not list it
+    getCatalogPair(customer, workItem) {
+        if (!this.catalogIndex) {
+            this.catalogIndex = new Map(this.catalog.pairs.map(pair =>
+                [`${pair.customer.toLowerCase()}|${pair.workItem.toLowerCase()}`, pair]
+            ));
+        }
+        return this.catalogIndex.get(`${String(customer || '').trim().toLowerCase()}|${String(workItem || '').trim().toLowerCase()}`) || null;
+    }
 
-        if (addMultipleBtn) addMultipleBtn.addEventListener('click', () => this.openMultiEntryModal());
-        if (clearAllBtn) clearAllBtn.addEventListener('click', () => this.clearAllEntries());
+    // 'name' reads the item name, anything else a column's text
+    getCatalogCellText(item, columnId) {
+        if (columnId === 'name') return (item.name || '').trim();
+        const column = (item.column_values || []).find(col => col.id === columnId);
+        return column && column.text ? column.text.trim() : '';
+    }
 
-        // Customer-work pair management
-        const managePairsBtn = document.getElementById('managePairs');
-        if (managePairsBtn) {
-            managePairsBtn.addEventListener('click', () => this.openCustomerWorkPairsModal());
-        }
+    // Checkbox column as a flag, or a status or text column that is set when its text is one of the comma
+    // separated labels (any case); fallback when the column is not configured, or no labels are set for it
+    getCatalogFlag(item, columnId, labels, fallback) {
+        if (!columnId) return fallback;
 
-        // Activity type selection
-        document.querySelectorAll('.activity-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                const value = e.target.getAttribute('data-value');
-                const activityTypeSelect = document.getElementById('activityType');
-                if (activityTypeSelect) activityTypeSelect.value = value;
-            });
-        });
+        const column = (item.column_values || []).find(col => col.id === columnId);
+        if (!column) return fallback;
 
-        // Modal backdrop click
-        const entryModal = document.getElementById('entryModal');
-        if (entryModal) {
-            entryModal.addEventListener('click', (e) => {
-                if (e.target.id === 'entryModal') {
-                    this.closeModal();
-                }
-            });
+        // An unchecked checkbox has no value at all
+        if (column.type === 'checkbox') {
+            try {
+                const value = JSON.parse(column.value);
+                return Boolean(value) && (value.checked === true || value.checked === 'true');
+            } catch (e) {
+                return false;
+            }
         }
 
-        // Initialize autocomplete for customer and work item fields
-        this.initializeAutocomplete();
-
-        this.safeLog('✅ All events bound successfully');
-    }
+        const values = String(labels || '').split(',').map(label => label.trim().toLowerCase()).filter(Boolean);
+        if (values.length === 0) return fallback;
 
-    updateStatus(status, type = 'ready') {
-        const statusElement = document.getElementById('appStatus');
-        if (statusElement) {
-            statusElement.textContent = status;
-            statusElement.className = `status-indicator ${type}`;
-        }
+        return values.includes((column.text || '').trim().toLowerCase());
     }
 
-    startResponsivenessCheck() {
-        this.safeLog('Starting responsiveness check...');
-        if (this.logger && this.logger.startResponsivenessCheck) {
-            this.responsivenessCheck = this.logger.startResponsivenessCheck();
-        }
-    }
+    // Re-read the catalog board; without force only when the stored copy is older than six hours
+    async syncCatalog(force = false) {
+        if (!this.isCatalogConfigured() || !this.user) return;
+        if (!force && this.catalog.syncedAt && Date.now() - this.catalog.syncedAt < 6 * 60 * 60 * 1000) return;
 
-    async testConnection() {
-        this.safeLog('Testing Monday.com connection...');
-        this.updateStatus('Testing Connection', 'loading');
-        this.showLoading('Testing connection...');
+        const { boardId, columns, labels } = this.catalogSettings;
+        const columnIds = [columns.customer, columns.workItem, columns.active, columns.billable]
+            .filter(columnId => columnId && columnId !== 'name');
 
+        if (force) this.showLoading('Syncing project catalog...');
         try {
-            const result = await this.mondayClient.testConnection();
-            if (result.success) {
-                this.safeLog('✅ Connection test successful');
-                this.showNotification('Connection test successful!', 'success');
-                this.updateStatus('Ready');
-            } else {
-                this.safeLog(`❌ Connection test failed: ${result.error}`, 'error');
-                this.showNotification(`Connection failed: ${result.error}`, 'error');
-                this.updateStatus('Connection Failed', 'error');
+            const items = await this.mondayClient.getBoardItems(boardId, columnIds);
+            const pairs = items
+                .map(item => ({
+                    customer: this.getCatalogCellText(item, columns.customer),
+                    workItem: this.getCatalogCellText(item, columns.workItem),
+                    active: this.getCatalogFlag(item, columns.active, labels.active, true),
+                    billable: this.getCatalogFlag(item, columns.billable, labels.billable, null)
+                }))
+                .filter(pair => pair.customer && pair.workItem);
+
+            this.catalog = { pairs, syncedAt: Date.now() };
+            this.catalogIndex = null;
+            this.saveCatalog();
+
+            const activeCount = pairs.filter(pair => pair.active).length;
+            this.safeLog(`📚 Catalog synced: ${activeCount} active, ${pairs.length - activeCount} inactive pairs`);
+            if (force) {
+                this.showNotification(`Catalog synced: ${activeCount} active, ${pairs.length - activeCount} inactive pairs`, 'success');
             }
         } catch (error) {
-            this.safeLog(`❌ Connection test error: ${error.message}`, 'error');
-            this.showNotification(`Connection error: ${error.message}`, 'error');
-            this.updateStatus('Connection Error', 'error');
+            this.safeLog(`Catalog sync failed: ${error.message}`, 'warn');
+            if (force) {
+                this.showNotification(`Failed to sync the catalog: ${this.describeApiError(error)}`, 'error');
+            }
         } finally {
-            this.hideLoading();
+            if (force) this.hideLoading();
         }
     }
 
-    toggleDebug() {
-        if (this.logger && this.logger.toggleLogger) {
-            this.logger.toggleLogger();
+    // Pair usage methods
+    loadPairUsage() {
+        try {
+            const stored = localStorage.getItem('customerWorkPairUsage');
+            this.pairUsageByYear = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            this.safeLog('Failed to load pair usage from storage', 'warn');
+            this.pairUsageByYear = {};
         }
     }
 
-    forceLoad() {
-        this.safeLog('Force loading data...');
-        this.loadData(true);
+    savePairUsage() {
+        try {
+            localStorage.setItem('customerWorkPairUsage', JSON.stringify(this.pairUsageByYear));
+        } catch (error) {
+            this.safeLog('Failed to save pair usage to storage', 'warn');
+        }
     }
 
-    getMonday(date) {
-        const d = new Date(date);
-        const day = d.getDay();
-        const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-        return new Date(d.setDate(diff));
-    }
+    // Count one entry into usage (year -> pair -> { count, lastUsed, activityTypes, hours })
+    recordPairUsage(usageByYear, entry) {
+        if (!entry.customer || !entry.workItem || entry.customer === 'null' || entry.workItem === 'null') return;
 
-    getWeekDates(startDate) {
-        const dates = [];
-        for (let i = 0; i < 7; i++) {
-            const date = new Date(startDate);
-            date.setDate(startDate.getDate() + i);
-            dates.push(date);
+        const year = entry.date.substring(0, 4);
+        const pairKey = `${entry.customer}|${entry.workItem}`;
+        if (!usageByYear[year]) usageByYear[year] = {};
+        if (!usageByYear[year][pairKey]) {
+            usageByYear[year][pairKey] = { count: 0, lastUsed: entry.date, activityTypes: {}, hours: {} };
         }
-        return dates;
+
+        const stats = usageByYear[year][pairKey];
+        stats.count++;
+        if (entry.date > stats.lastUsed) stats.lastUsed = entry.date;
+        stats.activityTypes[entry.activityType] = (stats.activityTypes[entry.activityType] || 0) + 1;
+        stats.hours[entry.hours] = (stats.hours[entry.hours] || 0) + 1;
     }
 
-    formatDate(date) {
-        return date.toISOString().split('T')[0];
+    // The loaded years are recounted from scratch, so reloading never counts an entry twice
+    replacePairUsage(usageByYear, years) {
+        new Set([...years, ...Object.keys(usageByYear)]).forEach(year => {
+            this.pairUsageByYear[year] = usageByYear[year] || {};
+        });
+        this.pairUsageCache = null;
+        this.savePairUsage();
     }
 
-    formatDisplayDate(date) {
-        return date.toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+    // All years combined: "customer|workItem" -> stats
+    getPairUsageMap() {
+        if (this.pairUsageCache) return this.pairUsageCache;
+
+        const usage = new Map();
+        Object.values(this.pairUsageByYear).forEach(pairs => {
+            Object.entries(pairs).forEach(([pairKey, stats]) => {
+                const combined = usage.get(pairKey) || { count: 0, lastUsed: '', activityTypes: {}, hours: {} };
+                combined.count += stats.count;
+                if (stats.lastUsed > combined.lastUsed) combined.lastUsed = stats.lastUsed;
+                [['activityTypes', stats.activityTypes], ['hours', stats.hours]].forEach(([field, counts]) => {
+                    Object.entries(counts).forEach(([value, count]) => {
+                        combined[field][value] = (combined[field][value] || 0) + count;
+                    });
+                });
+                usage.set(pairKey, combined);
+            });
         });
+
+        this.pairUsageCache = usage;
+        return usage;
     }
 
-    formatShortDate(date) {
-        return date.toLocaleDateString('en-US', {
-            weekday: 'short',
-            month: 'short',
-            day: 'numeric'
+    getCustomerUsage(customer) {
+        const usage = { count: 0, lastUsed: '' };
+        this.getPairUsageMap().forEach((stats, pairKey) => {
+            if (pairKey.substring(0, pairKey.lastIndexOf('|')) !== customer) return;
+            usage.count += stats.count;
+            if (stats.lastUsed > usage.lastUsed) usage.lastUsed = stats.lastUsed;
         });
+        return usage;
     }
 
-    isWeekend(date) {
-        const day = date.getDay();
-        return day === 0 || day === 6;
+    // The activity type and hours most often logged on a pair; null when it was never used
+    getUsualPairValues(customer, workItem) {
+        const stats = this.getPairUsageMap().get(`${customer}|${workItem}`);
+        if (!stats) return null;
+
+        const mostFrequent = counts => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+        return {
+            activityType: mostFrequent(stats.activityTypes),
+            hours: mostFrequent(stats.hours),
+            count: stats.count
+        };
     }
 
-    renderCalendarView() {
-        this.safeLog('Rendering calendar view...');
-        const calendarGrid = document.getElementById('calendarGrid');
-        if (!calendarGrid) {
-            this.safeLog('❌ Calendar grid element not found', 'error');
-            return;
-        }
-
-        const weekDates = this.getWeekDates(this.currentWeekStart);
+    // Frequency and recency bonus added to a match score: at most 5 + 4, below the 10 points between match
+    // kinds in fuzzyMatch, so it only orders matches of the same kind
+    getUsageBoost(usage) {
+        if (!usage || usage.count === 0) return 0;
 
-        const weekPicker = document.getElementById('weekPicker');
-        const weekRange = document.getElementById('weekRange');
+        const daysSinceUse = (Date.now() - new Date(`${usage.lastUsed}T12:00:00`).getTime()) / (24 * 60 * 60 * 1000);
+        const frequency = Math.min(5, Math.log2(1 + usage.count));
+        const recency = Math.max(0, 4 - daysSinceUse / 14);
+        return frequency + recency;
+    }
 
-        if (weekPicker) weekPicker.value = this.formatDate(this.currentWeekStart);
-        if (weekRange) weekRange.textContent = `${this.formatShortDate(weekDates[0])} - ${this.formatShortDate(weekDates[6])}`;
+    // Offline outbox methods
+    loadOutbox() {
+        try {
+            const stored = localStorage.getItem('entryOutbox');
+            this.outbox = stored ? JSON.parse(stored) : [];
+
+            // Operations queued before they recorded their board belong to the board that was active then
+            const profile = this.getActiveBoardProfile();
+            this.outbox.forEach(operation => {
+                if (!operation.boardId) {
+                    operation.boardId = profile.boardId;
+                    operation.profileId = profile.id;
+                }
+            });
 
-        let html = '';
+            if (this.outbox.length > 0) {
+                this.safeLog(`Loaded ${this.outbox.length} pending changes from the outbox`);
+            }
+        } catch (error) {
+            this.safeLog('Failed to load outbox from storage', 'warn');
+            this.outbox = [];
+        }
+    }
 
-        weekDates.forEach(date => {
-            const dateStr = this.formatDate(date);
-            const dayEntries = this.entries.get(dateStr) || [];
-            const dayTotalHours = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
-            const isWeekend = this.isWeekend(date);
+    saveOutbox() {
+        try {
+            localStorage.setItem('entryOutbox', JSON.stringify(this.outbox));
+        } catch (error) {
+            this.safeLog('Failed to save outbox to storage', 'warn');
+        }
+        this.updateOutboxIndicator();
+    }
 
-            this.safeLog(`Rendering date ${dateStr}: ${dayEntries.length} entries, weekend: ${isWeekend}`);
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
 
-            html += `
-                <div class="calendar-day ${isWeekend ? 'weekend-day' : ''}" data-date="${dateStr}">
-                    <div class="calendar-day-header">
-                        <div>
-                            <div class="day-name">${date.toLocaleDateString('en-US', { weekday: 'long' })}</div>
-                            <div class="day-date">${this.formatDisplayDate(date)}</div>
-                        </div>
-                        <div class="day-total">${dayTotalHours.toFixed(1)}h</div>
-                    </div>
+    isNetworkError(error) {
+        return error instanceof MondayApiError && error.type === MondayApiError.TYPES.NETWORK;
+    }
 
-                    <div class="entries-list">
-                        ${dayEntries.length > 0 ?
-                    dayEntries.map(entry => this.renderEntryItem(entry)).join('') :
-                    `<div class="empty-state">
-                                <i class="fas fa-calendar-plus"></i>
-                                <div>No entries yet</div>
-                                <div style="font-size: 10px; margin-top: 5px; color: #999;">
-                                    Click "Add Entry" to create one
-                                </div>
-                            </div>`
-                }
-                    </div>
+    // Queued creates are shown in the calendar with a "pending:<operation id>" entry ID
+    isPendingEntryId(entryId) {
+        return String(entryId).startsWith('pending:');
+    }
 
-                    <button class="add-entry-btn" data-date="${dateStr}">
-                        <i class="fas fa-plus"></i> Add Entry
-                    </button>
-                </div>
-            `;
-        });
+    getOutboxOperationId(entryId) {
+        return String(entryId).substring('pending:'.length);
+    }
 
-        calendarGrid.innerHTML = html;
+    entryFields(entry) {
+        return {
+            date: entry.date,
+            activityType: String(entry.activityType),
+            customer: entry.customer || '',
+            workItem: entry.workItem || '',
+            comment: entry.comment || '',
+            hours: String(entry.hours)
+        };
+    }
 
-        // Bind events to dynamically created elements
-        this.bindDynamicEvents();
-        this.updateWeekSummary();
-        this.safeLog('✅ Calendar view rendered');
+    entriesMatch(a, b) {
+        const fieldsA = this.entryFields(a);
+        const fieldsB = this.entryFields(b);
+        return Object.keys(fieldsA).every(field =>
+            field === 'hours' ? parseFloat(fieldsA.hours) === parseFloat(fieldsB.hours) : fieldsA[field] === fieldsB[field]
+        );
     }
 
-    bindDynamicEvents() {
-        document.querySelectorAll('.edit-entry').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const entryItem = e.target.closest('.entry-item');
-                if (entryItem) {
-                    const entryId = entryItem.getAttribute('data-entry-id');
-                    this.editEntry(entryId);
-                }
-            });
-        });
+    // Add an operation to the outbox, folding it into an earlier queued change of the same item.
+    // Creates that failed with a network error are queued with maybeSent: Monday.com may have created them anyway.
+    queueOperation(operation) {
+        const existing = operation.itemId ?
+            this.outbox.find(op => op.itemId === operation.itemId && op.type === 'update') : null;
 
-        document.querySelectorAll('.delete-entry').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const entryItem = e.target.closest('.entry-item');
-                if (entryItem) {
-                    const entryId = entryItem.getAttribute('data-entry-id');
-                    this.deleteEntry(entryId);
-                }
+        if (existing) {
+            // Keep the original base so conflicts are checked against what was last seen online
+            existing.type = operation.type;
+            existing.entry = operation.entry;
+            existing.status = 'pending';
+            existing.error = null;
+        } else {
+            const profile = this.getActiveBoardProfile();
+            this.outbox.push({
+                id: `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+                status: 'pending',
+                error: null,
+                createdAt: new Date().toISOString(),
+                boardId: profile.boardId,
+                profileId: profile.id,
+                ...operation
             });
-        });
+        }
 
-        document.querySelectorAll('.add-entry-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const date = e.target.getAttribute('data-date');
-                this.openEntryModal(date);
-            });
-        });
+        this.saveOutbox();
     }
 
-    renderEntryItem(entry) {
-        const activityClass = this.getActivityTypeName(entry.activityType).toLowerCase().replace(/ /g, '_');
-        const displayCustomer = entry.customer && entry.customer !== 'null' ? entry.customer : 'No customer';
-        const displayWorkItem = entry.workItem && entry.workItem !== 'null' ? entry.workItem : 'No work item';
-        const displayComment = entry.comment && entry.comment !== 'null' ? entry.comment : '';
+    async queueEntryCreate(entry, addAnother = false, maybeSent = false) {
+        this.queueOperation({ type: 'create', entry: this.entryFields(entry), maybeSent });
+        this.showNotification('Monday.com is unreachable - entry queued and will be saved when the connection returns', 'warning');
 
-        return `
-            <div class="entry-item ${activityClass}" data-entry-id="${entry.id}">
-                <div class="entry-header">
-                    <div class="entry-customer" title="${displayCustomer}">${this.truncateText(displayCustomer, 20)}</div>
-                    <div class="entry-hours">${entry.hours}h</div>
-                </div>
-                <div class="entry-details">
-                    <span class="entry-activity">${this.getActivityTypeName(entry.activityType)}</span>
-                    <span title="${displayWorkItem}">${this.truncateText(displayWorkItem, 25)}</span>
-                    ${displayComment ? `<br><small title="${displayComment}">${this.truncateText(displayComment, 30)}</small>` : ''}
-                </div>
-                <div class="entry-actions">
-                    <button class="edit-entry" title="Edit entry">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="delete-entry" title="Delete entry">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-        `;
+        if (addAnother) {
+            const customerInput = document.getElementById('customer');
+            if (customerInput) customerInput.focus();
+        } else {
+            this.closeModal();
+        }
+        await this.loadData(false);
     }
 
-    truncateText(text, maxLength) {
-        if (!text || text.length <= maxLength) return text;
-        return text.substring(0, maxLength) + '...';
+    async queueEntryUpdate(originalEntry, updatedEntry) {
+        this.queueOperation({
+            type: 'update',
+            itemId: String(originalEntry.id),
+            entry: this.entryFields(updatedEntry),
+            base: this.entryFields(originalEntry.base || originalEntry)
+        });
+        this.showNotification('Monday.com is unreachable - update queued and will be sent when the connection returns', 'warning');
+        this.closeModal();
+        await this.loadData(false);
     }
 
-    getActivityTypeName(value) {
-        const types = {
-            0: 'Vacation', 1: 'Billable', 2: 'Holding', 3: 'Education',
-            4: 'Work Reduction', 5: 'TBD', 6: 'Holiday', 7: 'Presales',
-            8: 'Illness', 9: 'Paid Not Worked', 10: 'Intellectual Capital',
-            11: 'Business Development', 12: 'Overhead'
-        };
-        return types[value] || 'Unknown';
+    async queueEntryDelete(entry) {
+        this.queueOperation({
+            type: 'delete',
+            itemId: String(entry.id),
+            entry: this.entryFields(entry),
+            base: this.entryFields(entry.base || entry)
+        });
+        this.showNotification('Monday.com is unreachable - deletion queued and will be sent when the connection returns', 'warning');
+        await this.loadData(false);
     }
 
-    updateWeekSummary() {
-        let totalHours = 0;
-        let totalEntries = 0;
+    updateQueuedEntry(operationId, entry) {
+        const operation = this.outbox.find(op => op.id === operationId);
+        if (operation) {
+            operation.entry = this.entryFields(entry);
+            operation.status = 'pending';
+            operation.error = null;
+            this.saveOutbox();
+        }
+    }
 
-        this.entries.forEach((dayEntries) => {
-            totalEntries += dayEntries.length;
-            dayEntries.forEach(entry => {
-                totalHours += parseFloat(entry.hours) || 0;
-            });
-        });
+    discardOutboxOperation(operationId) {
+        this.outbox = this.outbox.filter(op => op.id !== operationId);
+        this.saveOutbox();
+    }
 
-        const weekTotalHours = document.getElementById('weekTotalHours');
-        const weekTotalEntries = document.getElementById('weekTotalEntries');
+    // A change sent online supersedes whatever was queued for the same item
+    discardOutboxOperationsForItem(itemId) {
+        if (this.outbox.some(op => op.itemId === String(itemId))) {
+            this.outbox = this.outbox.filter(op => op.itemId !== String(itemId));
+            this.saveOutbox();
+        }
+    }
 
-        if (weekTotalHours) weekTotalHours.textContent = totalHours.toFixed(1);
-        if (weekTotalEntries) weekTotalEntries.textContent = totalEntries;
+    // Overlay queued operations on this.entries for the viewed week or month
+    applyOutboxToEntries() {
+        const weekDates = this.getViewDates().map(date => this.formatDate(date));
+
+        this.outbox.forEach(operation => {
+            if (operation.type === 'create') {
+                if (!weekDates.includes(operation.entry.date)) return;
+                if (!this.entries.has(operation.entry.date)) {
+                    this.entries.set(operation.entry.date, []);
+                }
+                this.entries.get(operation.entry.date).push({
+                    ...operation.entry,
+                    id: `pending:${operation.id}`,
+                    pending: 'create',
+                    syncStatus: operation.status
+                });
+                return;
+            }
+
+            for (const dayEntries of this.entries.values()) {
+                const index = dayEntries.findIndex(entry => String(entry.id) === operation.itemId);
+                if (index === -1) continue;
+
+                const remoteEntry = dayEntries[index];
+                const pendingEntry = {
+                    ...remoteEntry,
+                    ...(operation.type === 'update' ? operation.entry : {}),
+                    id: remoteEntry.id,
+                    base: operation.base,
+                    pending: operation.type,
+                    syncStatus: operation.status
+                };
+
+                // A queued move shows the entry on its new day
+                if (pendingEntry.date !== remoteEntry.date) {
+                    dayEntries.splice(index, 1);
+                    if (weekDates.includes(pendingEntry.date)) {
+                        if (!this.entries.has(pendingEntry.date)) {
+                            this.entries.set(pendingEntry.date, []);
+                        }
+                        this.entries.get(pendingEntry.date).push(pendingEntry);
+                    }
+                } else {
+                    dayEntries[index] = pendingEntry;
+                }
+                break;
+            }
+        });
     }
 
-    openEntryModal(date) {
-        this.currentEditingDate = date;
-        this.currentEditingEntry = null;
-        this.isEditing = false;
+    // Send queued operations to Monday.com in order; stops at the first network failure
+    async replayOutbox() {
+        if (this.isReplayingOutbox || !this.user || this.isOffline()) return;
 
-        const modal = document.getElementById('entryModal');
-        const modalDate = document.getElementById('modalDate');
-        const modalTitle = document.getElementById('modalTitle');
+        const pendingOperations = this.outbox.filter(op => op.status === 'pending' && this.isActiveBoardOperation(op));
+        if (pendingOperations.length === 0) return;
 
-        if (modalDate) modalDate.textContent = this.formatDisplayDate(new Date(date));
-        if (modalTitle) modalTitle.textContent = 'Add Entry for';
+        this.isReplayingOutbox = true;
+        this.updateStatus('Syncing Pending Changes', 'loading');
+        this.safeLog(`🔁 Replaying ${pendingOperations.length} queued operations`);
 
-        const saveEntryBtn = document.getElementById('saveEntry');
-        const updateEntryBtn = document.getElementById('updateEntry');
-        const addAnotherBtn = document.getElementById('addAnother');
+        let synced = 0;
+        let problems = 0;
 
-        if (saveEntryBtn) saveEntryBtn.style.display = 'block';
-        if (updateEntryBtn) updateEntryBtn.style.display = 'none';
-        if (addAnotherBtn) addAnotherBtn.style.display = 'block';
+        try {
+            for (const operation of pendingOperations) {
+                try {
+                    await this.replayOperation(operation);
+                    this.outbox = this.outbox.filter(op => op.id !== operation.id);
+                    synced++;
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        this.safeLog('Connection lost while replaying the outbox', 'warn');
+                        break;
+                    }
 
-        this.fillFormWithData(this.lastEntryData);
+                    operation.status = error.isConflict ? 'conflict' : 'failed';
+                    operation.error = error.isConflict ? error.message : this.describeApiError(error);
+                    this.safeLog(`Queued ${operation.type} failed: ${error.message}`, 'warn');
+                    problems++;
+                }
+                this.saveOutbox();
+            }
+        } finally {
+            this.isReplayingOutbox = false;
+            this.updateStatus('Ready');
+        }
 
-        // Setup autocomplete for the form
-        this.setupFormAutocomplete();
+        if (synced > 0) {
+            this.clearCache();
+            await this.loadData(false);
+        }
 
-        if (modal) modal.style.display = 'block';
+        if (problems > 0) {
+            this.showNotification(`Synced ${synced} pending changes, ${problems} need attention - see Pending Changes`, 'warning');
+        } else if (synced > 0) {
+            this.showNotification(`Synced ${synced} pending changes`, 'success');
+        }
     }
 
-    editEntry(entryId) {
-        let foundEntry = null;
-        let foundDate = null;
+    isActiveBoardOperation(operation) {
+        const profile = this.getActiveBoardProfile();
+        return operation.profileId === profile.id && operation.boardId === profile.boardId;
+    }
 
-        for (const [date, entries] of this.entries.entries()) {
-            const entry = entries.find(e => e.id === entryId);
-            if (entry) {
-                foundEntry = entry;
-                foundDate = date;
-                break;
-            }
+    // Apply one queued operation; updates and deletes first check that the item did not change remotely
+    async replayOperation(operation, force = false) {
+        if (!this.isActiveBoardOperation(operation)) {
+            const profile = this.boardProfiles.get(operation.profileId);
+            throw new Error(`Queued for board ${operation.boardId}${profile ? ` (${profile.name})` : ''} - switch to that board profile to sync it`);
         }
 
-        if (!foundEntry) {
-            this.showNotification('Entry not found', 'error');
+        if (operation.type === 'create') {
+            if (operation.maybeSent) {
+                const existingItem = await this.findCreatedItem(operation);
+                if (existingItem) {
+                    this.safeLog(`Queued create already reached Monday.com as item ${existingItem.id}, not sending it again`);
+                    this.markItemForSync(existingItem.id);
+                    return;
+                }
+            }
+            await this.createEntryItem(operation.entry);
             return;
         }
 
-        this.currentEditingDate = foundDate;
-        this.currentEditingEntry = foundEntry;
-        this.isEditing = true;
+        if (!force) {
+            const [remoteItem] = await this.mondayClient.getItemsByIds([operation.itemId]);
+            const isGone = !remoteItem || (remoteItem.state && remoteItem.state !== 'active');
 
-        const modal = document.getElementById('entryModal');
-        const modalDate = document.getElementById('modalDate');
-        const modalTitle = document.getElementById('modalTitle');
+            if (isGone) {
+                if (operation.type === 'delete') return;
+                const conflict = new Error('The entry was deleted on Monday.com while you were offline');
+                conflict.isConflict = true;
+                throw conflict;
+            }
 
-        if (modalDate) modalDate.textContent = this.formatDisplayDate(new Date(foundDate));
-        if (modalTitle) modalTitle.textContent = 'Edit Entry for';
+            if (operation.base && !this.entriesMatch(this.itemToEntry(remoteItem), operation.base)) {
+                const conflict = new Error('The entry was changed on Monday.com while you were offline');
+                conflict.isConflict = true;
+                throw conflict;
+            }
+        }
 
-        const saveEntryBtn = document.getElementById('saveEntry');
-        const updateEntryBtn = document.getElementById('updateEntry');
-        const addAnotherBtn = document.getElementById('addAnother');
+        if (operation.type === 'update') {
+            await this.updateEntryItem(operation.itemId, operation.entry, operation.base?.date);
+        } else {
+            await this.mondayClient.deleteItem(operation.itemId);
+            this.removeCachedItem(operation.itemId);
+            this.markItemForSync(operation.itemId);
+        }
+    }
 
-        if (saveEntryBtn) saveEntryBtn.style.display = 'none';
-        if (updateEntryBtn) updateEntryBtn.style.display = 'block';
-        if (addAnotherBtn) addAnotherBtn.style.display = 'none';
+    // Look for an item matching a create that failed with a network error after it may have been sent
+    async findCreatedItem(operation) {
+        // The request went out shortly before the operation was queued
+        const from = new Date(new Date(operation.createdAt).getTime() - 5 * 60 * 1000).toISOString();
+        const logs = await this.mondayClient.getActivityLogs(operation.boardId, from);
+        const itemIds = this.getLoggedItemIds(logs);
+        if (itemIds.size === 0) return null;
+
+        const items = await this.mondayClient.getItemsByIds(Array.from(itemIds));
+        return items.find(item =>
+            (!item.state || item.state === 'active') &&
+            this.debugIsUserItem(item).isMatch &&
+            this.entriesMatch(this.itemToEntry(item), operation.entry)
+        ) || null;
+    }
 
-        this.fillFormWithData(foundEntry);
+    // Retry a conflicted/failed operation, overwriting the remote item when forced
+    async retryOutboxOperation(operationId, force = false) {
+        const operation = this.outbox.find(op => op.id === operationId);
+        if (!operation) return;
 
-        if (modal) modal.style.display = 'block';
+        try {
+            await this.replayOperation(operation, force);
+            this.discardOutboxOperation(operationId);
+            this.clearCache();
+            this.showNotification(`Pending ${operation.type} synced`, 'success');
+            await this.loadData(false);
+        } catch (error) {
+            operation.status = error.isConflict ? 'conflict' : 'failed';
+            operation.error = error.isConflict ? error.message : this.describeApiError(error);
+            this.saveOutbox();
+            this.showNotification(`Sync failed: ${operation.error}`, 'error');
+        }
     }
 
-    fillFormWithData(data) {
-        const activityType = document.getElementById('activityType');
-        const customer = document.getElementById('customer');
-        const workItem = document.getElementById('workItem');
-        const comment = document.getElementById('comment');
-        const hours = document.getElementById('hours');
+    updateOutboxIndicator() {
+        const outboxBtn = document.getElementById('outboxButton');
+        if (outboxBtn) {
+            const problems = this.outbox.filter(op => op.status !== 'pending').length;
+            outboxBtn.style.display = this.outbox.length > 0 ? '' : 'none';
+            outboxBtn.innerHTML = `<i class="fas fa-cloud-upload-alt"></i> Pending Changes (${this.outbox.length}${problems > 0 ? `, ${problems} need attention` : ''})`;
+        }
 
-        if (activityType) activityType.value = data.activityType || '1';
-        if (customer) customer.value = data.customer || '';
-        if (workItem) workItem.value = data.workItem || '';
-        if (comment) comment.value = data.comment || '';
-        if (hours) hours.value = data.hours || '8';
+        if (this.isOffline()) {
+            this.updateStatus(`Offline${this.outbox.length > 0 ? ` - ${this.outbox.length} pending` : ''}`, 'error');
+        }
     }
 
-    async deleteEntry(entryId) {
-        let entryToDelete = null;
-        let entryDate = null;
+    openOutboxModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
 
-        for (const [date, entries] of this.entries.entries()) {
-            const entry = entries.find(e => e.id === entryId);
-            if (entry) {
-                entryToDelete = entry;
-                entryDate = date;
-                break;
-            }
-        }
+        const statusColors = { pending: '#f39c12', conflict: '#e74c3c', failed: '#e74c3c' };
 
-        if (!entryToDelete) {
-            this.showNotification('Entry not found', 'error');
-            return;
-        }
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 800px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Pending Changes (${this.outbox.length})</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
 
-        const confirmation = confirm(
-            `Are you sure you want to delete this entry?\n\n` +
-            `Customer: ${entryToDelete.customer}\n` +
-            `Work Item: ${entryToDelete.workItem}\n` +
-            `Hours: ${entryToDelete.hours}\n` +
-            `Activity: ${this.getActivityTypeName(entryToDelete.activityType)}`
-        );
+                <div class="modal-body">
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                        ${this.outbox.length > 0 ? this.outbox.map((operation, index) => `
+                            <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                <div style="flex: 1;">
+                                    <strong style="text-transform: capitalize;">${operation.type}</strong>
+                                    ${operation.entry.date} - ${operation.entry.customer} / ${operation.entry.workItem} (${operation.entry.hours}h, ${this.getActivityTypeName(operation.entry.activityType)})
+                                    <div style="font-size: 12px; color: ${statusColors[operation.status]};">
+                                        ${operation.status}${operation.error ? `: ${operation.error}` : ''}
+                                    </div>
+                                </div>
+                                <div style="display: flex; gap: 5px;">
+                                    ${operation.status === 'conflict' ? `
+                                        <button class="force-operation btn-primary" data-operation-id="${operation.id}" style="padding: 4px 8px; font-size: 12px;">
+                                            Apply Anyway
+                                        </button>` : ''}
+                                    ${operation.status === 'failed' ? `
+                                        <button class="retry-operation btn-primary" data-operation-id="${operation.id}" style="padding: 4px 8px; font-size: 12px;">
+                                            Retry
+                                        </button>` : ''}
+                                    <button class="discard-operation btn-secondary" data-operation-id="${operation.id}" style="padding: 4px 8px; font-size: 12px; background: #e74c3c;">
+                                        Discard
+                                    </button>
+                                </div>
+                            </div>
+                        `).join('') : '<p style="text-align: center; color: #666; padding: 20px;">No pending changes.</p>'}
+                    </div>
+                </div>
 
-        if (!confirmation) {
-            return;
-        }
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="syncOutboxNow" class="btn-secondary" ${this.isOffline() ? 'disabled' : ''}>Sync Now</button>
+                    <button id="closeOutboxModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
 
-        this.showLoading('Deleting entry...');
+        document.body.appendChild(modal);
 
-        try {
-            await this.mondayClient.deleteItem(entryId);
-            this.showNotification('Entry deleted successfully!', 'success');
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeOutboxModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
 
-            // Remove from local entries
-            if (entryDate) {
-                const dayEntries = this.entries.get(entryDate) || [];
-                const updatedEntries = dayEntries.filter(entry => entry.id !== entryId);
-                this.entries.set(entryDate, updatedEntries);
-            }
+        modal.querySelector('#syncOutboxNow').addEventListener('click', async () => {
+            closeModal();
+            await this.replayOutbox();
+        });
 
-            this.renderCalendarView();
+        modal.querySelectorAll('.force-operation, .retry-operation').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const operationId = e.target.getAttribute('data-operation-id');
+                closeModal();
+                await this.retryOutboxOperation(operationId, e.target.classList.contains('force-operation'));
+            });
+        });
+
+        modal.querySelectorAll('.discard-operation').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const operationId = e.target.getAttribute('data-operation-id');
+                if (confirm('Discard this pending change? It will not be sent to Monday.com.')) {
+                    this.discardOutboxOperation(operationId);
+                    closeModal();
+                    this.openOutboxModal();
+                    await this.loadData(false);
+                }
+            });
+        });
+    }
+
+    // Timesheet settings methods
+    loadTimesheetSettings() {
+        try {
+            const stored = localStorage.getItem('timesheetSettings');
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                this.timesheetSettings = {
+                    ...this.timesheetSettings,
+                    ...parsed,
+                    weeklyHours: { ...this.timesheetSettings.weeklyHours, ...(parsed.weeklyHours || {}) }
+                };
+            }
         } catch (error) {
-            this.showNotification(`Failed to delete entry: ${error.message}`, 'error');
-            this.safeLog(`Delete entry failed: ${error.message}`, 'error');
-        } finally {
-            this.hideLoading();
+            this.safeLog('Failed to load timesheet settings from storage', 'warn');
         }
     }
 
-    closeModal() {
-        const modal = document.getElementById('entryModal');
-        if (modal) modal.style.display = 'none';
-        this.currentEditingDate = null;
-        this.currentEditingEntry = null;
-        this.isEditing = false;
-        this.hideSuggestions();
+    saveTimesheetSettings() {
+        try {
+            localStorage.setItem('timesheetSettings', JSON.stringify(this.timesheetSettings));
+        } catch (error) {
+            this.safeLog('Failed to save timesheet settings to storage', 'warn');
+        }
     }
 
-    async saveEntry(addAnother = false) {
-        const form = document.getElementById('entryForm');
-        if (!form || !form.checkValidity()) {
-            if (form) form.reportValidity();
-            return;
+    // Holiday calendar methods
+    loadHolidays() {
+        try {
+            const stored = localStorage.getItem('holidayCalendar');
+            this.holidays = new Map(stored ? Object.entries(JSON.parse(stored)) : []);
+            this.safeLog(`Loaded ${this.holidays.size} holidays`);
+        } catch (error) {
+            this.safeLog('Failed to load holiday calendar from storage', 'warn');
+            this.holidays = new Map();
         }
+    }
 
-        const activityType = document.getElementById('activityType');
-        const customer = document.getElementById('customer');
-        const workItem = document.getElementById('workItem');
-        const comment = document.getElementById('comment');
-        const hours = document.getElementById('hours');
-
-        if (!activityType || !customer || !workItem || !hours) {
-            this.showNotification('Form elements not found', 'error');
-            return;
+    saveHolidays() {
+        try {
+            localStorage.setItem('holidayCalendar', JSON.stringify(Object.fromEntries(this.holidays)));
+        } catch (error) {
+            this.safeLog('Failed to save holiday calendar to storage', 'warn');
         }
+    }
 
-        const entry = {
-            date: this.currentEditingDate,
-            activityType: activityType.value,
-            customer: customer.value.trim(),
-            workItem: workItem.value.trim(),
-            comment: comment.value.trim(),
-            hours: hours.value
+    // Parse an iCalendar file into [{ date, name }], expanding multi-day events
+    parseIcsHolidays(text) {
+        // Unfold continuation lines (RFC 5545: a line starting with whitespace continues the previous one)
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const holidays = [];
+        let event = null;
+
+        const toIsoDate = value => {
+            const match = value.match(/(\d{4})(\d{2})(\d{2})/);
+            return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
         };
 
-        this.lastEntryData = { ...entry };
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT' && event) {
+                if (event.start) {
+                    // DTEND of an all-day event is exclusive
+                    let date = event.start;
+                    do {
+                        holidays.push({ date, name: event.name || 'Holiday' });
+                        date = this.addDays(date, 1);
+                    } while (event.end && date < event.end);
+                }
+                event = null;
+            } else if (event) {
+                const separator = line.indexOf(':');
+                if (separator < 0) return;
 
-        // Learn from this new entry
-        this.addCustomerWorkPair(entry.customer, entry.workItem);
+                const property = line.substring(0, separator).split(';')[0].toUpperCase();
+                const value = line.substring(separator + 1);
 
-        if (!this.user) {
-            this.showNotification('Please save your API key first', 'warning');
-            return;
-        }
+                if (property === 'DTSTART') event.start = toIsoDate(value);
+                if (property === 'DTEND') event.end = toIsoDate(value);
+                if (property === 'SUMMARY') event.name = value.replace(/\\([,;\\])/g, '$1').trim();
+            }
+        });
 
-        this.showLoading('Saving entry...');
+        return holidays;
+    }
 
-        try {
-            const currentYear = new Date().getFullYear().toString();
-            const board = await this.mondayClient.getBoardWithGroups('6500270039');
-            const groupId = this.getYearGroupId(board, currentYear) || 'new_group_mkkbbd2q';
+    // Accepts [{ date, name }] or { "YYYY-MM-DD": "name" }
+    parseJsonHolidays(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ?
+            data.map(holiday => ({ date: holiday.date, name: holiday.name || holiday.localName || 'Holiday' })) :
+            Object.entries(data).map(([date, name]) => ({ date, name: name || 'Holiday' }));
 
-            const columnValues = {
-                person: {
-                    personsAndTeams: [{ id: this.user.id, kind: "person" }]
-                },
-                date4: { date: entry.date },
-                status: { index: parseInt(entry.activityType) },
-                text__1: entry.customer,
-                text8__1: entry.workItem,
-                numbers__1: entry.hours.toString()
-            };
+        return list.filter(holiday => /^\d{4}-\d{2}-\d{2}$/.test(holiday.date || ''));
+    }
 
-            if (entry.comment) {
-                columnValues.text2__1 = entry.comment;
-            }
+    importHolidayCalendar(file, onImported) {
+        if (!file) return;
 
-            await this.mondayClient.createItem(
-                '6500270039',
-                groupId,
-                this.user.name,
-                JSON.stringify(columnValues)
-            );
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const text = e.target.result;
+                const holidays = /\.ics$/i.test(file.name) || text.includes('BEGIN:VCALENDAR') ?
+                    this.parseIcsHolidays(text) :
+                    this.parseJsonHolidays(text);
+
+                if (holidays.length === 0) {
+                    this.showNotification('No holidays found in the file', 'warning');
+                    return;
+                }
 
-            this.showNotification('Entry saved successfully!', 'success');
+                holidays.forEach(holiday => this.holidays.set(holiday.date, holiday.name));
+                this.saveHolidays();
+                this.renderCalendarView();
+                this.showNotification(`Imported ${holidays.length} holidays`, 'success');
+                if (onImported) onImported();
+            } catch (error) {
+                this.showNotification('Failed to import holiday calendar - invalid format', 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
 
-            // Invalidate cache since we added new data
-            this.clearCache();
+    getHolidayName(dateStr) {
+        return this.holidays.get(dateStr) || null;
+    }
 
-            if (addAnother) {
-                const customerInput = document.getElementById('customer');
-                if (customerInput) customerInput.focus();
-            } else {
-                this.closeModal();
-                await this.loadData(false); // Use cache if available
-            }
-        } catch (error) {
-            this.showNotification(`Failed to save entry: ${error.message}`, 'error');
-            this.safeLog(`Save entry failed: ${error.message}`, 'error');
-        } finally {
-            this.hideLoading();
-        }
+    // Holiday entries for calendar holidays in the viewed week or month that have none yet
+    getMissingHolidayEntries() {
+        return this.getViewDates()
+            .map(date => this.formatDate(date))
+            .filter(dateStr => this.holidays.has(dateStr))
+            .filter(dateStr => !(this.entries.get(dateStr) || []).some(entry => parseInt(entry.activityType) === 6))
+            .map(dateStr => ({
+                date: dateStr,
+                activityType: '6',
+                customer: this.timesheetSettings.holidayCustomer,
+                workItem: this.timesheetSettings.holidayWorkItem,
+                comment: this.getHolidayName(dateStr),
+                hours: this.getScheduledHours(new Date(`${dateStr}T12:00:00`))
+            }))
+            .filter(entry => entry.hours > 0);
     }
 
-    async updateEntry() {
-        const form = document.getElementById('entryForm');
-        if (!form || !form.checkValidity()) {
-            if (form) form.reportValidity();
+    async fillHolidays() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
             return;
         }
 
-        if (!this.currentEditingEntry) {
-            this.showNotification('No entry selected for editing', 'error');
+        if (this.holidays.size === 0) {
+            this.showNotification('Import a holiday calendar in Timesheet Settings first', 'warning');
             return;
         }
 
-        const activityType = document.getElementById('activityType');
-        const customer = document.getElementById('customer');
-        const workItem = document.getElementById('workItem');
-        const comment = document.getElementById('comment');
-        const hours = document.getElementById('hours');
-
-        if (!activityType || !customer || !workItem || !hours) {
-            this.showNotification('Form elements not found', 'error');
+        const entries = this.getMissingHolidayEntries();
+        if (entries.length === 0) {
+            this.showNotification('All holidays in view are already filled', 'success');
             return;
         }
 
-        const updatedEntry = {
-            id: this.currentEditingEntry.id,
-            activityType: activityType.value,
-            customer: customer.value.trim(),
-            workItem: workItem.value.trim(),
-            comment: comment.value.trim(),
-            hours: hours.value
-        };
-
-        this.showLoading('Updating entry...');
+        await this.createGeneratedEntries(entries, 'holiday');
+    }
 
+    // Entry template methods
+    loadEntryTemplates() {
         try {
-            const columnValues = {
-                status: { index: parseInt(updatedEntry.activityType) },
-                text__1: updatedEntry.customer,
-                text8__1: updatedEntry.workItem,
-                numbers__1: updatedEntry.hours.toString()
-            };
+            const stored = localStorage.getItem('entryTemplates');
+            this.entryTemplates = stored ? JSON.parse(stored) : [];
+            this.safeLog(`Loaded ${this.entryTemplates.length} entry templates`);
+        } catch (error) {
+            this.safeLog('Failed to load entry templates from storage', 'warn');
+            this.entryTemplates = [];
+        }
+    }
 
-            if (updatedEntry.comment) {
-                columnValues.text2__1 = updatedEntry.comment;
-            }
+    saveEntryTemplates() {
+        try {
+            localStorage.setItem('entryTemplates', JSON.stringify(this.entryTemplates));
+        } catch (error) {
+            this.safeLog('Failed to save entry templates to storage', 'warn');
+        }
+    }
 
-            await this.mondayClient.updateItem(
-                updatedEntry.id,
-                JSON.stringify(columnValues)
-            );
+    upsertEntryTemplate(template) {
+        const index = this.entryTemplates.findIndex(existing => existing.id === template.id);
+        if (index >= 0) {
+            this.entryTemplates[index] = template;
+        } else {
+            this.entryTemplates.push(template);
+        }
+        this.saveEntryTemplates();
+        this.renderCalendarView();
+    }
 
-            this.showNotification('Entry updated successfully!', 'success');
+    deleteEntryTemplate(templateId) {
+        this.entryTemplates = this.entryTemplates.filter(template => template.id !== templateId);
+        this.saveEntryTemplates();
+        this.renderCalendarView();
+    }
 
-            // Invalidate cache since we modified data
-            this.clearCache();
+    // Recurrence is a list of weekdays, 0 = Sunday as in Date.getDay()
+    describeRecurrence(days) {
+        const sorted = [...days].sort((a, b) => a - b);
+        if (sorted.join(',') === '1,2,3,4,5') return 'Weekdays';
+        if (sorted.length === 7) return 'Every day';
 
-            this.closeModal();
-            await this.loadData(false); // Use cache if available
-        } catch (error) {
-            this.showNotification(`Failed to update entry: ${error.message}`, 'error');
-            this.safeLog(`Update entry failed: ${error.message}`, 'error');
-        } finally {
-            this.hideLoading();
-        }
+        const names = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        return `Every ${sorted.map(day => names[day]).join(', ')}`;
     }
 
-    openMultiEntryModal() {
-        const weekDates = this.getWeekDates(this.currentWeekStart);
-        if (weekDates.length > 0) {
-            this.openEntryModal(this.formatDate(weekDates[0]));
-        }
+    describeEntryTemplate(template) {
+        const customer = template.customer ? ` for ${template.customer}` : '';
+        return `${this.describeRecurrence(template.days)} ${template.hours}h ${this.getActivityTypeName(template.activityType)}${customer}`;
     }
 
-    clearAllEntries() {
-        if (confirm('Are you sure you want to clear all unsaved entries from the form?')) {
-            const form = document.getElementById('entryForm');
-            if (form) form.reset();
-            this.lastEntryData = {};
-            this.showNotification('Form cleared', 'success');
-        }
+    // Template occurrences in the viewed week or month that have no matching entry yet
+    getMissingTemplateOccurrences() {
+        const normalize = value => String(value || '').trim().toLowerCase();
+        const missing = [];
+
+        this.getViewDates().forEach(date => {
+            const dateStr = this.formatDate(date);
+            const dayEntries = (this.entries.get(dateStr) || []).filter(entry => entry.pending !== 'delete');
+
+            this.entryTemplates.forEach(template => {
+                if (!template.days.includes(date.getDay())) return;
+                if (parseInt(template.activityType) !== 6 && this.isHoliday(dateStr)) return;
+
+                const exists = dayEntries.some(entry =>
+                    String(entry.activityType) === String(template.activityType) &&
+                    normalize(entry.customer) === normalize(template.customer) &&
+                    normalize(entry.workItem) === normalize(template.workItem)
+                );
+
+                if (!exists) {
+                    missing.push({
+                        template,
+                        entry: {
+                            date: dateStr,
+                            activityType: template.activityType,
+                            customer: template.customer,
+                            workItem: template.workItem,
+                            comment: template.comment || '',
+                            hours: template.hours
+                        }
+                    });
+                }
+            });
+        });
+
+        return missing;
     }
 
-    async saveApiKey() {
-        const apiKeyInput = document.getElementById('apiKey');
-        if (!apiKeyInput) return;
+    updateTemplateReminder() {
+        const reminder = document.getElementById('templateReminder');
+        if (!reminder) return;
 
-        const apiKey = apiKeyInput.value.trim();
-        if (!apiKey) {
-            this.showNotification('Please enter an API key', 'error');
+        const missing = this.user ? this.getMissingTemplateOccurrences() : [];
+        if (missing.length === 0) {
+            reminder.style.display = 'none';
+            reminder.innerHTML = '';
             return;
         }
 
-        this.showLoading('Validating API key...');
+        reminder.style.display = 'flex';
+        reminder.innerHTML = `
+            <div class="template-reminder-list">
+                <strong><i class="fas fa-redo"></i> ${missing.length} template ${missing.length === 1 ? 'entry' : 'entries'} missing this ${this.viewMode}:</strong>
+                ${missing.map(({ template, entry }) => `
+                    <span class="template-occurrence" title="${this.describeEntryTemplate(template)}">
+                        ${template.name} - ${this.formatShortDate(new Date(`${entry.date}T12:00:00`))}
+                    </span>
+                `).join('')}
+            </div>
+            <button id="addMissingTemplates" class="btn-primary">
+                <i class="fas fa-plus"></i> Add Missing
+            </button>
+        `;
 
-        try {
-            this.mondayClient.setApiKey(apiKey);
-            this.user = await this.mondayClient.getCurrentUser();
+        reminder.querySelector('#addMissingTemplates').addEventListener('click', () => {
+            this.materializeTemplateOccurrences(this.getMissingTemplateOccurrences());
+        });
+    }
 
-            localStorage.setItem('mondayApiKey', apiKey);
-            this.showNotification('API key saved and validated successfully!', 'success');
+    // Create the entries of the given template occurrences through the regular create path
+    async materializeTemplateOccurrences(occurrences) {
+        await this.createGeneratedEntries(occurrences.map(({ entry }) => entry), 'template');
+    }
 
-            const userInfo = document.getElementById('userInfo');
-            const userName = document.getElementById('userName');
-            const userEmail = document.getElementById('userEmail');
-            const currentYear = document.getElementById('currentYear');
+    // Create entries generated by the app (templates, holidays) in one batch; label names them in messages
+    async createGeneratedEntries(generatedEntries, label) {
+        if (generatedEntries.length === 0) return;
 
-            if (userInfo) userInfo.style.display = 'block';
-            if (userName) userName.textContent = `User: ${this.user.name}`;
-            if (userEmail) userEmail.textContent = `Email: ${this.user.email}`;
-            if (currentYear) currentYear.textContent = `Year: ${new Date().getFullYear()}`;
+        // Same duplicate check as entries typed in the form
+        const resolution = await this.applyDuplicateChoice(generatedEntries.map(entry => ({ entry })));
+        if (!resolution) return;
 
-            await this.loadData(false); // Use cache if available
+        const entries = resolution.remaining.map(({ entry }) => entry);
+        const updated = resolution.updated.length;
+        if (entries.length === 0) {
+            if (resolution.failed.length > 0) {
+                this.showNotification(`Updated ${updated} existing entries, ${resolution.failed.length} failed`, 'warning');
+            } else {
+                this.showNotification(`Updated ${updated} existing entries`, 'success');
+            }
+            await this.loadData(false);
+            return;
+        }
+
+        if (this.isOffline()) {
+            entries.forEach(entry => this.queueOperation({ type: 'create', entry: this.entryFields(entry) }));
+            this.showNotification(`You are offline - ${entries.length} entries queued and will be saved when the connection returns`, 'warning');
+            await this.loadData(false);
+            return;
+        }
+
+        this.showLoading(`Adding ${label} entries...`, `${entries.length} entries`);
+        let created = 0;
+        let queued = 0;
+        let failed = resolution.failed.length;
+
+        try {
+            const results = await this.createEntryItemsBatch(entries);
+
+            results.forEach((result, index) => {
+                const entry = entries[index];
+                if (result.success) {
+                    this.addCustomerWorkPair(entry.customer, entry.workItem);
+                    created++;
+                } else if (result.errorType === MondayApiError.TYPES.NETWORK) {
+                    this.queueOperation({ type: 'create', entry: this.entryFields(entry), maybeSent: true });
+                    queued++;
+                } else {
+                    this.safeLog(`${label} entry for ${entry.date} failed: ${result.error}`, 'error');
+                    failed++;
+                }
+            });
         } catch (error) {
-            this.showNotification(`Failed to validate API key: ${error.message}`, 'error');
-            this.safeLog(`API Key validation failed: ${error.message}`, 'error');
+            this.safeLog(`Adding ${label} entries failed: ${error.message}`, 'error');
+            this.showNotification(`Failed to add ${label} entries: ${this.describeApiError(error)}`, 'error');
+            return;
         } finally {
             this.hideLoading();
         }
-    }
 
-    loadStoredApiKey() {
-        const storedKey = localStorage.getItem('mondayApiKey');
-        const apiKeyInput = document.getElementById('apiKey');
-        if (storedKey && apiKeyInput) {
-            apiKeyInput.value = storedKey;
+        if (created > 0) {
+            // Invalidate cache since we added new data
+            this.clearCache();
         }
-    }
 
-    async loadData(forceReload = false) {
-        this.safeLog(`Starting loadData (forceReload: ${forceReload})...`);
-
-        if (!this.user) {
-            this.safeLog('No user found - cannot load data', 'warn');
-            this.showNotification('Please save your API key first', 'warning');
-            this.hideLoading();
-            return;
+        const updatedNote = updated > 0 ? ` (${updated} existing entries updated)` : '';
+        if (failed > 0) {
+            this.showNotification(`Added ${created} ${label} entries${updatedNote}, ${failed} failed`, 'warning');
+        } else if (queued > 0) {
+            this.showNotification(`Added ${created} ${label} entries${updatedNote}, ${queued} queued until the connection returns`, 'warning');
+        } else {
+            this.showNotification(`Added ${created} ${label} entries${updatedNote} successfully!`, 'success');
         }
 
-        // Check cache first unless force reload is requested
-        if (!forceReload) {
-            const cachedItems = this.getCachedData();
-            if (cachedItems) {
-                this.safeLog('🔄 Using cached data for fast week navigation');
-                this.updateStatus('Processing Cached Data', 'loading');
-                this.showLoading('Processing cached data...', 'Using previously loaded data...');
+        await this.loadData(false);
+    }
 
-                await this.processCachedData(cachedItems);
-                return;
-            }
+    // Board profile methods
+    getDefaultBoardProfile() {
+        const statusIndexMap = {};
+        for (let i = 0; i <= 12; i++) {
+            statusIndexMap[i] = i;
         }
 
-        // Reset loading stats
-        this.loadingStats = {
-            totalItems: 0,
-            processedItems: 0,
-            currentPage: 0,
-            userMatches: 0,
-            currentWeekEntries: 0,
-            startTime: Date.now()
+        return {
+            id: 'default',
+            name: 'Claims Board',
+            boardId: '6500270039',
+            fallbackGroupId: 'new_group_mkkbbd2q',
+            columns: {
+                person: 'person',
+                date: 'date4',
+                activityType: 'status',
+                customer: 'text__1',
+                workItem: 'text8__1',
+                hours: 'numbers__1',
+                comment: 'text2__1'
+            },
+            statusIndexMap
         };
+    }
 
-        this.updateStatus('Loading Data', 'loading');
-        this.showLoading('Loading weekly entries...', 'Initializing data fetch...');
+    normalizeBoardProfile(profile) {
+        const defaults = this.getDefaultBoardProfile();
+        // Profiles saved with an empty status index stored null; those activity types keep the default
+        const statusIndexMap = Object.fromEntries(Object.entries(profile.statusIndexMap || {})
+            .filter(([, index]) => Number.isInteger(index) && index >= 0));
 
-        try {
-            const currentYear = new Date().getFullYear().toString();
-            this.safeLog(`Loading data for year: ${currentYear} and user: ${this.user.name} (ID: ${this.user.id})`);
-            this.updateLoadingDetails('Getting board information...');
+        return {
+            id: String(profile.id || `profile_${Date.now()}`),
+            name: profile.name || 'Unnamed Board',
+            boardId: String(profile.boardId || ''),
+            fallbackGroupId: profile.fallbackGroupId || '',
+            columns: { ...defaults.columns, ...(profile.columns || {}) },
+            statusIndexMap: { ...defaults.statusIndexMap, ...statusIndexMap }
+        };
+    }
 
-            const board = await this.mondayClient.getBoardWithGroups('6500270039');
-            this.updateLoadingDetails('Processing board structure...');
+    loadBoardProfiles() {
+        const defaultProfile = this.getDefaultBoardProfile();
+        this.boardProfiles = new Map([[defaultProfile.id, defaultProfile]]);
 
-            if (!board || !board.groups) {
-                throw new Error('No board data found');
-            }
+        try {
+            const stored = localStorage.getItem('boardProfiles');
+            const storedActive = localStorage.getItem('activeBoardProfile');
 
-            const groupId = this.getYearGroupId(board, currentYear);
-            this.safeLog(`Using group ID: ${groupId}`);
-            this.updateLoadingDetails(`Target group: ${groupId}`);
+            if (stored) {
+                JSON.parse(stored).forEach(profile => {
+                    const normalized = this.normalizeBoardProfile(profile);
+                    this.boardProfiles.set(normalized.id, normalized);
+                });
+            }
 
-            if (!groupId) {
-                throw new Error(`Could not find group for year ${currentYear}`);
+            if (storedActive && this.boardProfiles.has(storedActive)) {
+                this.activeBoardProfileId = storedActive;
             }
 
-            let items = [];
-            this.updateLoadingDetails('Querying items from Monday.com...');
+            this.safeLog(`Loaded ${this.boardProfiles.size} board profiles (active: ${this.activeBoardProfileId})`);
+        } catch (error) {
+            this.safeLog('Failed to load board profiles from storage', 'warn');
+            this.activeBoardProfileId = defaultProfile.id;
+        }
+    }
 
-            // Enhanced progress callback with detailed statistics
-            const progressCallback = (totalItems, pageItems, currentPage) => {
-                this.loadingStats.totalItems = totalItems;
-                this.loadingStats.currentPage = currentPage;
+    saveBoardProfiles() {
+        try {
+            localStorage.setItem('boardProfiles', JSON.stringify(Array.from(this.boardProfiles.values())));
+            localStorage.setItem('activeBoardProfile', this.activeBoardProfileId);
+        } catch (error) {
+            this.safeLog('Failed to save board profiles to storage', 'warn');
+        }
+    }
 
-                requestAnimationFrame(() => {
-                    const elapsedTime = ((Date.now() - this.loadingStats.startTime) / 1000).toFixed(1);
-                    const itemsPerSecond = (totalItems / elapsedTime).toFixed(1);
+    getActiveBoardProfile() {
+        return this.boardProfiles.get(this.activeBoardProfileId) || this.getDefaultBoardProfile();
+    }
 
-                    const detailsText = `
-                        <div style="text-align: left; line-height: 1.6;">
-                            <div><strong>Database Scan Progress</strong></div>
-                            <div>📊 Total Items Loaded: <strong>${totalItems.toLocaleString()}</strong></div>
-                            <div>📄 Current Page: <strong>${currentPage}</strong></div>
-                            <div>⏱️ Elapsed Time: <strong>${elapsedTime}s</strong></div>
-                            <div>🚀 Speed: <strong>${itemsPerSecond} items/sec</strong></div>
-                            <div style="margin-top: 8px; font-size: 12px; color: #666;">
-                                Scanning database entries for your weekly data...
-                            </div>
-                        </div>
-                    `;
-                    this.updateLoadingDetails(detailsText);
+    // Queued writes are only replayed on the board they were made on, so switching away would strand them
+    hasPendingOperationsForOtherBoard(profileId, boardId) {
+        return this.outbox.some(operation => operation.profileId !== profileId || operation.boardId !== boardId);
+    }
 
-                    // Update main loading message for significant progress
-                    if (totalItems % 500 === 0 || currentPage === 1) {
-                        this.showLoading('Scanning Monday.com database...', detailsText);
-                    }
-                });
-            };
+    // Returns false when the switch was refused
+    setActiveBoardProfile(profileId) {
+        if (!this.boardProfiles.has(profileId)) {
+            this.showNotification('Board profile not found', 'error');
+            return false;
+        }
 
-            // Try optimized paginated query first (500 items per page, 1ms delay)
-            try {
-                this.updateLoadingDetails('Starting high-performance query...');
-                this.showLoading('Initializing database scan...', `
-                    <div style="text-align: left; line-height: 1.6;">
-                        <div><strong>Starting Database Scan</strong></div>
-                        <div>🔍 Preparing to scan Monday.com database...</div>
-                        <div>👤 User: ${this.user.name}</div>
-                        <div>📅 Year: ${currentYear}</div>
-                        <div style="margin-top: 8px; font-size: 12px; color: #666;">
-                            This may take a moment depending on the number of entries in the database.
-                        </div>
-                    </div>
-                `);
-                this.safeLog(`🚀 Attempting high-performance paginated query (500 items/page)...`);
+        if (this.hasPendingOperationsForOtherBoard(profileId, this.boardProfiles.get(profileId).boardId)) {
+            this.showNotification('Sync or discard the pending changes before switching to another board', 'error');
+            return false;
+        }
 
-                const startTime = Date.now();
-                items = await this.mondayClient.queryItemsPaginated('6500270039', groupId, progressCallback);
-                const loadTime = Date.now() - startTime;
+        this.activeBoardProfileId = profileId;
+        this.saveBoardProfiles();
 
-                if (items.length > 0) {
-                    this.safeLog(`✅ High-performance query successful: ${items.length} items loaded in ${loadTime}ms`);
-                    this.showNotification(`Loaded ${items.length} items in ${loadTime}ms`, 'success');
+        const profile = this.getActiveBoardProfile();
+        this.mondayClient.setBoardId(profile.boardId);
+        this.updateBoardProfileInfo();
 
-                    // Cache the data for future use
-                    this.setCachedData(items, currentYear);
-                } else {
-                    this.safeLog(`⚠️ Query returned 0 items`, 'warn');
-                    this.showNotification('No items found in the current year group', 'warning');
-                }
-            } catch (error) {
-                this.safeLog(`❌ High-performance query failed: ${error.message}`, 'warn');
-                throw error;
-            }
+        // Items from another board must never be mixed into this one
+        this.clearCache();
+        this.entries.clear();
+        this.loadedDates.clear();
+        this.renderCalendarView();
+        this.safeLog(`Switched to board profile: ${profile.name} (${profile.boardId})`);
 
-            this.safeLog(`📊 Final item count: ${items.length}`);
+        if (this.user) {
+            this.loadData(true);
+        }
+        return true;
+    }
 
-            if (items.length === 0) {
-                this.showNotification('No items found in Monday.com board. Please check if the board has items in the current year group.', 'warning');
-                this.updateStatus('Ready');
-                return;
-            }
+    // Returns null when the active profile's board would change while changes are pending
+    upsertBoardProfile(profile) {
+        const normalized = this.normalizeBoardProfile(profile);
+        if (normalized.id === this.activeBoardProfileId && this.hasPendingOperationsForOtherBoard(normalized.id, normalized.boardId)) {
+            this.showNotification('Sync or discard the pending changes before changing the board ID', 'error');
+            return null;
+        }
 
-            this.updateLoadingDetails(`
-                <div style="text-align: left; line-height: 1.6;">
-                    <div><strong>Processing ${items.length.toLocaleString()} Items</strong></div>
-                    <div>✅ Database scan complete</div>
-                    <div>🔍 Now analyzing items for current week...</div>
-                    <div style="margin-top: 8px; font-size: 12px; color: #666;">
-                        Filtering and processing entries for your calendar view.
-                    </div>
-                </div>
-            `);
-            this.showLoading('Processing items...', `Analyzing ${items.length} items for current week...`);
+        this.boardProfiles.set(normalized.id, normalized);
+        this.saveBoardProfiles();
 
-            // Process items
-            await this.processItemsWithDebug(items);
+        if (normalized.id === this.activeBoardProfileId) {
+            this.setActiveBoardProfile(normalized.id);
+        }
+        return normalized;
+    }
 
-            this.updateLoadingDetails(`
-                <div style="text-align: left; line-height: 1.6;">
-                    <div><strong>Processing Complete</strong></div>
-                    <div>✅ Found ${this.loadingStats.userMatches} user entries</div>
-                    <div>📅 ${this.loadingStats.currentWeekEntries} entries in current week</div>
-                    <div>💡 Learned ${this.customerWorkPairs.size} customer-work pairs</div>
-                    <div style="margin-top: 8px; font-size: 12px; color: #666;">
-                        Finalizing calendar display...
-                    </div>
-                </div>
-            `);
-            this.showLoading('Rendering calendar...', 'Finalizing display...');
+    deleteBoardProfile(profileId) {
+        if (profileId === 'default') {
+            this.showNotification('The default board profile cannot be deleted', 'error');
+            return false;
+        }
 
-            this.renderCalendarView();
+        if (this.activeBoardProfileId === profileId && !this.setActiveBoardProfile('default')) {
+            return false;
+        }
+        this.boardProfiles.delete(profileId);
+        this.saveBoardProfiles();
+        return true;
+    }
 
-            const totalTime = ((Date.now() - this.loadingStats.startTime) / 1000).toFixed(1);
-            this.safeLog(`✅ Data load completed in ${totalTime}s - Found entries for ${this.entries.size} dates`);
-            this.showNotification(`Loaded ${this.entries.size} days with entries from ${items.length} total items in ${totalTime}s`, 'success');
-            this.updateStatus('Ready');
+    getColumnId(field) {
+        return this.getActiveBoardProfile().columns[field];
+    }
 
-        } catch (error) {
-            this.safeLog(`❌ Data loading failed: ${error.message}`, 'error');
-            this.showNotification(`Failed to load data: ${error.message}`, 'error');
-            this.updateStatus('Error', 'error');
-        } finally {
-            // Always hide loading overlay
-            this.hideLoading();
+    // Convert an app activity type (0-12) to the board's status label index
+    toBoardStatusIndex(activityType) {
+        const map = this.getActiveBoardProfile().statusIndexMap;
+        const index = map[parseInt(activityType)];
+        return index !== undefined && index !== null && index !== '' ? parseInt(index) : parseInt(activityType);
+    }
+
+    // Convert the board's status label index back to an app activity type
+    fromBoardStatusIndex(index) {
+        const map = this.getActiveBoardProfile().statusIndexMap;
+        for (const [activityType, boardIndex] of Object.entries(map)) {
+            if (parseInt(boardIndex) === index) return parseInt(activityType);
         }
+        return index;
     }
 
-    // Process cached data (fast path for week navigation)
-    async processCachedData(cachedItems) {
-        this.safeLog(`🔄 Processing ${cachedItems.length} cached items for week navigation`);
+    buildColumnValues(entry, { includePerson = false, includeDate = false } = {}) {
+        const columns = this.getActiveBoardProfile().columns;
+        const columnValues = {};
 
-        this.loadingStats = {
-            totalItems: cachedItems.length,
-            processedItems: 0,
-            currentPage: 0,
-            userMatches: 0,
-            currentWeekEntries: 0,
-            startTime: Date.now()
-        };
+        if (includePerson) {
+            columnValues[columns.person] = {
+                personsAndTeams: [{ id: this.user.id, kind: "person" }]
+            };
+        }
 
-        await this.processItemsWithDebug(cachedItems);
+        if (includeDate) {
+            columnValues[columns.date] = { date: entry.date };
+        }
 
-        this.renderCalendarView();
+        columnValues[columns.activityType] = { index: this.toBoardStatusIndex(entry.activityType) };
+        columnValues[columns.customer] = entry.customer;
+        columnValues[columns.workItem] = entry.workItem;
+        columnValues[columns.hours] = entry.hours.toString();
+        // Always written, so an update or undo that removes the comment clears it on the board
+        columnValues[columns.comment] = entry.comment || '';
 
-        const processTime = ((Date.now() - this.loadingStats.startTime) / 1000).toFixed(2);
-        this.safeLog(`✅ Cached data processed in ${processTime}s - Found ${this.entries.size} days with entries`);
-        this.showNotification(`Week navigation completed in ${processTime}s (using cached data)`, 'success');
-        this.updateStatus('Ready');
+        return columnValues;
     }
 
-    // Enhanced processItems to learn from existing entries and track progress
-    async processItemsWithDebug(items) {
-        this.entries.clear();
-        this.safeLog(`🔍 DEBUG: Starting to process ${items.length} items`);
+    initializeApp() {
+        this.safeLog('🚀 Initializing ClaimWebApp...');
+        this.updateStatus('Initializing');
 
-        const currentWeekDates = this.getWeekDates(this.currentWeekStart).map(date => this.formatDate(date));
-        this.safeLog(`📅 Current week dates being checked: ${currentWeekDates.join(', ')}`);
+        try {
+            this.bindEvents();
+            this.loadStoredApiKey();
+            this.renderCalendarView();
+            this.updateBoardProfileInfo();
+            this.updateOutboxIndicator();
+            this.startResponsivenessCheck();
+            this.safeLog('✅ App initialized successfully');
+            this.updateStatus('Ready');
+        } catch (error) {
+            this.safeLog(`❌ App initialization failed: ${error.message}`, 'error');
+            this.updateStatus('Error', 'error');
+            this.hideLoading();
+        }
+    }
 
-        let userMatchCount = 0;
-        let dateExtractedCount = 0;
-        let currentWeekEntries = 0;
+    // Safe logging method to prevent errors
+    safeLog(message, type = 'info') {
+        try {
+            if (this.logger && this.logger.log) {
+                this.logger.log(message, type);
+            } else {
+                console.log(`[${type}] ${message}`);
+            }
+        } catch (e) {
+            console.log(`[${type}] ${message}`);
+        }
+    }
 
-        this.safeLog(`👤 Looking for items assigned to user: ${this.user.name} (ID: ${this.user.id})`);
+    bindEvents() {
+        this.safeLog('Binding events...');
 
-        // Process items in chunks to avoid blocking UI
-        const chunkSize = 100;
-        for (let i = 0; i < items.length; i += chunkSize) {
-            const chunk = items.slice(i, i + chunkSize);
+        // API Key events
+        const saveApiKeyBtn = document.getElementById('saveApiKey');
+        const apiKeyInput = document.getElementById('apiKey');
 
-            // Update progress UI
-            this.loadingStats.processedItems = i + chunk.length;
-            const progressPercent = Math.min(100, Math.round((this.loadingStats.processedItems / items.length) * 100));
+        if (saveApiKeyBtn) saveApiKeyBtn.addEventListener('click', () => this.saveApiKey());
+        if (apiKeyInput) apiKeyInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.saveApiKey();
+        });
 
-            requestAnimationFrame(() => {
-                this.updateLoadingDetails(`
-                    <div style="text-align: left; line-height: 1.6;">
-                        <div><strong>Processing Items: ${progressPercent}%</strong></div>
-                        <div>📊 Processed: <strong>${this.loadingStats.processedItems.toLocaleString()}</strong> of <strong>${items.length.toLocaleString()}</strong> items</div>
-                        <div>✅ User Matches: <strong>${userMatchCount}</strong></div>
-                        <div>📅 Current Week Entries: <strong>${currentWeekEntries}</strong></div>
-                        <div style="margin-top: 8px; font-size: 12px; color: #666;">
-                            Analyzing each entry for date and user assignment...
-                        </div>
-                    </div>
-                `);
-            });
+        // Navigation events
+        const prevWeekBtn = document.getElementById('prevWeek');
+        const nextWeekBtn = document.getElementById('nextWeek');
+        const weekPicker = document.getElementById('weekPicker');
+        const queryDataBtn = document.getElementById('queryData');
 
-            // Allow UI updates between chunks
-            if (i > 0 && i % 500 === 0) {
-                // Use setTimeout to yield to the UI thread
-                await new Promise(resolve => setTimeout(resolve, 0));
+        if (prevWeekBtn) prevWeekBtn.addEventListener('click', () => this.viewMode === 'month' ? this.previousMonth() : this.previousWeek());
+        if (nextWeekBtn) nextWeekBtn.addEventListener('click', () => this.viewMode === 'month' ? this.nextMonth() : this.nextWeek());
+        if (weekPicker) weekPicker.addEventListener('change', (e) => this.viewMode === 'month' ? this.selectMonth(e.target.value) : this.selectWeek(e.target.value));
+
+        document.querySelectorAll('.view-toggle button').forEach(btn => {
+            btn.addEventListener('click', () => this.setViewMode(btn.getAttribute('data-view')));
+        });
+        if (queryDataBtn) queryDataBtn.addEventListener('click', () => this.loadData(true)); // Force reload
+
+        // Debug events
+        const toggleDebugBtn = document.getElementById('toggleDebug');
+        const forceLoadBtn = document.getElementById('forceLoad');
+        const testConnectionBtn = document.getElementById('testConnection');
+        const clearCacheBtn = document.getElementById('clearCache');
+
+        if (toggleDebugBtn) toggleDebugBtn.addEventListener('click', () => this.toggleDebug());
+        if (forceLoadBtn) forceLoadBtn.addEventListener('click', () => this.loadData(true)); // Force reload
+        if (testConnectionBtn) testConnectionBtn.addEventListener('click', () => this.testConnection());
+
+        const queryModeSelect = document.getElementById('queryMode');
+        if (queryModeSelect) {
+            queryModeSelect.value = this.queryMode;
+            queryModeSelect.addEventListener('change', (e) => this.setQueryMode(e.target.value));
+        }
+
+        // Add Clear Cache button to debug panel if it doesn't exist
+        if (!clearCacheBtn && document.querySelector('.debug-panel')) {
+            const debugPanel = document.querySelector('.debug-panel');
+            const clearCacheBtn = document.createElement('button');
+            clearCacheBtn.id = 'clearCache';
+            clearCacheBtn.className = 'btn-secondary';
+            clearCacheBtn.innerHTML = '<i class="fas fa-broom"></i> Clear Cache';
+            clearCacheBtn.addEventListener('click', () => this.clearAllCaches());
+            debugPanel.appendChild(clearCacheBtn);
+        } else if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', () => this.clearAllCaches());
+        }
+
+        // Modal events
+        const closeModalBtn = document.querySelector('.close-modal');
+        const cancelEntryBtn = document.getElementById('cancelEntry');
+        const saveEntryBtn = document.getElementById('saveEntry');
+        const updateEntryBtn = document.getElementById('updateEntry');
+        const addAnotherBtn = document.getElementById('addAnother');
+
+        if (closeModalBtn) closeModalBtn.addEventListener('click', () => this.closeModal());
+        if (cancelEntryBtn) cancelEntryBtn.addEventListener('click', () => this.closeModal());
+        if (saveEntryBtn) saveEntryBtn.addEventListener('click', () => this.saveEntry());
+        if (updateEntryBtn) updateEntryBtn.addEventListener('click', () => this.updateEntry());
+        if (addAnotherBtn) addAnotherBtn.addEventListener('click', () => this.saveEntry(true));
+
+        // Enter saves the entry form, Shift+Enter saves and keeps it open for another entry
+        const entryForm = document.getElementById('entryForm');
+        if (entryForm) entryForm.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || e.target.tagName === 'BUTTON') return;
+            e.preventDefault();
+            if (e.repeat) return;
+            if (this.isEditing) {
+                this.updateEntry();
+            } else {
+                this.saveEntry(e.shiftKey);
             }
+        });
 
-            chunk.forEach(item => {
-                const userCheck = this.debugIsUserItem(item);
-                if (userCheck.isMatch) {
-                    userMatchCount++;
-                    this.loadingStats.userMatches = userMatchCount;
+        document.addEventListener('keydown', (e) => this.handleKeyboardShortcut(e));
 
-                    const date = this.extractItemDate(item);
+        const commandPaletteBtn = document.getElementById('openCommandPalette');
+        if (commandPaletteBtn) commandPaletteBtn.addEventListener('click', () => this.openCommandPalette());
 
-                    if (date) {
-                        if (currentWeekDates.includes(date)) {
-                            dateExtractedCount++;
-                            currentWeekEntries++;
-                            this.loadingStats.currentWeekEntries = currentWeekEntries;
+        const keyboardShortcutsBtn = document.getElementById('keyboardShortcuts');
+        if (keyboardShortcutsBtn) keyboardShortcutsBtn.addEventListener('click', () => this.openShortcutHelpModal());
 
-                            if (!this.entries.has(date)) {
-                                this.entries.set(date, []);
-                            }
+        // Bulk actions
+        const addMultipleBtn = document.getElementById('addMultipleEntries');
+        const clearAllBtn = document.getElementById('clearAll');
 
-                            const entryData = {
-                                id: item.id,
-                                activityType: this.extractStatusValue(item),
-                                customer: this.extractColumnValue(item, 'text__1'),
-                                workItem: this.extractColumnValue(item, 'text8__1'),
-                                comment: this.extractCommentValue(item),
-                                hours: this.extractColumnValue(item, 'numbers__1')
-                            };
+        if (addMultipleBtn) addMultipleBtn.addEventListener('click', () => this.openMultiEntryModal());
 
-                            this.entries.get(date).push(entryData);
+        const historyBtn = document.getElementById('historyButton');
+        if (historyBtn) historyBtn.addEventListener('click', () => this.openHistoryModal());
 
-                            // Learn from this entry - add to customer-work pairs
-                            this.addCustomerWorkPair(entryData.customer, entryData.workItem);
-                        }
-                    }
+        const importEntriesBtn = document.getElementById('importEntries');
+        if (importEntriesBtn) importEntriesBtn.addEventListener('click', () => this.openImportEntriesModal());
+
+        const exportEntriesBtn = document.getElementById('exportEntries');
+        if (exportEntriesBtn) exportEntriesBtn.addEventListener('click', () => this.openExportEntriesModal());
+
+        const openReportsBtn = document.getElementById('openReports');
+        if (openReportsBtn) openReportsBtn.addEventListener('click', () => this.openReportsModal());
+
+        const teamViewBtn = document.getElementById('teamView');
+        if (teamViewBtn) teamViewBtn.addEventListener('click', () => this.openTeamViewModal());
+
+        const validateTimesheetBtn = document.getElementById('validateTimesheet');
+        if (validateTimesheetBtn) validateTimesheetBtn.addEventListener('click', () => this.openValidationModal());
+
+        const timesheetSettingsBtn = document.getElementById('timesheetSettings');
+        if (timesheetSettingsBtn) timesheetSettingsBtn.addEventListener('click', () => this.openTimesheetSettingsModal());
+
+        const fillHolidaysBtn = document.getElementById('fillHolidays');
+        if (fillHolidaysBtn) fillHolidaysBtn.addEventListener('click', () => this.fillHolidays());
+
+        const manageTemplatesBtn = document.getElementById('manageTemplates');
+        if (manageTemplatesBtn) manageTemplatesBtn.addEventListener('click', () => this.openEntryTemplatesModal());
+
+        const copyLastWeekBtn = document.getElementById('copyLastWeek');
+        if (copyLastWeekBtn) copyLastWeekBtn.addEventListener('click', () => this.openCopyWeekModal());
+        if (clearAllBtn) clearAllBtn.addEventListener('click', () => this.clearAllEntries());
+
+        // Customer-work pair management
+        const managePairsBtn = document.getElementById('managePairs');
+        if (managePairsBtn) {
+            managePairsBtn.addEventListener('click', () => this.openCustomerWorkPairsModal());
+        }
+
+        // Offline outbox
+        const outboxBtn = document.getElementById('outboxButton');
+        if (outboxBtn) {
+            outboxBtn.addEventListener('click', () => this.openOutboxModal());
+        }
+
+        window.addEventListener('online', () => {
+            this.safeLog('🌐 Connection restored');
+            this.updateOutboxIndicator();
+            this.replayOutbox();
+        });
+        window.addEventListener('offline', () => {
+            this.safeLog('📴 Connection lost - changes will be queued', 'warn');
+            this.updateOutboxIndicator();
+        });
+
+        // Board profile management
+        const manageBoardProfilesBtn = document.getElementById('manageBoardProfiles');
+        if (manageBoardProfilesBtn) {
+            manageBoardProfilesBtn.addEventListener('click', () => this.openBoardProfilesModal());
+        }
+
+        // Activity type selection
+        document.querySelectorAll('.activity-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const value = e.target.getAttribute('data-value');
+                const activityTypeSelect = document.getElementById('activityType');
+                if (activityTypeSelect) activityTypeSelect.value = value;
+                this.applyActivityTypeToBatchRows(value);
+            });
+        });
+
+        // Modal backdrop click
+        const entryModal = document.getElementById('entryModal');
+        if (entryModal) {
+            entryModal.addEventListener('click', (e) => {
+                if (e.target.id === 'entryModal') {
+                    this.closeModal();
                 }
             });
         }
 
-        this.safeLog(`📊 PROCESSING SUMMARY: ${userMatchCount} user matches, ${dateExtractedCount} with dates, ${currentWeekEntries} current week entries`);
-        this.safeLog(`💡 Learned ${this.customerWorkPairs.size} customer-work item pairs from data`);
+        // Initialize autocomplete for customer and work item fields
+        this.initializeAutocomplete();
+
+        this.safeLog('✅ All events bound successfully');
     }
 
-    debugIsUserItem(item) {
-        if (!this.user) {
-            return { isMatch: false, reason: 'No user' };
+    // User-facing message for a failed Monday.com call, based on the MondayApiError type
+    describeApiError(error) {
+        if (!(error instanceof MondayApiError)) {
+            return error.message;
         }
 
-        // Check if item name contains user name
-        if (item.name && item.name.includes(this.user.name)) {
-            return { isMatch: true, reason: 'Name match' };
+        switch (error.type) {
+            case MondayApiError.TYPES.AUTH:
+                return 'Monday.com rejected the API key - check that it is valid and has access to the board';
+            case MondayApiError.TYPES.RATE_LIMIT:
+                return 'Monday.com rate limit reached even after retrying - please wait a minute and try again';
+            case MondayApiError.TYPES.NETWORK:
+                return `Could not reach Monday.com - check your connection (${error.message})`;
+            default:
+                return error.message;
         }
+    }
 
-        // Check person column
-        if (item.column_values) {
-            for (const col of item.column_values) {
-                if (col.id === 'person') {
-                    if (col.value && col.value !== 'null' && col.value !== '""') {
-                        try {
-                            const personData = JSON.parse(col.value);
-                            if (personData.personsAndTeams && Array.isArray(personData.personsAndTeams)) {
-                                const isUser = personData.personsAndTeams.some(person =>
-                                    person.id === this.user.id
-                                );
-                                if (isUser) return { isMatch: true, reason: 'Person ID match' };
-                            }
-                        } catch (e) {
-                            // Continue to next check
-                        }
-                    }
+    updateStatus(status, type = 'ready') {
+        const statusElement = document.getElementById('appStatus');
+        if (statusElement) {
+            statusElement.textContent = status;
+            statusElement.className = `status-indicator ${type}`;
+        }
+    }
 
-                    if (col.text && (col.text.includes(this.user.name) || col.text.includes(this.user.email))) {
-                        return { isMatch: true, reason: 'Person text match' };
-                    }
-                }
+    startResponsivenessCheck() {
+        this.safeLog('Starting responsiveness check...');
+        if (this.logger && this.logger.startResponsivenessCheck) {
+            this.responsivenessCheck = this.logger.startResponsivenessCheck();
+        }
+    }
+
+    async testConnection() {
+        this.safeLog('Testing Monday.com connection...');
+        this.updateStatus('Testing Connection', 'loading');
+        this.showLoading('Testing connection...');
+
+        try {
+            const result = await this.mondayClient.testConnection();
+            if (result.success) {
+                this.safeLog('✅ Connection test successful');
+                this.showNotification('Connection test successful!', 'success');
+                this.updateStatus('Ready');
+            } else {
+                this.safeLog(`❌ Connection test failed: ${result.error}`, 'error');
+                this.showNotification(`Connection failed: ${result.error}`, 'error');
+                this.updateStatus('Connection Failed', 'error');
             }
+        } catch (error) {
+            this.safeLog(`❌ Connection test error: ${error.message}`, 'error');
+            this.showNotification(`Connection error: ${error.message}`, 'error');
+            this.updateStatus('Connection Error', 'error');
+        } finally {
+            this.hideLoading();
         }
+    }
 
-        return {
-            isMatch: false,
-            reason: `No match - item: "${item.name}", user: ${this.user.name} (${this.user.id})`
+    toggleDebug() {
+        if (this.logger && this.logger.toggleLogger) {
+            this.logger.toggleLogger();
+        }
+    }
+
+    forceLoad() {
+        this.safeLog('Force loading data...');
+        this.loadData(true);
+    }
+
+    getMonday(date) {
+        const d = new Date(date);
+        const day = d.getDay();
+        const diff = d.getDate() - day + (day === 0 ? -6 : 1);
+        return new Date(d.setDate(diff));
+    }
+
+    getWeekDates(startDate) {
+        const dates = [];
+        for (let i = 0; i < 7; i++) {
+            const date = new Date(startDate);
+            date.setDate(startDate.getDate() + i);
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    formatDate(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    formatDisplayDate(date) {
+        return date.toLocaleDateString('en-US', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    formatShortDate(date) {
+        return date.toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    getWeekYears(startDate) {
+        const years = this.getWeekDates(startDate).map(date => this.formatDate(date).substring(0, 4));
+        return Array.from(new Set(years));
+    }
+
+    // Every date from start to end, both inclusive
+    getDateRange(startDate, endDate) {
+        const dates = [];
+        const date = new Date(startDate);
+        while (date <= endDate) {
+            dates.push(new Date(date));
+            date.setDate(date.getDate() + 1);
+        }
+        return dates;
+    }
+
+    // At noon, like the week dates, so formatDate gives the same day in any timezone
+    getMonthStart(date) {
+        return new Date(date.getFullYear(), date.getMonth(), 1, 12);
+    }
+
+    getMonthDates(monthStart) {
+        const dates = [];
+        const date = new Date(monthStart);
+        while (date.getMonth() === monthStart.getMonth()) {
+            dates.push(new Date(date));
+            date.setDate(date.getDate() + 1);
+        }
+        return dates;
+    }
+
+    // Dates shown by the current view: the viewed week, or every day of the viewed month
+    getViewDates() {
+        return this.viewMode === 'month' ?
+            this.getMonthDates(this.currentMonthStart) :
+            this.getWeekDates(this.currentWeekStart);
+    }
+
+    getViewYears() {
+        const years = this.getViewDates().map(date => this.formatDate(date).substring(0, 4));
+        return Array.from(new Set(years));
+    }
+
+    getScheduledHours(date) {
+        return parseFloat(this.timesheetSettings.weeklyHours[date.getDay()]) || 0;
+    }
+
+    getExpectedHours(dateStr, dayEntries = this.entries.get(dateStr) || []) {
+        if (this.isHoliday(dateStr, dayEntries)) return 0;
+        return this.getScheduledHours(new Date(`${dateStr}T12:00:00`));
+    }
+
+    // 'complete', 'partial', 'missing' or 'off' (nothing expected and nothing booked)
+    getDayCompleteness(dateStr, dayEntries = this.entries.get(dateStr) || []) {
+        const expected = this.getExpectedHours(dateStr, dayEntries);
+        const total = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
+
+        if (expected === 0) return total > 0 ? 'complete' : 'off';
+        if (total >= expected) return 'complete';
+        return total > 0 ? 'partial' : 'missing';
+    }
+
+    // Timesheet issues of one day: { date, severity: 'error'|'warning', type, message, entryId? }
+    // Days that are not loaded yet have nothing to check, and future days cannot be short of hours yet
+    validateDay(dateStr) {
+        if (!this.user || !this.loadedDates.has(dateStr)) return [];
+
+        const date = new Date(`${dateStr}T12:00:00`);
+        const dayEntries = (this.entries.get(dateStr) || []).filter(entry => entry.pending !== 'delete');
+        const total = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
+        const expected = this.getExpectedHours(dateStr);
+        const { maxDailyHours, hoursIncrement } = this.timesheetSettings;
+        const issues = [];
+
+        if (expected > 0 && total < expected && dateStr <= this.formatDate(new Date())) {
+            issues.push({
+                date: dateStr,
+                severity: total === 0 ? 'error' : 'warning',
+                type: total === 0 ? 'missing-day' : 'under-hours',
+                message: total === 0 ? `No hours booked (${expected}h expected)` : `Only ${total}h of ${expected}h booked`
+            });
+        }
+
+        if (total > maxDailyHours) {
+            issues.push({
+                date: dateStr,
+                severity: 'error',
+                type: 'over-hours',
+                message: `${total}h booked, more than the maximum of ${maxDailyHours}h`
+            });
+        }
+
+        if (this.isWeekend(date) && dayEntries.length > 0) {
+            issues.push({
+                date: dateStr,
+                severity: 'warning',
+                type: 'weekend',
+                message: `${dayEntries.length} ${dayEntries.length === 1 ? 'entry' : 'entries'} on a day off`
+            });
+        }
+
+        dayEntries.forEach(entry => {
+            const hours = parseFloat(entry.hours);
+            const label = `${entry.customer || 'No customer'} - ${entry.workItem || 'No work item'}`;
+
+            if (!hours || hours <= 0) {
+                issues.push({ date: dateStr, severity: 'error', type: 'zero-hours', entryId: entry.id, message: `${label} has no hours` });
+            } else if (hoursIncrement > 0 && Math.abs(hours / hoursIncrement - Math.round(hours / hoursIncrement)) > 1e-6) {
+                issues.push({ date: dateStr, severity: 'warning', type: 'odd-hours', entryId: entry.id, message: `${label} has ${hours}h, not a multiple of ${hoursIncrement}h` });
+            }
+
+            const catalogPair = this.getCatalogPair(entry.customer, entry.workItem);
+            if (catalogPair && catalogPair.billable === false && String(entry.activityType) === '1') {
+                issues.push({ date: dateStr, severity: 'warning', type: 'not-billable', entryId: entry.id, message: `${label} is booked billable but the catalog lists it as not billable` });
+            }
+        });
+
+        return issues;
+    }
+
+    validateDates(dates) {
+        return dates.flatMap(date => this.validateDay(this.formatDate(date)));
+    }
+
+    renderDayIssues(issues) {
+        if (issues.length === 0) return '';
+
+        return `
+            <div class="day-issues">
+                ${issues.map(issue => `
+                    <div class="day-issue day-issue-${issue.severity}">
+                        <i class="fas ${issue.severity === 'error' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}"></i> ${issue.message}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Days without scheduled hours in the work schedule (Saturday and Sunday by default)
+    isWeekend(date) {
+        return this.getScheduledHours(date) === 0;
+    }
+
+    renderCalendarView() {
+        this.safeLog('Rendering calendar view...');
+        const calendarGrid = document.getElementById('calendarGrid');
+        if (!calendarGrid) {
+            this.safeLog('❌ Calendar grid element not found', 'error');
+            return;
+        }
+
+        const currentYear = document.getElementById('currentYear');
+        if (currentYear && this.user) currentYear.textContent = `Year: ${this.getViewYears().join(' / ')}`;
+
+        this.updateViewToggle();
+        if (this.viewMode === 'month') {
+            this.renderMonthView(calendarGrid);
+            return;
+        }
+
+        calendarGrid.classList.remove('month-grid');
+        const weekDates = this.getWeekDates(this.currentWeekStart);
+
+        const weekPicker = document.getElementById('weekPicker');
+        const weekRange = document.getElementById('weekRange');
+        const viewLabel = document.getElementById('viewLabel');
+
+        if (weekPicker) weekPicker.value = this.formatDate(this.currentWeekStart);
+        if (weekRange) weekRange.textContent = `${this.formatShortDate(weekDates[0])} - ${this.formatShortDate(weekDates[6])}`;
+        if (viewLabel) viewLabel.textContent = 'Week of';
+
+        let html = '';
+
+        weekDates.forEach(date => {
+            const dateStr = this.formatDate(date);
+            const dayEntries = this.entries.get(dateStr) || [];
+            const dayTotalHours = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
+            const isWeekend = this.isWeekend(date);
+            const holidayName = this.getHolidayName(dateStr);
+            const dayIssues = this.validateDay(dateStr);
+
+            this.safeLog(`Rendering date ${dateStr}: ${dayEntries.length} entries, weekend: ${isWeekend}`);
+
+            html += `
+                <div class="calendar-day ${isWeekend ? 'weekend-day' : ''} ${holidayName ? 'holiday-day' : ''}" data-date="${dateStr}" tabindex="0">
+                    <div class="calendar-day-header">
+                        <div>
+                            <div class="day-name">${date.toLocaleDateString('en-US', { weekday: 'long' })}</div>
+                            <div class="day-date">${this.formatDisplayDate(date)}</div>
+                            ${holidayName ? `<div class="holiday-name"><i class="fas fa-umbrella-beach"></i> ${holidayName}</div>` : ''}
+                        </div>
+                        <div class="day-total">${dayTotalHours.toFixed(1)}h</div>
+                    </div>
+
+                    ${this.renderDayIssues(dayIssues)}
+
+                    <div class="entries-list">
+                        ${dayEntries.length > 0 ?
+                    dayEntries.map(entry => this.renderEntryItem(entry)).join('') :
+                    `<div class="empty-state">
+                                <i class="fas fa-calendar-plus"></i>
+                                <div>No entries yet</div>
+                                <div style="font-size: 10px; margin-top: 5px; color: #999;">
+                                    Click "Add Entry" to create one
+                                </div>
+                            </div>`
+                }
+                    </div>
+
+                    <button class="add-entry-btn" data-date="${dateStr}">
+                        <i class="fas fa-plus"></i> Add Entry
+                    </button>
+                </div>
+            `;
+        });
+
+        calendarGrid.innerHTML = html;
+
+        // Bind events to dynamically created elements
+        this.bindDynamicEvents();
+        this.updateWeekSummary();
+        this.updateTemplateReminder();
+        this.safeLog('✅ Calendar view rendered');
+    }
+
+    renderMonthView(calendarGrid) {
+        const monthDates = this.getMonthDates(this.currentMonthStart);
+
+        const weekPicker = document.getElementById('weekPicker');
+        const weekRange = document.getElementById('weekRange');
+        const viewLabel = document.getElementById('viewLabel');
+
+        if (weekPicker) weekPicker.value = this.formatDate(this.currentMonthStart);
+        if (weekRange) weekRange.textContent = this.currentMonthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        if (viewLabel) viewLabel.textContent = 'Month of';
+
+        // Monday-first grid: pad the first row up to the weekday of the 1st
+        const leadingDays = (monthDates[0].getDay() + 6) % 7;
+        let html = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+            .map(day => `<div class="month-weekday">${day}</div>`).join('');
+        html += '<div class="month-day month-day-blank"></div>'.repeat(leadingDays);
+
+        monthDates.forEach(date => {
+            const dateStr = this.formatDate(date);
+            const dayEntries = this.entries.get(dateStr) || [];
+            const dayTotalHours = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
+            const expectedHours = this.getExpectedHours(dateStr);
+            const completeness = this.getDayCompleteness(dateStr);
+            const dayIssues = this.validateDay(dateStr);
+            const issueSeverity = dayIssues.some(issue => issue.severity === 'error') ? 'error' : 'warning';
+            const holidayName = this.getHolidayName(dateStr);
+
+            html += `
+                <div class="month-day month-day-${completeness} ${this.isWeekend(date) ? 'weekend-day' : ''} ${holidayName ? 'holiday-day' : ''}" data-date="${dateStr}" tabindex="0">
+                    <div class="month-day-header">
+                        <button class="open-week" data-date="${dateStr}" title="Open week view">${date.getDate()}</button>
+                        ${holidayName ? `<i class="fas fa-umbrella-beach holiday-name" title="${holidayName}"></i>` : ''}
+                        ${dayIssues.length > 0 ? `
+                            <i class="fas fa-exclamation-triangle day-issue-${issueSeverity}" title="${dayIssues.map(issue => issue.message).join('\n')}"></i>` : ''}
+                        <span class="day-total" title="Expected ${expectedHours}h">${dayTotalHours.toFixed(1)}h</span>
+                    </div>
+                    <div class="month-entries">
+                        ${dayEntries.map(entry => this.renderEntryItem(entry)).join('')}
+                    </div>
+                    <button class="add-entry-btn" data-date="${dateStr}" title="Add entry">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+            `;
+        });
+
+        calendarGrid.classList.add('month-grid');
+        calendarGrid.innerHTML = html;
+
+        calendarGrid.querySelectorAll('.open-week').forEach(btn => {
+            btn.addEventListener('click', (e) => this.openWeekView(e.currentTarget.getAttribute('data-date')));
+        });
+
+        this.bindDynamicEvents();
+        this.updateWeekSummary();
+        this.updateTemplateReminder();
+        this.safeLog('✅ Month view rendered');
+    }
+
+    updateViewToggle() {
+        document.querySelectorAll('.view-toggle button').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-view') === this.viewMode);
+        });
+    }
+
+    setViewMode(mode) {
+        if (mode === this.viewMode) return;
+
+        this.viewMode = mode;
+        localStorage.setItem('viewMode', mode);
+
+        if (mode === 'month') {
+            this.currentMonthStart = this.getMonthStart(this.currentWeekStart);
+        } else if (this.getMonthStart(this.currentWeekStart).getTime() !== this.currentMonthStart.getTime()) {
+            this.currentWeekStart = this.getMonday(this.currentMonthStart);
+        }
+
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    openWeekView(dateStr) {
+        this.currentWeekStart = this.getMonday(new Date(`${dateStr}T12:00:00`));
+        this.viewMode = 'week';
+        localStorage.setItem('viewMode', 'week');
+        this.renderCalendarView();
+        return this.loadData(false); // Use cache for fast navigation
+    }
+
+    // The viewed week, or in the month view the week of the selected day
+    getActiveWeekStart() {
+        return this.viewMode === 'month' ?
+            this.getMonday(new Date(`${this.getFocusedDate()}T12:00:00`)) :
+            this.currentWeekStart;
+    }
+
+    // Batch entry and copy last week check the week's loaded entries, which the month view only has for
+    // days in the month, so from there they open the week of the selected day first
+    async showActiveWeek() {
+        if (this.viewMode !== 'month') return;
+
+        this.focusedDate = this.getFocusedDate();
+        await this.openWeekView(this.focusedDate);
+    }
+
+    // Keyboard shortcuts
+    getKeyboardShortcuts() {
+        return [
+            { keys: ['←', '→'], description: 'Previous / next day' },
+            { keys: ['↑', '↓'], description: 'Same weekday in the previous / next week' },
+            { keys: ['P', 'N'], description: 'Previous / next week (month in the month view)' },
+            { keys: ['T'], description: 'Go to today' },
+            { keys: ['W', 'M'], description: 'Week / month view' },
+            { keys: ['Enter', 'A'], description: 'Add an entry to the selected day' },
+            { keys: ['↑', '↓'], description: 'Move through customer and work item suggestions, Enter picks one' },
+            { keys: ['Enter'], description: 'Save the entry form' },
+            { keys: ['Shift+Enter'], description: 'Save & Add Another' },
+            { keys: ['Esc'], description: 'Close suggestions or the open dialog' },
+            { keys: ['Ctrl+K'], description: 'Quick entry command palette' },
+            { keys: ['Ctrl+Z'], description: 'Undo the last change' },
+            { keys: ['Ctrl+Shift+Z', 'Ctrl+Y'], description: 'Redo the last undone change' },
+            { keys: ['?'], description: 'Show this help' }
+        ];
+    }
+
+    handleKeyboardShortcut(e) {
+        if (e.key === 'Escape') {
+            if (document.querySelector('.autocomplete-suggestions')) {
+                this.hideSuggestions();
+            } else {
+                this.closeTopModal();
+            }
+            return;
+        }
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            if (!this.user || this.getOpenModals().length > 0) return;
+            e.preventDefault();
+            this.openCommandPalette();
+            return;
+        }
+
+        // Typing in a field, or Enter on a button, keeps its normal meaning
+        const target = e.target instanceof Element ? e.target : null;
+        if (target && target.closest('input, select, textarea, [contenteditable="true"]')) return;
+        if (target && e.key === 'Enter' && target.closest('button, a')) return;
+
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && ['z', 'y'].includes(e.key.toLowerCase())) {
+            if (!this.user || this.getOpenModals().length > 0) return;
+            e.preventDefault();
+            if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || !this.user || this.getOpenModals().length > 0) return;
+
+        const shortcuts = {
+            ArrowLeft: () => this.moveFocusedDay(-1),
+            ArrowRight: () => this.moveFocusedDay(1),
+            ArrowUp: () => this.moveFocusedDay(-7),
+            ArrowDown: () => this.moveFocusedDay(7),
+            p: () => this.viewMode === 'month' ? this.previousMonth() : this.previousWeek(),
+            n: () => this.viewMode === 'month' ? this.nextMonth() : this.nextWeek(),
+            t: () => this.focusDay(this.formatDate(new Date())),
+            w: () => this.setViewMode('week'),
+            m: () => this.setViewMode('month'),
+            a: () => this.openEntryModal(this.getFocusedDate()),
+            Enter: () => this.openEntryModal(this.getFocusedDate()),
+            '?': () => this.openShortcutHelpModal()
+        };
+
+        const shortcut = shortcuts[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+        if (!shortcut) return;
+
+        e.preventDefault();
+        shortcut();
+    }
+
+    getOpenModals() {
+        return Array.from(document.querySelectorAll('.modal')).filter(modal =>
+            modal.style.display && modal.style.display !== 'none'
+        );
+    }
+
+    // Dialogs opened later sit on top, so the last open one is closed first
+    closeTopModal() {
+        const modal = this.getOpenModals().pop();
+        if (!modal) return;
+
+        if (modal.id === 'entryModal') {
+            this.closeModal();
+            return;
+        }
+
+        const closeBtn = modal.querySelector('.close-modal');
+        if (closeBtn) {
+            closeBtn.click();
+        } else {
+            modal.remove();
+        }
+    }
+
+    // The selected day, or today when it is in view, or the first day in view
+    getFocusedDate() {
+        const viewDates = this.getViewDates().map(date => this.formatDate(date));
+        if (viewDates.includes(this.focusedDate)) return this.focusedDate;
+
+        const today = this.formatDate(new Date());
+        return viewDates.includes(today) ? today : viewDates[0];
+    }
+
+    focusDay(dateStr) {
+        this.focusedDate = dateStr;
+
+        const viewDates = this.getViewDates().map(date => this.formatDate(date));
+        if (!viewDates.includes(dateStr)) {
+            const date = new Date(`${dateStr}T12:00:00`);
+            if (this.viewMode === 'month') {
+                this.currentMonthStart = this.getMonthStart(date);
+            } else {
+                this.currentWeekStart = this.getMonday(date);
+            }
+            this.renderCalendarView();
+            this.loadData(false); // Use cache for fast navigation
+        }
+
+        this.highlightFocusedDay();
+        const day = document.querySelector(`.calendar-day[data-date="${dateStr}"], .month-day[data-date="${dateStr}"]`);
+        if (day) day.focus();
+    }
+
+    moveFocusedDay(days) {
+        this.focusDay(this.addDays(this.getFocusedDate(), days));
+    }
+
+    highlightFocusedDay() {
+        document.querySelectorAll('.focused-day').forEach(day => day.classList.remove('focused-day'));
+        if (!this.focusedDate) return;
+
+        const day = document.querySelector(`.calendar-day[data-date="${this.focusedDate}"], .month-day[data-date="${this.focusedDate}"]`);
+        if (day) day.classList.add('focused-day');
+    }
+
+    openShortcutHelpModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'shortcutHelpModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 550px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Keyboard Shortcuts</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                        ${this.getKeyboardShortcuts().map((shortcut, index) => `
+                            <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 8px 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                <span>${shortcut.description}</span>
+                                <span style="white-space: nowrap; margin-left: 15px;">${shortcut.keys.map(key => `<kbd class="shortcut-key">${key}</kbd>`).join(' ')}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p style="margin-top: 10px; font-size: 12px; color: #7f8c8d;">
+                        Calendar shortcuts work when no dialog is open and the cursor is not in a text field.
+                    </p>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closeShortcutHelpModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeShortcutHelpModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+    }
+
+    // Fuzzy matching: exact, prefix, word prefix, substring, characters in order, then a word start with typos.
+    // Returns { score, indices } with the matched character positions, or null when it does not match
+    fuzzyMatch(query, candidate) {
+        const q = query.trim().toLowerCase();
+        const c = candidate.toLowerCase();
+        if (!q) return null;
+
+        const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+        const wordStarts = range(0, c.length).filter(i => i === 0 || /[\s\-_/.]/.test(c[i - 1]));
+
+        if (c === q) return { score: 100, indices: range(0, q.length) };
+        if (c.startsWith(q)) return { score: 80, indices: range(0, q.length) };
+
+        const wordStart = wordStarts.find(i => c.startsWith(q, i));
+        if (wordStart !== undefined) return { score: 70, indices: range(wordStart, q.length) };
+
+        const substring = c.indexOf(q);
+        if (substring >= 0) return { score: 60, indices: range(substring, q.length) };
+
+        const indices = [];
+        let position = 0;
+        for (const char of q) {
+            position = c.indexOf(char, position);
+            if (position === -1) break;
+            indices.push(position++);
+        }
+        if (indices.length === q.length) return { score: 40, indices };
+
+        const allowed = this.getTypoAllowance(q.length);
+        let best = null;
+        wordStarts.forEach(start => {
+            for (let length = q.length - allowed; length <= q.length + allowed; length++) {
+                if (length <= 0 || start + length > c.length) continue;
+                const distance = this.editDistance(q, c.substr(start, length));
+                if (distance <= allowed && (!best || distance < best.distance)) {
+                    best = { distance, start, length };
+                }
+            }
+        });
+        return best ? { score: 30 - best.distance * 5, indices: range(best.start, best.length) } : null;
+    }
+
+    // Typo tolerance: one mistake from 4 characters on, two from 7
+    getTypoAllowance(length) {
+        return length >= 7 ? 2 : length >= 4 ? 1 : 0;
+    }
+
+    // Score of a match good enough to replace what was typed: at least a substring, or a typo in a whole word.
+    // Looser matches (scattered letters, a typo in part of a word) score 0, so "Acme" stays a new customer.
+    scoreFuzzyMatch(query, candidate) {
+        const match = this.fuzzyMatch(query, candidate);
+        if (!match) return 0;
+        if (match.score >= 60) return match.score;
+
+        const q = query.trim().toLowerCase();
+        const c = candidate.toLowerCase();
+        const allowed = this.getTypoAllowance(q.length);
+        const wholeWords = [c, ...c.split(/[\s\-_/.]+/)];
+        return wholeWords.some(word => this.editDistance(q, word) <= allowed) ? 25 : 0;
+    }
+
+    // Edits (insert, delete, substitute, swap neighbours) needed to turn a into b
+    editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    // Candidates matching the query, best first: match quality plus usage; all candidates by usage for an empty query
+    rankSuggestions(query, candidates, getUsage) {
+        return candidates
+            .map(value => {
+                const match = query.trim() ? this.fuzzyMatch(query, value) : { score: 0, indices: [] };
+                return match ? { value, indices: match.indices, score: match.score + this.getUsageBoost(getUsage(value)) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.value.localeCompare(b.value));
+    }
+
+    // Best confident fuzzy match among candidates, the shorter one on equal scores; null when none matches
+    resolveFuzzy(query, candidates) {
+        let best = null;
+        let bestScore = 0;
+
+        candidates.forEach(candidate => {
+            const score = this.scoreFuzzyMatch(query, candidate);
+            if (score > bestScore || (score === bestScore && score > 0 && candidate.length < best.length)) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // Command palette quick entry: "tue 4h billable ACME / Migration #sprint review"
+    parseQuickEntryDay(token, weekDates) {
+        const text = token.toLowerCase();
+        const today = new Date();
+
+        const relativeDays = { today: 0, yesterday: -1, tomorrow: 1 };
+        if (text in relativeDays) {
+            return this.addDays(this.formatDate(today), relativeDays[text]);
+        }
+
+        const fullDate = this.parseImportDate(token);
+        if (fullDate) return fullDate;
+
+        const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        const weekday = text.length >= 2 ? weekdays.findIndex(name => name.startsWith(text)) : -1;
+        if (weekday === -1) return null;
+
+        const date = weekDates.find(candidate => candidate.getDay() === weekday);
+        return date ? this.formatDate(date) : null;
+    }
+
+    // "4h", "4.5h", "4,5h", "90m" or "1h30" to hours; null when the token is not a duration
+    parseQuickEntryHours(token) {
+        let match = token.match(/^(\d+(?:[.,]\d+)?)h$/i);
+        if (match) return parseFloat(match[1].replace(',', '.'));
+
+        match = token.match(/^(\d+)h(\d{1,2})m?$/i);
+        if (match) return parseInt(match[1]) + parseInt(match[2]) / 60;
+
+        match = token.match(/^(\d+)m(?:in)?$/i);
+        if (match) return parseInt(match[1]) / 60;
+
+        return null;
+    }
+
+    // Activity type at the start of tokens, as a full (possibly multi-word) name or a unique prefix of 3+ letters
+    parseQuickEntryActivityType(tokens) {
+        const options = this.getActivityTypeOptions().map(option => ({ value: option.value, label: option.label.trim().toLowerCase() }));
+
+        for (let length = Math.min(3, tokens.length); length > 0; length--) {
+            const phrase = tokens.slice(0, length).join(' ').toLowerCase();
+            const exact = options.find(option => option.label === phrase);
+            if (exact) return { activityType: exact.value, length };
+        }
+
+        const word = tokens[0].toLowerCase();
+        const prefixed = word.length >= 3 ? options.filter(option => option.label.startsWith(word)) : [];
+        return prefixed.length === 1 ? { activityType: prefixed[0].value, length: 1 } : null;
+    }
+
+    // One palette line to { line, entry, errors, notes }; day, hours and activity type may come in any order before the customer
+    parseQuickEntry(line, weekDates) {
+        const errors = [];
+        const notes = [];
+        const hashIndex = line.indexOf('#');
+        const comment = hashIndex >= 0 ? line.substring(hashIndex + 1).trim() : '';
+        const tokens = (hashIndex >= 0 ? line.substring(0, hashIndex) : line).trim().split(/\s+/).filter(Boolean);
+
+        let date = null;
+        let hours = null;
+        let activityType = null;
+
+        while (tokens.length > 0) {
+            const day = date ? null : this.parseQuickEntryDay(tokens[0], weekDates);
+            const duration = hours !== null ? null : this.parseQuickEntryHours(tokens[0]);
+            const activity = activityType !== null ? null : this.parseQuickEntryActivityType(tokens);
+
+            if (day) {
+                date = day;
+                tokens.shift();
+            } else if (duration !== null) {
+                hours = duration;
+                tokens.shift();
+            } else if (activity) {
+                activityType = activity.activityType;
+                tokens.splice(0, activity.length);
+            } else {
+                break;
+            }
+        }
+
+        // A day or hours may also trail the work item: "ACME / Migration 4h fri"
+        while (tokens.length > 1) {
+            const last = tokens[tokens.length - 1];
+            const day = date ? null : this.parseQuickEntryDay(last, weekDates);
+            const duration = hours !== null ? null : this.parseQuickEntryHours(last);
+
+            if (day) {
+                date = day;
+            } else if (duration !== null) {
+                hours = duration;
+            } else {
+                break;
+            }
+            tokens.pop();
+        }
+
+        if (!date) date = this.getFocusedDate();
+        if (activityType === null) activityType = this.lastEntryData.activityType || '1';
+
+        // Entries go into the week the palette was opened for; "today" or a date may point elsewhere
+        if (!weekDates.some(weekDate => this.formatDate(weekDate) === date)) {
+            errors.push(`${this.formatShortDate(new Date(`${date}T12:00:00`))} is not in this week`);
+        }
+
+        const [typedCustomer = '', ...workItemParts] = tokens.join(' ').split('/');
+        const typedWorkItem = workItemParts.join('/').trim();
+
+        let customer = typedCustomer.trim();
+        let workItem = typedWorkItem;
+
+        if (!customer) {
+            errors.push('Customer missing');
+        } else {
+            const resolvedCustomer = this.resolveFuzzy(customer, this.getCustomers());
+            if (resolvedCustomer) {
+                if (resolvedCustomer !== customer) notes.push(`matched ${resolvedCustomer} from '${customer}'`);
+                customer = resolvedCustomer;
+            } else {
+                notes.push('new customer');
+            }
+
+            const workItems = this.getWorkItemsForCustomer(customer);
+            if (!workItem && workItems.length === 1) {
+                workItem = workItems[0];
+                notes.push(`only work item: ${workItem}`);
+            } else if (!workItem) {
+                errors.push('Work item missing - write "Customer / Work item"');
+            } else {
+                const resolvedWorkItem = this.resolveFuzzy(workItem, workItems);
+                if (resolvedWorkItem) {
+                    if (resolvedWorkItem !== workItem) notes.push(`matched ${resolvedWorkItem} from '${workItem}'`);
+                    workItem = resolvedWorkItem;
+                } else if (resolvedCustomer) {
+                    notes.push('new work item');
+                }
+            }
+        }
+
+        if (hours === null) {
+            errors.push('Hours missing - e.g. 4h');
+        } else if (hours <= 0 || hours > 24) {
+            errors.push('Hours must be between 0 and 24');
+        }
+
+        return {
+            line,
+            entry: {
+                date,
+                activityType: String(activityType),
+                customer,
+                workItem,
+                comment,
+                hours: hours !== null ? String(Math.round(hours * 100) / 100) : ''
+            },
+            errors,
+            notes
+        };
+    }
+
+    openCommandPalette() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        // Weekday names refer to the viewed week, or in the month view to the week of the selected day
+        const weekStart = this.getActiveWeekStart();
+        const weekDates = this.getWeekDates(weekStart);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'commandPaletteModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: flex-start;
+            padding-top: 10vh;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 1000px; width: 90%; max-height: 80vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                    <h3>Quick Entry - week of ${this.formatShortDate(weekDates[0])}</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <textarea id="quickEntryInput" class="quick-entry-input" rows="3" placeholder="tue 4h billable ACME / Migration #sprint review"></textarea>
+                    <div style="font-size: 12px; color: #7f8c8d; margin: 5px 0 15px;">
+                        One entry per line: day (mon-sun, today, a date), hours (4h, 1h30, 90m), activity type, Customer / Work item, #comment.
+                        Day and activity type default to the selected day and your last activity type. Ctrl+Enter adds the entries.
+                    </div>
+                    <div id="quickEntrySummary" style="margin-bottom: 10px; font-size: 14px;"></div>
+                    <div id="quickEntryPreview"></div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="closeCommandPalette" class="btn-secondary">Cancel</button>
+                    <button id="submitQuickEntries" class="btn-primary batch-submit" disabled>
+                        <i class="fas fa-bolt"></i> Add Entries
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('#quickEntryInput');
+        const submitBtn = modal.querySelector('#submitQuickEntries');
+        let parsedLines = [];
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeCommandPalette').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        const renderPreview = () => {
+            parsedLines = input.value.split('\n')
+                .filter(line => line.trim())
+                .map(line => this.parseQuickEntry(line.trim(), weekDates));
+            const validCount = parsedLines.filter(parsed => parsed.errors.length === 0).length;
+
+            submitBtn.disabled = validCount === 0 || validCount < parsedLines.length;
+            modal.querySelector('#quickEntrySummary').textContent = parsedLines.length === 0 ? '' :
+                `${parsedLines.length} ${parsedLines.length === 1 ? 'entry' : 'entries'}, ${parsedLines.length - validCount} with errors`;
+
+            modal.querySelector('#quickEntryPreview').innerHTML = parsedLines.length === 0 ? '' : `
+                <table class="batch-entry-table">
+                    <thead>
+                        <tr>
+                            <th>Day</th>
+                            <th>Hours</th>
+                            <th>Activity Type</th>
+                            <th>Customer</th>
+                            <th>Work Item</th>
+                            <th>Comment</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${parsedLines.map(({ entry, errors, notes }) => `
+                            <tr class="batch-row quick-entry-row ${errors.length > 0 ? 'batch-row-failed' : ''}">
+                                <td>${this.formatShortDate(new Date(`${entry.date}T12:00:00`))}</td>
+                                <td>${entry.hours}</td>
+                                <td>${this.getActivityTypeName(entry.activityType)}</td>
+                                <td>${entry.customer}</td>
+                                <td>${entry.workItem}</td>
+                                <td>${entry.comment}</td>
+                                <td class="batch-status">
+                                    ${errors.length > 0 ? `<small class="import-errors">${errors.join('<br>')}</small>` : ''}
+                                    ${notes.length > 0 ? `<small style="color: #7f8c8d;">${notes.join(', ')}</small>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        };
+
+        const submit = async () => {
+            if (submitBtn.disabled) return;
+
+            const entries = parsedLines.map(parsed => parsed.entry);
+            closeModal();
+            await this.createGeneratedEntries(entries, 'quick');
+        };
+
+        input.addEventListener('input', renderPreview);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                submit();
+            }
+        });
+        submitBtn.addEventListener('click', submit);
+        input.focus();
+    }
+
+    bindDynamicEvents() {
+        document.querySelectorAll('.edit-entry').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const entryItem = e.target.closest('.entry-item');
+                if (entryItem) {
+                    const entryId = entryItem.getAttribute('data-entry-id');
+                    this.editEntry(entryId);
+                }
+            });
+        });
+
+        document.querySelectorAll('.delete-entry').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const entryItem = e.target.closest('.entry-item');
+                if (entryItem) {
+                    const entryId = entryItem.getAttribute('data-entry-id');
+                    this.deleteEntry(entryId);
+                }
+            });
+        });
+
+        document.querySelectorAll('.entry-item[draggable="true"]').forEach(item => {
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', item.getAttribute('data-entry-id'));
+                e.dataTransfer.effectAllowed = 'copyMove';
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        });
+
+        document.querySelectorAll('.calendar-day, .month-day[data-date]').forEach(day => {
+            day.addEventListener('focus', () => {
+                this.focusedDate = day.getAttribute('data-date');
+                this.highlightFocusedDay();
+            });
+            day.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = e.ctrlKey || e.metaKey ? 'copy' : 'move';
+                day.classList.add('drop-target');
+            });
+            day.addEventListener('dragleave', (e) => {
+                if (!day.contains(e.relatedTarget)) day.classList.remove('drop-target');
+            });
+            day.addEventListener('drop', (e) => {
+                e.preventDefault();
+                day.classList.remove('drop-target');
+                const entryId = e.dataTransfer.getData('text/plain');
+                if (entryId) {
+                    this.moveEntryToDate(entryId, day.getAttribute('data-date'), e.ctrlKey || e.metaKey);
+                }
+            });
+        });
+
+        document.querySelectorAll('.add-entry-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const date = e.currentTarget.getAttribute('data-date');
+                this.openEntryModal(date);
+            });
+        });
+
+        this.highlightFocusedDay();
+    }
+
+    findLoadedEntry(entryId) {
+        for (const [date, dayEntries] of this.entries.entries()) {
+            const entry = dayEntries.find(candidate => String(candidate.id) === String(entryId));
+            if (entry) return { date, entry };
+        }
+        return null;
+    }
+
+    // Drag and drop: move an entry to another day, or copy it there
+    async moveEntryToDate(entryId, targetDate, copy = false) {
+        const found = this.findLoadedEntry(entryId);
+        if (!found) {
+            this.showNotification('Entry not found', 'error');
+            return;
+        }
+
+        const { date: sourceDate, entry } = found;
+        if (sourceDate === targetDate && !copy) return;
+
+        const movedEntry = { ...this.entryFields(entry), date: targetDate };
+
+        // Same duplicate check as the entry form, on the day the entry is dropped on
+        const duplicate = this.findDuplicateEntry(movedEntry);
+        if (duplicate) {
+            const choice = await this.promptDuplicateEntries([{ entry: movedEntry, existing: duplicate }]);
+            if (choice === 'cancel') return;
+            if (choice !== 'save') {
+                await this.resolveDroppedDuplicate(entry, duplicate, movedEntry, choice, copy);
+                return;
+            }
+        }
+
+        const sourceEntries = this.entries.get(sourceDate);
+        if (!this.entries.has(targetDate)) {
+            this.entries.set(targetDate, []);
+        }
+
+        if (copy) {
+            if (this.isOffline()) {
+                this.queueOperation({ type: 'create', entry: movedEntry });
+                this.showNotification('You are offline - copy queued and will be saved when the connection returns', 'warning');
+                await this.loadData(false);
+                return;
+            }
+
+            // Optimistic: show the copy right away, replace it with the created item when it exists
+            const optimisticEntry = { ...movedEntry, id: `copy:${Date.now()}` };
+            this.entries.get(targetDate).push(optimisticEntry);
+            this.renderCalendarView();
+
+            try {
+                const createdItem = await this.createEntryItem(movedEntry);
+                optimisticEntry.id = createdItem?.id;
+                this.clearCache();
+                this.showNotification(`Entry copied to ${this.formatShortDate(new Date(`${targetDate}T12:00:00`))}`, 'success');
+            } catch (error) {
+                const targetEntries = this.entries.get(targetDate);
+                targetEntries.splice(targetEntries.indexOf(optimisticEntry), 1);
+
+                if (this.isNetworkError(error)) {
+                    this.queueOperation({ type: 'create', entry: movedEntry, maybeSent: true });
+                    this.showNotification('Monday.com is unreachable - copy queued and will be saved when the connection returns', 'warning');
+                    await this.loadData(false);
+                    return;
+                }
+                this.showNotification(`Failed to copy entry: ${this.describeApiError(error)}`, 'error');
+                this.safeLog(`Copy entry failed: ${error.message}`, 'error');
+            }
+            this.renderCalendarView();
+            return;
+        }
+
+        // Entries that only exist in the outbox get their queued operation changed instead
+        if (this.isPendingEntryId(entry.id)) {
+            this.updateQueuedEntry(this.getOutboxOperationId(entry.id), movedEntry);
+            await this.loadData(false);
+            return;
+        }
+
+        if (this.isOffline()) {
+            await this.queueEntryUpdate(entry, movedEntry);
+            return;
+        }
+
+        // Optimistic: move the card first, put it back if Monday.com rejects the change
+        sourceEntries.splice(sourceEntries.indexOf(entry), 1);
+        this.entries.get(targetDate).push({ ...entry, date: targetDate });
+        this.renderCalendarView();
+
+        try {
+            await this.updateEntryItem(entry.id, movedEntry, sourceDate);
+
+            this.discardOutboxOperationsForItem(entry.id);
+            this.clearCache();
+            this.recordHistory('Move entry', [{
+                type: 'update',
+                itemId: entry.id,
+                before: this.entryFields(entry),
+                after: movedEntry
+            }]);
+            this.showNotification(`Entry moved to ${this.formatShortDate(new Date(`${targetDate}T12:00:00`))}`, 'success');
+        } catch (error) {
+            const targetEntries = this.entries.get(targetDate);
+            targetEntries.splice(targetEntries.findIndex(candidate => candidate.id === entry.id), 1);
+            sourceEntries.push(entry);
+            this.renderCalendarView();
+
+            if (this.isNetworkError(error)) {
+                await this.queueEntryUpdate(entry, movedEntry);
+                return;
+            }
+            this.showNotification(`Failed to move entry: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Move entry failed: ${error.message}`, 'error');
+        }
+    }
+
+    // readOnly drops the edit/delete buttons and dragging, e.g. for colleagues' entries
+    renderEntryItem(entry, { readOnly = false } = {}) {
+        const activityClass = this.getActivityTypeName(entry.activityType).toLowerCase().replace(/ /g, '_');
+        const displayCustomer = entry.customer && entry.customer !== 'null' ? entry.customer : 'No customer';
+        const displayWorkItem = entry.workItem && entry.workItem !== 'null' ? entry.workItem : 'No work item';
+        const displayComment = entry.comment && entry.comment !== 'null' ? entry.comment : '';
+        const pendingClass = entry.pending ? `pending-entry ${entry.pending === 'delete' ? 'pending-delete' : ''} ${entry.syncStatus !== 'pending' ? 'sync-problem' : ''}` : '';
+        const pendingLabel = entry.syncStatus === 'conflict' ? 'Conflict' : entry.syncStatus === 'failed' ? 'Sync failed' : `Pending ${entry.pending}`;
+
+        return `
+            <div class="entry-item ${activityClass} ${pendingClass}" data-entry-id="${entry.id}" draggable="${readOnly || entry.pending === 'delete' ? 'false' : 'true'}" ${readOnly ? '' : 'title="Drag to another day to move, hold Ctrl to copy"'}>
+                ${entry.pending ? `<div class="entry-pending-badge"><i class="fas fa-cloud-upload-alt"></i> ${pendingLabel}</div>` : ''}
+                <div class="entry-header">
+                    <div class="entry-customer" title="${displayCustomer}">${this.truncateText(displayCustomer, 20)}</div>
+                    <div class="entry-hours">${entry.hours}h</div>
+                </div>
+                <div class="entry-details">
+                    <span class="entry-activity">${this.getActivityTypeName(entry.activityType)}</span>
+                    <span title="${displayWorkItem}">${this.truncateText(displayWorkItem, 25)}</span>
+                    ${displayComment ? `<br><small title="${displayComment}">${this.truncateText(displayComment, 30)}</small>` : ''}
+                </div>
+                ${readOnly ? '' : `
+                <div class="entry-actions">
+                    <button class="edit-entry" title="Edit entry">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="delete-entry" title="Delete entry">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>`}
+            </div>
+        `;
+    }
+
+    truncateText(text, maxLength) {
+        if (!text || text.length <= maxLength) return text;
+        return text.substring(0, maxLength) + '...';
+    }
+
+    getActivityTypeName(value) {
+        const types = {
+            0: 'Vacation', 1: 'Billable', 2: 'Holding', 3: 'Education',
+            4: 'Work Reduction', 5: 'TBD', 6: 'Holiday', 7: 'Presales',
+            8: 'Illness', 9: 'Paid Not Worked', 10: 'Intellectual Capital',
+            11: 'Business Development', 12: 'Overhead'
+        };
+        return types[value] || 'Unknown';
+    }
+
+    updateWeekSummary() {
+        let totalHours = 0;
+        let totalEntries = 0;
+
+        this.entries.forEach((dayEntries) => {
+            totalEntries += dayEntries.length;
+            dayEntries.forEach(entry => {
+                totalHours += parseFloat(entry.hours) || 0;
+            });
+        });
+
+        const weekTotalHours = document.getElementById('weekTotalHours');
+        const weekTotalEntries = document.getElementById('weekTotalEntries');
+
+        if (weekTotalHours) weekTotalHours.textContent = totalHours.toFixed(1);
+        if (weekTotalEntries) weekTotalEntries.textContent = totalEntries;
+
+        const weekIssueCount = document.getElementById('weekIssueCount');
+        if (weekIssueCount) weekIssueCount.textContent = this.user ? this.validateDates(this.getViewDates()).length : 0;
+    }
+
+    openEntryModal(date) {
+        this.currentEditingDate = date;
+        this.currentEditingEntry = null;
+        this.isEditing = false;
+
+        const modal = document.getElementById('entryModal');
+        const modalDate = document.getElementById('modalDate');
+        const modalTitle = document.getElementById('modalTitle');
+
+        if (modalDate) modalDate.textContent = this.formatDisplayDate(new Date(date));
+        if (modalTitle) modalTitle.textContent = 'Add Entry for';
+
+        const saveEntryBtn = document.getElementById('saveEntry');
+        const updateEntryBtn = document.getElementById('updateEntry');
+        const addAnotherBtn = document.getElementById('addAnother');
+
+        if (saveEntryBtn) saveEntryBtn.style.display = 'block';
+        if (updateEntryBtn) updateEntryBtn.style.display = 'none';
+        if (addAnotherBtn) addAnotherBtn.style.display = 'block';
+
+        this.fillFormWithData(this.lastEntryData);
+        this.setEntryDateField(date, false);
+
+        // Setup autocomplete for the form
+        this.setupFormAutocomplete();
+
+        if (modal) modal.style.display = 'block';
+    }
+
+    editEntry(entryId) {
+        let foundEntry = null;
+        let foundDate = null;
+
+        for (const [date, entries] of this.entries.entries()) {
+            const entry = entries.find(e => e.id === entryId);
+            if (entry) {
+                foundEntry = entry;
+                foundDate = date;
+                break;
+            }
+        }
+
+        if (!foundEntry) {
+            this.showNotification('Entry not found', 'error');
+            return;
+        }
+
+        this.currentEditingDate = foundDate;
+        this.currentEditingEntry = foundEntry;
+        this.isEditing = true;
+
+        const modal = document.getElementById('entryModal');
+        const modalDate = document.getElementById('modalDate');
+        const modalTitle = document.getElementById('modalTitle');
+
+        if (modalDate) modalDate.textContent = this.formatDisplayDate(new Date(foundDate));
+        if (modalTitle) modalTitle.textContent = 'Edit Entry for';
+
+        const saveEntryBtn = document.getElementById('saveEntry');
+        const updateEntryBtn = document.getElementById('updateEntry');
+        const addAnotherBtn = document.getElementById('addAnother');
+
+        if (saveEntryBtn) saveEntryBtn.style.display = 'none';
+        if (updateEntryBtn) updateEntryBtn.style.display = 'block';
+        if (addAnotherBtn) addAnotherBtn.style.display = 'none';
+
+        this.fillFormWithData(foundEntry);
+        this.setEntryDateField(foundDate, true);
+
+        if (modal) modal.style.display = 'block';
+    }
+
+    fillFormWithData(data) {
+        const activityType = document.getElementById('activityType');
+        const customer = document.getElementById('customer');
+        const workItem = document.getElementById('workItem');
+        const comment = document.getElementById('comment');
+        const hours = document.getElementById('hours');
+
+        if (activityType) activityType.value = data.activityType || '1';
+        if (customer) customer.value = data.customer || '';
+        if (workItem) workItem.value = data.workItem || '';
+        if (comment) comment.value = data.comment || '';
+        if (hours) hours.value = data.hours || '8';
+    }
+
+    // The date field is only offered when editing; new entries take the day they were opened for
+    setEntryDateField(date, visible) {
+        const entryDate = document.getElementById('entryDate');
+        const entryDateGroup = document.getElementById('entryDateGroup');
+
+        if (entryDate) entryDate.value = date || '';
+        if (entryDateGroup) entryDateGroup.style.display = visible ? 'block' : 'none';
+    }
+
+    async deleteEntry(entryId) {
+        let entryToDelete = null;
+        let entryDate = null;
+
+        for (const [date, entries] of this.entries.entries()) {
+            const entry = entries.find(e => e.id === entryId);
+            if (entry) {
+                entryToDelete = entry;
+                entryDate = date;
+                break;
+            }
+        }
+
+        if (!entryToDelete) {
+            this.showNotification('Entry not found', 'error');
+            return;
+        }
+
+        const confirmation = confirm(
+            `Are you sure you want to delete this entry?\n\n` +
+            `Customer: ${entryToDelete.customer}\n` +
+            `Work Item: ${entryToDelete.workItem}\n` +
+            `Hours: ${entryToDelete.hours}\n` +
+            `Activity: ${this.getActivityTypeName(entryToDelete.activityType)}`
+        );
+
+        if (!confirmation) {
+            return;
+        }
+
+        // Entries that only exist in the outbox are simply dropped from it
+        if (this.isPendingEntryId(entryId)) {
+            this.discardOutboxOperation(this.getOutboxOperationId(entryId));
+            this.showNotification('Pending entry discarded', 'success');
+            await this.loadData(false);
+            return;
+        }
+
+        if (this.isOffline()) {
+            await this.queueEntryDelete(entryToDelete);
+            return;
+        }
+
+        this.showLoading('Deleting entry...');
+
+        try {
+            await this.mondayClient.deleteItem(entryId);
+            this.showNotification('Entry deleted successfully!', 'success');
+            this.recordHistory('Delete entry', [{ type: 'delete', itemId: entryId, before: this.entryFields(entryToDelete) }]);
+            this.markItemForSync(entryId);
+            this.discardOutboxOperationsForItem(entryId);
+            this.removeCachedItem(entryId);
+
+            // Remove from local entries
+            if (entryDate) {
+                const dayEntries = this.entries.get(entryDate) || [];
+                const updatedEntries = dayEntries.filter(entry => entry.id !== entryId);
+                this.entries.set(entryDate, updatedEntries);
+            }
+
+            this.renderCalendarView();
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                await this.queueEntryDelete(entryToDelete);
+                return;
+            }
+            this.showNotification(`Failed to delete entry: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Delete entry failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    closeModal() {
+        const modal = document.getElementById('entryModal');
+        if (modal) modal.style.display = 'none';
+        this.currentEditingDate = null;
+        this.currentEditingEntry = null;
+        this.isEditing = false;
+        this.hideSuggestions();
+        this.updatePairUsageHint(null);
+    }
+
+    // Enter can arrive again (double press) while a save is running; the loading overlay only stops clicks
+    async runEntrySave(save) {
+        if (this.isSavingEntry) return;
+
+        this.isSavingEntry = true;
+        try {
+            await save();
+        } finally {
+            this.isSavingEntry = false;
+        }
+    }
+
+    async saveEntry(addAnother = false) {
+        await this.runEntrySave(() => this.saveEntryFromForm(addAnother));
+    }
+
+    async saveEntryFromForm(addAnother) {
+        const form = document.getElementById('entryForm');
+        if (!form || !form.checkValidity()) {
+            if (form) form.reportValidity();
+            return;
+        }
+
+        const activityType = document.getElementById('activityType');
+        const customer = document.getElementById('customer');
+        const workItem = document.getElementById('workItem');
+        const comment = document.getElementById('comment');
+        const hours = document.getElementById('hours');
+
+        if (!activityType || !customer || !workItem || !hours) {
+            this.showNotification('Form elements not found', 'error');
+            return;
+        }
+
+        const entry = {
+            date: this.currentEditingDate,
+            activityType: activityType.value,
+            customer: customer.value.trim(),
+            workItem: workItem.value.trim(),
+            comment: comment.value.trim(),
+            hours: hours.value
+        };
+
+        this.lastEntryData = { ...entry };
+
+        // Learn from this new entry
+        this.addCustomerWorkPair(entry.customer, entry.workItem);
+
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        const duplicate = this.findDuplicateEntry(entry);
+        if (duplicate) {
+            const choice = await this.promptDuplicateEntries([{ entry, existing: duplicate }]);
+            if (choice === 'cancel') return;
+            if (choice !== 'save') {
+                await this.resolveDuplicateEntry(duplicate, entry, choice, addAnother);
+                return;
+            }
+        }
+
+        if (this.isOffline()) {
+            await this.queueEntryCreate(entry, addAnother);
+            return;
+        }
+
+        this.showLoading('Saving entry...');
+
+        try {
+            const createdItem = await this.createEntryItem(entry);
+
+            this.showNotification('Entry saved successfully!', 'success');
+
+            // Invalidate cache since we added new data
+            this.clearCache();
+
+            // Keep the entry in the loaded map so a repeated "Save & Add Another" is caught as a duplicate
+            this.addLoadedEntry({ ...entry, id: createdItem?.id });
+
+            if (addAnother) {
+                const customerInput = document.getElementById('customer');
+                if (customerInput) customerInput.focus();
+            } else {
+                this.closeModal();
+                await this.loadData(false); // Use cache if available
+            }
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                await this.queueEntryCreate(entry, addAnother, true);
+                return;
+            }
+            this.showNotification(`Failed to save entry: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Save entry failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Duplicate detection: same date, customer and work item as an entry already loaded (or in the given
+    // date -> entries map, for dates outside the view)
+    findDuplicateEntry(entry, excludeId = null, entries = this.entries) {
+        const normalize = value => String(value || '').trim().toLowerCase();
+
+        return (entries.get(entry.date) || []).find(existing =>
+            existing.pending !== 'delete' &&
+            String(existing.id) !== String(excludeId) &&
+            normalize(existing.customer) === normalize(entry.customer) &&
+            normalize(existing.workItem) === normalize(entry.workItem)
+        ) || null;
+    }
+
+    addLoadedEntry(entry) {
+        if (!entry.id) return;
+        if (!this.entries.has(entry.date) && !this.getViewDates().some(date => this.formatDate(date) === entry.date)) return;
+
+        if (!this.entries.has(entry.date)) {
+            this.entries.set(entry.date, []);
+        }
+        this.entries.get(entry.date).push(entry);
+    }
+
+    // The existing entry with the new entry's hours added to it
+    mergeDuplicateEntry(existing, entry) {
+        const comments = [existing.comment, entry.comment].filter(comment => comment && comment !== 'null');
+
+        return {
+            ...this.entryFields(existing),
+            id: existing.id,
+            comment: Array.from(new Set(comments)).join('; '),
+            hours: String((parseFloat(existing.hours) || 0) + (parseFloat(entry.hours) || 0))
+        };
+    }
+
+    // Ask what to do with new entries (items holding an entry) that duplicate loaded ones, then update the
+    // existing entries if asked to. Resolves to null when cancelled, otherwise to lists of the given items:
+    // { remaining: still to be created, updated, failed }. onStatus(item, status, message) reports progress.
+    // entries is passed on to findDuplicateEntry.
+    async applyDuplicateChoice(items, onStatus = () => {}, entries = this.entries) {
+        const duplicates = items
+            .map(item => ({ item, entry: item.entry, existing: this.findDuplicateEntry(item.entry, null, entries) }))
+            .filter(({ existing }) => existing);
+        const result = { remaining: items, updated: [], failed: [] };
+        if (duplicates.length === 0) return result;
+
+        const choice = await this.promptDuplicateEntries(duplicates);
+        if (choice === 'cancel') return null;
+        if (choice === 'save') return result;
+
+        result.remaining = items.filter(item => !duplicates.some(duplicate => duplicate.item === item));
+        for (const { item, entry, existing } of duplicates) {
+            const updatedEntry = choice === 'merge' ?
+                this.mergeDuplicateEntry(existing, entry) :
+                { ...this.entryFields(entry), id: existing.id };
+
+            try {
+                onStatus(item, 'saving');
+                const status = await this.updateExistingEntry(existing, updatedEntry);
+                Object.assign(existing, this.entryFields(updatedEntry));
+                onStatus(item, status === 'queued' ? 'queued' : 'saved');
+                result.updated.push(item);
+            } catch (error) {
+                onStatus(item, 'failed', error.message);
+                this.safeLog(`Updating existing entry for ${entry.date} failed: ${error.message}`, 'error');
+                result.failed.push(item);
+            }
+        }
+        return result;
+    }
+
+    // Resolves to 'merge', 'update', 'save' or 'cancel'
+    promptDuplicateEntries(duplicates) {
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'modal';
+            modal.id = 'duplicateEntryModal';
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0,0,0,0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1002;
+            `;
+
+            modal.innerHTML = `
+                <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                    <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                        <h3>Possible Duplicate ${duplicates.length === 1 ? 'Entry' : 'Entries'}</h3>
+                        <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                    </div>
+
+                    <div class="modal-body">
+                        <p style="margin-bottom: 10px;">
+                            ${duplicates.length === 1 ? 'An entry' : 'Entries'} for the same customer and work item already exist on these days:
+                        </p>
+                        <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                            ${duplicates.map(({ entry, existing }, index) => `
+                                <div class="pair-item" style="padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                    <strong>${this.formatShortDate(new Date(`${entry.date}T12:00:00`))}</strong> - ${entry.customer} - ${entry.workItem}
+                                    <div style="font-size: 12px; color: #7f8c8d;">
+                                        Existing: ${existing.hours}h ${this.getActivityTypeName(existing.activityType)} / New: ${entry.hours}h ${this.getActivityTypeName(entry.activityType)}
+                                    </div>
+                                    ${String(existing.activityType) !== String(entry.activityType) ? `
+                                        <div class="duplicate-activity-conflict">
+                                            <i class="fas fa-exclamation-triangle"></i> Different activity type: Merge Hours keeps ${this.getActivityTypeName(existing.activityType)}, Update Existing uses ${this.getActivityTypeName(entry.activityType)}
+                                        </div>` : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end; flex-wrap: wrap;">
+                        <button data-choice="cancel" class="btn-secondary">Cancel</button>
+                        <button data-choice="save" class="btn-secondary">Save Anyway</button>
+                        <button data-choice="update" class="btn-secondary">Update Existing</button>
+                        <button data-choice="merge" class="btn-primary">Merge Hours</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+
+            const choose = (choice) => {
+                modal.remove();
+                resolve(choice);
+            };
+
+            modal.querySelector('.close-modal').addEventListener('click', () => choose('cancel'));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) choose('cancel');
+            });
+            modal.querySelectorAll('[data-choice]').forEach(btn => {
+                btn.addEventListener('click', () => choose(btn.getAttribute('data-choice')));
+            });
+        });
+    }
+
+    // Send an update of an existing entry; resolves to 'updated' or 'queued' (pending entry, offline or unreachable)
+    async updateExistingEntry(existing, updatedEntry) {
+        if (this.isPendingEntryId(existing.id)) {
+            this.updateQueuedEntry(this.getOutboxOperationId(existing.id), updatedEntry);
+            return 'queued';
+        }
+
+        const queueUpdate = () => {
+            this.queueOperation({
+                type: 'update',
+                itemId: String(existing.id),
+                entry: this.entryFields(updatedEntry),
+                base: this.entryFields(existing.base || existing)
+            });
+            return 'queued';
+        };
+
+        if (this.isOffline()) {
+            return queueUpdate();
+        }
+
+        try {
+            await this.updateEntryItem(existing.id, updatedEntry, existing.date);
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                return queueUpdate();
+            }
+            throw error;
+        }
+
+        this.markItemForSync(existing.id);
+        this.discardOutboxOperationsForItem(existing.id);
+        this.clearCache();
+        this.recordHistory('Update entry', [{
+            type: 'update',
+            itemId: existing.id,
+            before: this.entryFields(existing),
+            after: this.entryFields(updatedEntry)
+        }]);
+        return 'updated';
+    }
+
+    // Apply a 'merge' or 'update' choice from the duplicate prompt to the existing entry
+    async resolveDuplicateEntry(existing, entry, choice, addAnother = false) {
+        const updatedEntry = choice === 'merge' ?
+            this.mergeDuplicateEntry(existing, entry) :
+            { ...this.entryFields(entry), id: existing.id };
+
+        this.showLoading('Updating existing entry...');
+        try {
+            const result = await this.updateExistingEntry(existing, updatedEntry);
+            Object.assign(existing, this.entryFields(updatedEntry));
+
+            this.showNotification(result === 'queued' ?
+                'Existing entry update queued and will be sent when the connection returns' :
+                `Existing entry ${choice === 'merge' ? 'merged' : 'updated'} successfully!`, result === 'queued' ? 'warning' : 'success');
+
+            if (addAnother) {
+                const customerInput = document.getElementById('customer');
+                if (customerInput) customerInput.focus();
+            } else {
+                this.closeModal();
+                await this.loadData(false);
+            }
+        } catch (error) {
+            this.showNotification(`Failed to update existing entry: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Duplicate resolution failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Apply a 'merge' or 'update' choice for an entry dropped on a day that has a duplicate: the existing entry
+    // takes it over instead of a new item, and a moved (not copied) entry is deleted from its old day
+    async resolveDroppedDuplicate(entry, existing, droppedEntry, choice, copy) {
+        const updatedEntry = choice === 'merge' ?
+            this.mergeDuplicateEntry(existing, droppedEntry) :
+            { ...this.entryFields(droppedEntry), id: existing.id };
+
+        this.showLoading('Updating existing entry...');
+        try {
+            const result = await this.updateExistingEntry(existing, updatedEntry);
+            Object.assign(existing, this.entryFields(updatedEntry));
+            const removed = copy ? null : await this.deleteReplacedEntry(entry);
+
+            if (result === 'queued' || removed === 'queued') {
+                this.showNotification('Changes queued and will be sent when the connection returns', 'warning');
+            } else {
+                this.showNotification(`Existing entry ${choice === 'merge' ? 'merged' : 'updated'} successfully!`, 'success');
+            }
+        } catch (error) {
+            this.showNotification(`Failed to update existing entry: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Duplicate resolution failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+
+        await this.loadData(false);
+    }
+
+    // Delete an entry whose hours went into another entry; resolves to 'deleted', 'discarded' or 'queued'
+    async deleteReplacedEntry(entry) {
+        if (this.isPendingEntryId(entry.id)) {
+            this.discardOutboxOperation(this.getOutboxOperationId(entry.id));
+            return 'discarded';
+        }
+
+        const queueDelete = () => {
+            this.queueOperation({
+                type: 'delete',
+                itemId: String(entry.id),
+                entry: this.entryFields(entry),
+                base: this.entryFields(entry.base || entry)
+            });
+            return 'queued';
+        };
+
+        if (this.isOffline()) {
+            return queueDelete();
+        }
+
+        try {
+            await this.mondayClient.deleteItem(entry.id);
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                return queueDelete();
+            }
+            throw error;
+        }
+
+        this.markItemForSync(entry.id);
+        this.discardOutboxOperationsForItem(entry.id);
+        this.removeCachedItem(entry.id);
+        this.recordHistory('Delete entry', [{ type: 'delete', itemId: entry.id, before: this.entryFields(entry) }]);
+        return 'deleted';
+    }
+
+    // Undo/redo: each record holds the operations of one user action with before/after entry fields
+    recordHistory(description, operations) {
+        const record = {
+            id: `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            description,
+            operations,
+            boardId: this.getActiveBoardProfile().boardId,
+            timestamp: new Date().toISOString()
+        };
+
+        this.history.undo.push(record);
+        if (this.history.undo.length > this.history.maxSize) {
+            this.history.undo.shift();
+        }
+        this.history.redo = [];
+        this.showUndoToast(record);
+    }
+
+    describeHistoryOperation(operation) {
+        const fields = operation.after || operation.before;
+        const summary = `${fields.date} ${fields.customer} - ${fields.workItem}`;
+
+        if (operation.type === 'update' && operation.before.hours !== operation.after.hours) {
+            return `${summary} (${operation.before.hours}h → ${operation.after.hours}h)`;
+        }
+        return `${summary} (${fields.hours}h)`;
+    }
+
+    // Recreated items get new IDs; point every other history operation at the new item
+    remapHistoryItemId(oldId, newId) {
+        [...this.history.undo, ...this.history.redo].forEach(record => {
+            record.operations.forEach(operation => {
+                if (String(operation.itemId) === String(oldId)) operation.itemId = newId;
+            });
+        });
+    }
+
+    async recreateHistoryItem(operation, fields) {
+        const board = await this.mondayClient.getBoardWithGroups(this.getActiveBoardProfile().boardId);
+        const params = this.buildCreateItemParams(fields, board);
+        const createdItem = await this.mondayClient.createItem(params.boardId, params.groupId, params.itemName, params.columnValues);
+
+        this.markItemForSync(createdItem.id);
+        this.remapHistoryItemId(operation.itemId, createdItem.id);
+        operation.itemId = createdItem.id;
+    }
+
+    async deleteHistoryItem(operation) {
+        await this.mondayClient.deleteItem(operation.itemId);
+        this.markItemForSync(operation.itemId);
+        this.removeCachedItem(operation.itemId);
+    }
+
+    async updateHistoryItem(operation, fields) {
+        const previous = fields === operation.before ? operation.after : operation.before;
+        await this.updateEntryItem(operation.itemId, fields, previous?.date);
+    }
+
+    // Revert (direction 'undo') or re-apply (direction 'redo') one history record
+    async applyHistoryRecord(record, direction) {
+        if (this.isApplyingHistory) {
+            this.showNotification('Please wait until the current undo or redo has finished', 'warning');
+            return false;
+        }
+
+        if (this.isOffline()) {
+            this.showNotification(`You are offline - connect to Monday.com to ${direction} changes`, 'warning');
+            return false;
+        }
+
+        // Item IDs only mean something on the board the change was made on
+        if (record.boardId !== this.getActiveBoardProfile().boardId) {
+            this.showNotification(`"${record.description}" was made on board ${record.boardId} - switch to that board profile to ${direction} it`, 'error');
+            return false;
+        }
+
+        const operations = direction === 'undo' ? [...record.operations].reverse() : record.operations;
+        const [from, to] = direction === 'undo' ?
+            [this.history.undo, this.history.redo] :
+            [this.history.redo, this.history.undo];
+        const completed = [];
+        this.isApplyingHistory = true;
+        this.showLoading(`${direction === 'undo' ? 'Undoing' : 'Redoing'}: ${record.description}...`);
+
+        try {
+            for (const operation of operations) {
+                if (operation.type === 'create') {
+                    if (direction === 'undo') await this.deleteHistoryItem(operation);
+                    else await this.recreateHistoryItem(operation, operation.after);
+                } else if (operation.type === 'delete') {
+                    if (direction === 'undo') await this.recreateHistoryItem(operation, operation.before);
+                    else await this.deleteHistoryItem(operation);
+                } else {
+                    await this.updateHistoryItem(operation, direction === 'undo' ? operation.before : operation.after);
+                }
+                completed.push(operation);
+            }
+
+            const index = from.indexOf(record);
+            if (index >= 0) from.splice(index, 1);
+            to.push(record);
+
+            this.showNotification(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${record.description}`, 'success');
+            return true;
+        } catch (error) {
+            // The operations already applied move to the other stack; only the rest can be retried
+            if (completed.length > 0) {
+                to.push({
+                    ...record,
+                    id: `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+                    operations: record.operations.filter(operation => completed.includes(operation))
+                });
+                record.operations = record.operations.filter(operation => !completed.includes(operation));
+            }
+
+            this.showNotification(`Failed to ${direction} "${record.description}": ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`History ${direction} failed after ${completed.length} of ${operations.length} changes: ${error.message}`, 'error');
+            return false;
+        } finally {
+            this.hideLoading();
+            // Invalidate cache since we changed data
+            this.clearCache();
+            await this.loadData(false);
+            this.isApplyingHistory = false;
+        }
+    }
+
+    async undo() {
+        const record = this.history.undo[this.history.undo.length - 1];
+        if (!record) {
+            this.showNotification('Nothing to undo', 'warning');
+            return;
+        }
+        this.hideUndoToast();
+        await this.applyHistoryRecord(record, 'undo');
+    }
+
+    async redo() {
+        const record = this.history.redo[this.history.redo.length - 1];
+        if (!record) {
+            this.showNotification('Nothing to redo', 'warning');
+            return;
+        }
+        await this.applyHistoryRecord(record, 'redo');
+    }
+
+    showUndoToast(record) {
+        const toast = document.getElementById('undoToast');
+        if (!toast) return;
+
+        toast.innerHTML = `
+            <span>${record.description}: ${this.describeHistoryOperation(record.operations[0])}${record.operations.length > 1 ? ` and ${record.operations.length - 1} more` : ''}</span>
+            <button class="undo-toast-button">Undo</button>
+        `;
+        toast.classList.remove('hidden');
+
+        toast.querySelector('.undo-toast-button').addEventListener('click', async () => {
+            this.hideUndoToast();
+            if (this.history.undo.includes(record)) {
+                await this.applyHistoryRecord(record, 'undo');
+            }
+        });
+
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = setTimeout(() => this.hideUndoToast(), 8000);
+    }
+
+    hideUndoToast() {
+        const toast = document.getElementById('undoToast');
+        if (toast) toast.classList.add('hidden');
+        clearTimeout(this.undoToastTimer);
+    }
+
+    openHistoryModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'historyModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        const renderRecords = (records, action) => records.length === 0 ?
+            '<div style="padding: 10px; text-align: center; color: #7f8c8d;">Nothing here</div>' :
+            [...records].reverse().map((record, index) => `
+                <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                    <div style="flex: 1;">
+                        <strong>${record.description}</strong>
+                        <span style="font-size: 12px; color: #7f8c8d;">${new Date(record.timestamp).toLocaleTimeString()}</span>
+                        ${record.operations.map(operation => `
+                            <div style="font-size: 12px; color: #7f8c8d;">${this.describeHistoryOperation(operation)}</div>
+                        `).join('')}
+                    </div>
+                    <button class="history-${action} btn-secondary" data-record-id="${record.id}" style="padding: 4px 8px; font-size: 12px;">
+                        ${action === 'undo' ? 'Revert' : 'Redo'}
+                    </button>
+                </div>
+            `).join('');
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 700px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Change History</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <h4 style="margin-bottom: 10px;">Done (most recent first)</h4>
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px; margin-bottom: 20px;">
+                        ${renderRecords(this.history.undo, 'undo')}
+                    </div>
+
+                    <h4 style="margin-bottom: 10px;">Undone</h4>
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                        ${renderRecords(this.history.redo, 'redo')}
+                    </div>
+                    <div style="font-size: 12px; color: #7f8c8d; margin-top: 10px;">
+                        Only changes sent to Monday.com in this session are listed; changes queued while offline are not.
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closeHistoryModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeHistoryModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        [['undo', this.history.undo], ['redo', this.history.redo]].forEach(([action, records]) => {
+            modal.querySelectorAll(`.history-${action}`).forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    const record = records.find(candidate => candidate.id === e.target.getAttribute('data-record-id'));
+                    if (!record) return;
+
+                    closeModal();
+                    await this.applyHistoryRecord(record, action);
+                    this.openHistoryModal();
+                });
+            });
+        });
+    }
+
+    // Item creation parameters for an entry, as taken by createItem and createItemsBatch
+    buildCreateItemParams(entry, board) {
+        // The entry belongs to the year group of its own date, not of today
+        const profile = this.getActiveBoardProfile();
+        const entryYear = entry.date.substring(0, 4);
+        const groupId = this.getYearGroupId(board, entryYear);
+        if (!groupId) {
+            throw new Error(`Could not find group for year ${entryYear}`);
+        }
+
+        return {
+            boardId: profile.boardId,
+            groupId,
+            itemName: this.user.name,
+            columnValues: JSON.stringify(this.buildColumnValues(entry, { includePerson: true, includeDate: true }))
+        };
+    }
+
+    // Write an entry's fields, date included, to its item; an entry moved to another year also changes year group.
+    // The item is moved before its date is written and moved back if the write fails: an item whose date
+    // and group disagree is filtered out by both years' loads and would vanish from the calendar.
+    async updateEntryItem(itemId, entry, previousDate) {
+        const profile = this.getActiveBoardProfile();
+        const entryYear = entry.date.substring(0, 4);
+        const previousYear = previousDate ? previousDate.substring(0, 4) : entryYear;
+        let previousGroupId = null;
+        let moved = false;
+
+        if (previousYear !== entryYear) {
+            const board = await this.mondayClient.getBoardWithGroups(profile.boardId);
+            const groupId = this.getYearGroupId(board, entryYear);
+            if (!groupId) {
+                throw new Error(`Could not find group for year ${entryYear}`);
+            }
+
+            previousGroupId = this.getYearGroupId(board, previousYear);
+            if (groupId !== previousGroupId) {
+                await this.mondayClient.moveItemToGroup(itemId, groupId);
+                moved = true;
+            }
+        }
+
+        try {
+            await this.mondayClient.updateItem(
+                itemId,
+                JSON.stringify(this.buildColumnValues(entry, { includeDate: true })),
+                profile.boardId
+            );
+        } catch (error) {
+            if (moved && previousGroupId) {
+                try {
+                    await this.mondayClient.moveItemToGroup(itemId, previousGroupId);
+                } catch (rollbackError) {
+                    this.safeLog(`Could not move item ${itemId} back to its group: ${rollbackError.message}`, 'error');
+                }
+            }
+            throw error;
+        }
+
+        this.markItemForSync(itemId);
+        if (previousYear !== entryYear) {
+            this.removeCachedItem(itemId);
+        }
+    }
+
+    async createEntryItem(entry) {
+        const board = await this.mondayClient.getBoardWithGroups(this.getActiveBoardProfile().boardId);
+        const params = this.buildCreateItemParams(entry, board);
+
+        const createdItem = await this.mondayClient.createItem(
+            params.boardId,
+            params.groupId,
+            params.itemName,
+            params.columnValues
+        );
+
+        this.markItemForSync(createdItem?.id);
+        if (createdItem?.id) {
+            this.recordHistory('Add entry', [{ type: 'create', itemId: createdItem.id, after: this.entryFields(entry) }]);
+        }
+        return createdItem;
+    }
+
+    // Create several entries in batched requests; resolves to one result per entry, in order
+    async createEntryItemsBatch(entries) {
+        const board = await this.mondayClient.getBoardWithGroups(this.getActiveBoardProfile().boardId);
+        const results = await this.mondayClient.createItemsBatch(
+            entries.map(entry => this.buildCreateItemParams(entry, board))
+        );
+
+        results.forEach(result => {
+            if (result.success) this.markItemForSync(result.id);
+        });
+
+        const operations = results
+            .map((result, index) => result.success ? { type: 'create', itemId: result.id, after: this.entryFields(entries[index]) } : null)
+            .filter(Boolean);
+        if (operations.length > 0) {
+            this.recordHistory(operations.length === 1 ? 'Add entry' : `Add ${operations.length} entries`, operations);
+        }
+        return results;
+    }
+
+    async updateEntry() {
+        await this.runEntrySave(() => this.updateEntryFromForm());
+    }
+
+    async updateEntryFromForm() {
+        const form = document.getElementById('entryForm');
+        if (!form || !form.checkValidity()) {
+            if (form) form.reportValidity();
+            return;
+        }
+
+        if (!this.currentEditingEntry) {
+            this.showNotification('No entry selected for editing', 'error');
+            return;
+        }
+
+        const activityType = document.getElementById('activityType');
+        const customer = document.getElementById('customer');
+        const workItem = document.getElementById('workItem');
+        const comment = document.getElementById('comment');
+        const hours = document.getElementById('hours');
+
+        if (!activityType || !customer || !workItem || !hours) {
+            this.showNotification('Form elements not found', 'error');
+            return;
+        }
+
+        const entryDate = document.getElementById('entryDate');
+        const previousDate = this.currentEditingDate;
+
+        const updatedEntry = {
+            id: this.currentEditingEntry.id,
+            date: (entryDate && entryDate.value) || previousDate,
+            activityType: activityType.value,
+            customer: customer.value.trim(),
+            workItem: workItem.value.trim(),
+            comment: comment.value.trim(),
+            hours: hours.value
+        };
+
+        // Editing an entry that is still queued changes the queued operation instead
+        if (this.isPendingEntryId(updatedEntry.id)) {
+            this.updateQueuedEntry(this.getOutboxOperationId(updatedEntry.id), updatedEntry);
+            this.closeModal();
+            this.showNotification('Pending entry updated', 'success');
+            await this.loadData(false);
+            return;
+        }
+
+        if (this.isOffline()) {
+            await this.queueEntryUpdate(this.currentEditingEntry, updatedEntry);
+            return;
+        }
+
+        this.showLoading('Updating entry...');
+
+        try {
+            await this.updateEntryItem(updatedEntry.id, updatedEntry, previousDate);
+
+            if (updatedEntry.date !== previousDate && !this.getViewDates().includes(updatedEntry.date)) {
+                const targetDay = this.formatShortDate(new Date(`${updatedEntry.date}T12:00:00`));
+                this.showNotification(`Entry updated and moved to ${targetDay}`, 'success');
+            } else {
+                this.showNotification('Entry updated successfully!', 'success');
+            }
+            this.recordHistory('Update entry', [{
+                type: 'update',
+                itemId: updatedEntry.id,
+                before: this.entryFields(this.currentEditingEntry),
+                after: this.entryFields(updatedEntry)
+            }]);
+            this.markItemForSync(updatedEntry.id);
+            this.discardOutboxOperationsForItem(updatedEntry.id);
+
+            // Invalidate cache since we modified data
+            this.clearCache();
+
+            this.closeModal();
+            await this.loadData(false); // Use cache if available
+        } catch (error) {
+            if (this.isNetworkError(error)) {
+                await this.queueEntryUpdate(this.currentEditingEntry, updatedEntry);
+                return;
+            }
+            this.showNotification(`Failed to update entry: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Update entry failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Week batch form: one row per working day, submitted together
+    async openMultiEntryModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        await this.showActiveWeek();
+
+        const workingDays = this.getWeekDates(this.currentWeekStart).filter(date => !this.isWeekend(date));
+        const defaults = {
+            activityType: '1',
+            customer: '',
+            workItem: '',
+            comment: '',
+            hours: '8',
+            ...this.lastEntryData
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'batchEntryModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 1100px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Add Entries for Week of ${this.formatShortDate(workingDays[0] || this.currentWeekStart)}</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="margin-bottom: 15px;">
+                        <div style="font-weight: 500; margin-bottom: 8px;">Apply activity type to all rows:</div>
+                        <div class="activity-grid">
+                            ${this.getActivityTypeOptions().map(option => `
+                                <div class="activity-item batch-activity-item" data-value="${option.value}">${option.value} - ${option.label}</div>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <datalist id="batchCustomers">
+                        ${this.getCustomers().map(customer => `<option value="${customer}"></option>`).join('')}
+                    </datalist>
+
+                    <table class="batch-entry-table">
+                        <thead>
+                            <tr>
+                                <th>Day</th>
+                                <th>Activity Type</th>
+                                <th>Customer</th>
+                                <th>Work Item</th>
+                                <th>Comment</th>
+                                <th>Hours</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${workingDays.map(date => `
+                                <tr class="batch-row" data-date="${this.formatDate(date)}">
+                                    <td class="batch-day">${this.formatShortDate(date)}</td>
+                                    <td>
+                                        <select class="batch-activity">
+                                            ${this.getActivityTypeOptions().map(option => `
+                                                <option value="${option.value}" ${String(option.value) === String(defaults.activityType) ? 'selected' : ''}>${option.label}</option>
+                                            `).join('')}
+                                        </select>
+                                    </td>
+                                    <td><input type="text" class="batch-customer" list="batchCustomers" value="${defaults.customer}" placeholder="Customer"></td>
+                                    <td><input type="text" class="batch-workitem" value="${defaults.workItem}" placeholder="Work item"></td>
+                                    <td><input type="text" class="batch-comment" value="${defaults.comment}" placeholder="Optional"></td>
+                                    <td><input type="number" class="batch-hours" min="0" max="24" step="0.5" value="${defaults.hours}"></td>
+                                    <td class="batch-status"></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div style="font-size: 12px; color: #7f8c8d; margin-top: 10px;">
+                        Rows without customer or work item are skipped.
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="closeBatchModal" class="btn-secondary">Close</button>
+                    <button id="submitBatchEntries" class="btn-primary batch-submit">
+                        <i class="fas fa-save"></i> Add All Entries
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        let hasCreatedEntries = false;
+        const closeModal = async () => {
+            modal.remove();
+            if (hasCreatedEntries) {
+                await this.loadData(false);
+            }
+        };
+
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeBatchModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelectorAll('.batch-activity-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                this.applyActivityTypeToBatchRows(e.target.getAttribute('data-value'));
+            });
+        });
+
+        modal.querySelector('#submitBatchEntries').addEventListener('click', async () => {
+            const created = await this.submitBatchEntries(modal);
+            hasCreatedEntries = hasCreatedEntries || created > 0;
+        });
+    }
+
+    getActivityTypeOptions() {
+        const activityTypeSelect = document.getElementById('activityType');
+        if (activityTypeSelect) {
+            return Array.from(activityTypeSelect.options).map(option => ({
+                value: option.value,
+                label: option.textContent
+            }));
+        }
+
+        return Array.from({ length: 13 }, (_, value) => ({
+            value: String(value),
+            label: this.getActivityTypeName(value)
+        }));
+    }
+
+    applyActivityTypeToBatchRows(value) {
+        const modal = document.getElementById('batchEntryModal');
+        if (!modal) return;
+
+        modal.querySelectorAll('.batch-row:not(.batch-row-saved) .batch-activity').forEach(select => {
+            select.value = value;
+        });
+    }
+
+    setBatchRowStatus(row, status, message = '') {
+        const statusCell = row.querySelector('.batch-status');
+        row.classList.remove('batch-row-saved', 'batch-row-failed');
+
+        if (status === 'saving') {
+            statusCell.innerHTML = '<i class="fas fa-spinner fa-spin" title="Saving..."></i>';
+        } else if (status === 'saved') {
+            row.classList.add('batch-row-saved');
+            statusCell.innerHTML = '<i class="fas fa-check-circle" title="Saved"></i>';
+            row.querySelectorAll('input, select').forEach(input => { input.disabled = true; });
+        } else if (status === 'queued') {
+            // Queued rows count as saved: the outbox owns them now
+            row.classList.add('batch-row-saved');
+            statusCell.innerHTML = '<i class="fas fa-cloud-upload-alt" title="Queued until the connection returns"></i>';
+            row.querySelectorAll('input, select').forEach(input => { input.disabled = true; });
+        } else if (status === 'failed') {
+            row.classList.add('batch-row-failed');
+            statusCell.innerHTML = `<i class="fas fa-times-circle" title="${message}"></i>`;
+        } else {
+            statusCell.innerHTML = '';
+        }
+    }
+
+    // Create an item for every filled, included and not yet saved row; returns the number created
+    async submitBatchEntries(modal) {
+        let rows = Array.from(modal.querySelectorAll('.batch-row:not(.batch-row-saved)')).filter(row => {
+            const include = row.querySelector('.batch-include');
+            return !include || include.checked;
+        }).map(row => ({
+            row,
+            entry: {
+                date: row.querySelector('.batch-date')?.value || row.getAttribute('data-date'),
+                activityType: row.querySelector('.batch-activity').value,
+                customer: row.querySelector('.batch-customer').value.trim(),
+                workItem: row.querySelector('.batch-workitem').value.trim(),
+                comment: row.querySelector('.batch-comment').value.trim(),
+                hours: row.querySelector('.batch-hours').value
+            }
+        })).filter(({ entry }) => entry.customer && entry.workItem);
+
+        if (rows.length === 0) {
+            this.showNotification('Fill in customer and work item for at least one day', 'warning');
+            return 0;
+        }
+
+        const invalidRows = rows.filter(({ entry }) => {
+            const hours = parseFloat(entry.hours);
+            return isNaN(hours) || hours <= 0 || hours > 24;
+        });
+        if (invalidRows.length > 0) {
+            invalidRows.forEach(({ row }) => this.setBatchRowStatus(row, 'failed', 'Hours must be between 0 and 24'));
+            this.showNotification('Some rows have invalid hours', 'error');
+            return 0;
+        }
+
+        const resolution = await this.applyDuplicateChoice(rows, ({ row }, status, message) => this.setBatchRowStatus(row, status, message));
+        if (!resolution) return 0;
+
+        const resolvedDuplicates = resolution.updated.length;
+        rows = resolution.remaining;
+        if (rows.length === 0) {
+            if (resolution.failed.length > 0) {
+                this.showNotification(`Updated ${resolvedDuplicates} existing entries, ${resolution.failed.length} failed - fix and submit again`, 'warning');
+            } else {
+                this.showNotification(`Updated ${resolvedDuplicates} existing entries`, 'success');
+            }
+            return resolvedDuplicates;
+        }
+
+        if (this.isOffline()) {
+            rows.forEach(({ row, entry }) => {
+                this.queueOperation({ type: 'create', entry: this.entryFields(entry) });
+                this.setBatchRowStatus(row, 'queued');
+            });
+            this.showNotification(`You are offline - ${rows.length} entries queued and will be saved when the connection returns`, 'warning');
+            return rows.length + resolvedDuplicates;
+        }
+
+        const submitButton = modal.querySelector('.batch-submit');
+        if (submitButton) submitButton.disabled = true;
+        this.updateStatus('Saving Entries', 'loading');
+
+        let created = 0;
+        let queued = 0;
+        let failed = resolution.failed.length;
+
+        try {
+            rows.forEach(({ row }) => this.setBatchRowStatus(row, 'saving'));
+            const results = await this.createEntryItemsBatch(rows.map(({ entry }) => entry));
+
+            results.forEach((result, index) => {
+                const { row, entry } = rows[index];
+                if (result.success) {
+                    this.addCustomerWorkPair(entry.customer, entry.workItem);
+                    this.lastEntryData = { ...entry };
+                    this.setBatchRowStatus(row, 'saved');
+                    created++;
+                } else if (result.errorType === MondayApiError.TYPES.NETWORK) {
+                    this.queueOperation({ type: 'create', entry: this.entryFields(entry), maybeSent: true });
+                    this.setBatchRowStatus(row, 'queued');
+                    queued++;
+                } else {
+                    this.setBatchRowStatus(row, 'failed', result.error);
+                    this.safeLog(`Batch entry for ${entry.date} failed: ${result.error}`, 'error');
+                    failed++;
+                }
+            });
+        } catch (error) {
+            rows.forEach(({ row }) => this.setBatchRowStatus(row, 'failed', error.message));
+            this.safeLog(`Batch submission failed: ${error.message}`, 'error');
+            this.showNotification(`Failed to add entries: ${this.describeApiError(error)}`, 'error');
+        } finally {
+            if (submitButton) submitButton.disabled = false;
+            this.updateStatus('Ready');
+        }
+
+        if (created > 0) {
+            // Invalidate cache since we added new data
+            this.clearCache();
+        }
+
+        if (failed > 0) {
+            this.showNotification(`Added ${created} entries, ${failed} failed - fix and submit again`, 'warning');
+        } else if (queued > 0) {
+            this.showNotification(`Added ${created} entries, ${queued} queued until the connection returns`, 'warning');
+        } else if (created > 0) {
+            this.showNotification(`Added ${created} entries successfully!`, 'success');
+        }
+
+        return created + queued + resolvedDuplicates;
+    }
+
+    // Entries of an arbitrary week, read through the same cache/sync/query path as loadData
+    async getEntriesForWeek(weekStart) {
+        return this.getEntriesForDates(this.getWeekDates(weekStart));
+    }
+
+    async getEntriesForDates(dates) {
+        const years = Array.from(new Set(dates.map(date => this.formatDate(date).substring(0, 4))));
+        const profile = this.getActiveBoardProfile();
+        let yearItems = years.map(year => this.getCachedData(year));
+
+        if (!yearItems.every(Boolean)) {
+            const board = await this.mondayClient.getBoardWithGroups(profile.boardId);
+            yearItems = [];
+            for (const year of years) {
+                const groupId = this.getYearGroupId(board, year);
+                if (!groupId) {
+                    throw new Error(`Could not find group for year ${year}`);
+                }
+                yearItems.push(await this.loadYearItems(profile, groupId, year, false, null));
+            }
+        }
+
+        return this.buildEntriesMap(this.mergeYearItems(yearItems), dates);
+    }
+
+    // date -> entries for the user's items on the given dates (no side effects on this.entries)
+    buildEntriesMap(items, dates) {
+        const dateStrings = new Set(dates.map(date => this.formatDate(date)));
+        const entriesMap = new Map();
+
+        items.forEach(item => {
+            if (!this.debugIsUserItem(item).isMatch) return;
+
+            const date = this.extractItemDate(item);
+            if (!date || !dateStrings.has(date)) return;
+
+            if (!entriesMap.has(date)) {
+                entriesMap.set(date, []);
+            }
+            entriesMap.get(date).push(this.itemToEntry(item, date));
+        });
+
+        return entriesMap;
+    }
+
+    // A day is a holiday if the holiday calendar says so or a Holiday entry was booked on it
+    isHoliday(dateStr, dayEntries = this.entries.get(dateStr) || []) {
+        if (this.holidays.has(dateStr)) return true;
+
+        return dayEntries.some(entry => parseInt(entry.activityType) === 6);
+    }
+
+    addDays(dateStr, days) {
+        const date = new Date(`${dateStr}T12:00:00`);
+        date.setDate(date.getDate() + days);
+        return this.formatDate(date);
+    }
+
+    // Copy the previous week's entries onto the viewed week, after review
+    async openCopyWeekModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        await this.showActiveWeek();
+
+        const previousWeekStart = new Date(this.currentWeekStart);
+        previousWeekStart.setDate(previousWeekStart.getDate() - 7);
+
+        let previousEntries;
+        this.showLoading('Reading last week...', `Week of ${this.formatShortDate(previousWeekStart)}`);
+        try {
+            previousEntries = await this.getEntriesForWeek(previousWeekStart);
+        } catch (error) {
+            this.showNotification(`Failed to read last week: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Copy last week failed: ${error.message}`, 'error');
+            return;
+        } finally {
+            this.hideLoading();
+        }
+
+        const candidates = [];
+        Array.from(previousEntries.keys()).sort().forEach(sourceDate => {
+            previousEntries.get(sourceDate).forEach(entry => {
+                const targetDate = this.addDays(sourceDate, 7);
+                let skipReason = null;
+
+                if (parseInt(entry.activityType) === 6) {
+                    skipReason = 'Holiday last week';
+                } else if (this.isHoliday(targetDate)) {
+                    skipReason = 'Holiday';
+                } else if ((this.entries.get(targetDate) || []).length > 0) {
+                    skipReason = 'Day already has entries';
+                }
+
+                candidates.push({ ...entry, date: targetDate, skipReason });
+            });
+        });
+
+        if (candidates.length === 0) {
+            this.showNotification('Last week has no entries to copy', 'warning');
+            return;
+        }
+
+        const weekDates = this.getWeekDates(this.currentWeekStart).map(date => this.formatDate(date));
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'copyWeekModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 1100px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Copy Week of ${this.formatShortDate(previousWeekStart)} to Week of ${this.formatShortDate(this.currentWeekStart)}</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <table class="batch-entry-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Date</th>
+                                <th>Activity Type</th>
+                                <th>Customer</th>
+                                <th>Work Item</th>
+                                <th>Comment</th>
+                                <th>Hours</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${candidates.map(entry => `
+                                <tr class="batch-row ${entry.skipReason ? 'batch-row-skipped' : ''}" title="${entry.skipReason || ''}">
+                                    <td><input type="checkbox" class="batch-include" ${entry.skipReason ? '' : 'checked'}></td>
+                                    <td><input type="date" class="batch-date" value="${entry.date}" min="${weekDates[0]}" max="${weekDates[6]}"></td>
+                                    <td>
+                                        <select class="batch-activity">
+                                            ${this.getActivityTypeOptions().map(option => `
+                                                <option value="${option.value}" ${String(option.value) === String(entry.activityType) ? 'selected' : ''}>${option.label}</option>
+                                            `).join('')}
+                                        </select>
+                                    </td>
+                                    <td><input type="text" class="batch-customer" value="${entry.customer}"></td>
+                                    <td><input type="text" class="batch-workitem" value="${entry.workItem}"></td>
+                                    <td><input type="text" class="batch-comment" value="${entry.comment}"></td>
+                                    <td><input type="number" class="batch-hours" min="0" max="24" step="0.5" value="${entry.hours}"></td>
+                                    <td class="batch-status">${entry.skipReason ? `<small>${entry.skipReason}</small>` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div style="font-size: 12px; color: #7f8c8d; margin-top: 10px;">
+                        Days that already have entries and holidays are unchecked; check them to copy anyway.
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="closeCopyWeekModal" class="btn-secondary">Close</button>
+                    <button id="submitCopyWeek" class="btn-primary batch-submit">
+                        <i class="fas fa-copy"></i> Copy Selected Entries
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        let hasCreatedEntries = false;
+        const closeModal = async () => {
+            modal.remove();
+            if (hasCreatedEntries) {
+                await this.loadData(false);
+            }
+        };
+
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeCopyWeekModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('#submitCopyWeek').addEventListener('click', async () => {
+            const created = await this.submitBatchEntries(modal);
+            hasCreatedEntries = hasCreatedEntries || created > 0;
+        });
+    }
+
+    clearAllEntries() {
+        if (confirm('Are you sure you want to clear all unsaved entries from the form?')) {
+            const form = document.getElementById('entryForm');
+            if (form) form.reset();
+            this.lastEntryData = {};
+            this.showNotification('Form cleared', 'success');
+        }
+    }
+
+    async saveApiKey() {
+        const apiKeyInput = document.getElementById('apiKey');
+        if (!apiKeyInput) return;
+
+        const apiKey = apiKeyInput.value.trim();
+        if (!apiKey) {
+            this.showNotification('Please enter an API key', 'error');
+            return;
+        }
+
+        this.showLoading('Validating API key...');
+
+        try {
+            this.mondayClient.setApiKey(apiKey);
+            this.user = await this.mondayClient.getCurrentUser();
+
+            localStorage.setItem('mondayApiKey', apiKey);
+            this.showNotification('API key saved and validated successfully!', 'success');
+
+            const userInfo = document.getElementById('userInfo');
+            const userName = document.getElementById('userName');
+            const userEmail = document.getElementById('userEmail');
+            const currentYear = document.getElementById('currentYear');
+
+            if (userInfo) userInfo.style.display = 'block';
+            if (userName) userName.textContent = `User: ${this.user.name}`;
+            if (userEmail) userEmail.textContent = `Email: ${this.user.email}`;
+            if (currentYear) currentYear.textContent = `Year: ${this.getViewYears().join(' / ')}`;
+
+            await this.loadData(false); // Use cache if available
+            await this.replayOutbox();
+            await this.syncCatalog();
+        } catch (error) {
+            this.showNotification(`Failed to validate API key: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`API Key validation failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    loadStoredApiKey() {
+        const storedKey = localStorage.getItem('mondayApiKey');
+        const apiKeyInput = document.getElementById('apiKey');
+        if (storedKey && apiKeyInput) {
+            apiKeyInput.value = storedKey;
+        }
+    }
+
+    async loadData(forceReload = false) {
+        this.safeLog(`Starting loadData (forceReload: ${forceReload})...`);
+
+        if (!this.user) {
+            this.safeLog('No user found - cannot load data', 'warn');
+            this.showNotification('Please save your API key first', 'warning');
+            this.hideLoading();
+            return;
+        }
+
+        // A week spanning New Year needs the items of both year groups
+        const years = this.getViewYears();
+
+        // Check cache first unless force reload is requested
+        if (!forceReload) {
+            const cachedYears = years.map(year => this.getCachedData(year));
+            if (cachedYears.every(Boolean)) {
+                this.safeLog('🔄 Using cached data for fast week navigation');
+                this.updateStatus('Processing Cached Data', 'loading');
+                this.showLoading('Processing cached data...', 'Using previously loaded data...');
+
+                await this.processCachedData(this.mergeYearItems(cachedYears));
+                return;
+            }
+        }
+
+        if (this.isOffline()) {
+            await this.loadOfflineData(years);
+            return;
+        }
+
+        // Reset loading stats
+        this.loadingStats = {
+            totalItems: 0,
+            processedItems: 0,
+            currentPage: 0,
+            userMatches: 0,
+            currentWeekEntries: 0,
+            startTime: Date.now()
+        };
+
+        this.updateStatus('Loading Data', 'loading');
+        this.showLoading('Loading weekly entries...', 'Initializing data fetch...');
+
+        try {
+            const profile = this.getActiveBoardProfile();
+            this.safeLog(`Loading data for year(s): ${years.join(', ')} and user: ${this.user.name} (ID: ${this.user.id}) from board profile: ${profile.name}`);
+            this.updateLoadingDetails('Getting board information...');
+
+            const board = await this.mondayClient.getBoardWithGroups(profile.boardId);
+            this.updateLoadingDetails('Processing board structure...');
+
+            if (!board || !board.groups) {
+                throw new Error('No board data found');
+            }
+
+            // Enhanced progress callback with detailed statistics
+            const progressCallback = (totalItems, pageItems, currentPage) => {
+                this.loadingStats.totalItems = totalItems;
+                this.loadingStats.currentPage = currentPage;
+
+                requestAnimationFrame(() => {
+                    const elapsedTime = ((Date.now() - this.loadingStats.startTime) / 1000).toFixed(1);
+                    const itemsPerSecond = (totalItems / elapsedTime).toFixed(1);
+
+                    const detailsText = `
+                        <div style="text-align: left; line-height: 1.6;">
+                            <div><strong>Database Scan Progress</strong></div>
+                            <div>📊 Total Items Loaded: <strong>${totalItems.toLocaleString()}</strong></div>
+                            <div>📄 Current Page: <strong>${currentPage}</strong></div>
+                            <div>⏱️ Elapsed Time: <strong>${elapsedTime}s</strong></div>
+                            <div>🚀 Speed: <strong>${itemsPerSecond} items/sec</strong></div>
+                            <div style="margin-top: 8px; font-size: 12px; color: #666;">
+                                Scanning database entries for your weekly data...
+                            </div>
+                        </div>
+                    `;
+                    this.updateLoadingDetails(detailsText);
+
+                    // Update main loading message for significant progress
+                    if (totalItems % 500 === 0 || currentPage === 1) {
+                        this.showLoading('Scanning Monday.com database...', detailsText);
+                    }
+                });
+            };
+
+            const yearItems = [];
+            for (const year of years) {
+                const groupId = this.getYearGroupId(board, year);
+                this.safeLog(`Using group ID for ${year}: ${groupId}`);
+                this.updateLoadingDetails(`Target group: ${groupId}`);
+
+                if (!groupId) {
+                    throw new Error(`Could not find group for year ${year}`);
+                }
+
+                yearItems.push(await this.loadYearItems(profile, groupId, year, forceReload, progressCallback));
+            }
+
+            // Items written by the app have now been re-fetched by every year group sync
+            this.pendingSyncItemIds.clear();
+
+            const items = this.mergeYearItems(yearItems);
+            this.safeLog(`📊 Final item count: ${items.length}`);
+
+            if (items.length === 0) {
+                this.showNotification(`No items found in Monday.com board for ${years.join(' / ')}. Please check if the board has a group for that year.`, 'warning');
+                this.entries.clear();
+                this.loadedDates = new Set(this.getViewDates().map(date => this.formatDate(date)));
+                this.renderCalendarView();
+                this.updateStatus('Ready');
+                return;
+            }
+
+            this.updateLoadingDetails(`
+                <div style="text-align: left; line-height: 1.6;">
+                    <div><strong>Processing ${items.length.toLocaleString()} Items</strong></div>
+                    <div>✅ Database scan complete</div>
+                    <div>🔍 Now analyzing items for current week...</div>
+                    <div style="margin-top: 8px; font-size: 12px; color: #666;">
+                        Filtering and processing entries for your calendar view.
+                    </div>
+                </div>
+            `);
+            this.showLoading('Processing items...', `Analyzing ${items.length} items for current week...`);
+
+            // Process items
+            await this.processItemsWithDebug(items);
+
+            this.updateLoadingDetails(`
+                <div style="text-align: left; line-height: 1.6;">
+                    <div><strong>Processing Complete</strong></div>
+                    <div>✅ Found ${this.loadingStats.userMatches} user entries</div>
+                    <div>📅 ${this.loadingStats.currentWeekEntries} entries in current week</div>
+                    <div>💡 Learned ${this.customerWorkPairs.size} customer-work pairs</div>
+                    <div style="margin-top: 8px; font-size: 12px; color: #666;">
+                        Finalizing calendar display...
+                    </div>
+                </div>
+            `);
+            this.showLoading('Rendering calendar...', 'Finalizing display...');
+
+            this.renderCalendarView();
+
+            const totalTime = ((Date.now() - this.loadingStats.startTime) / 1000).toFixed(1);
+            this.safeLog(`✅ Data load completed in ${totalTime}s - Found entries for ${this.entries.size} dates`);
+            this.showNotification(`Loaded ${this.entries.size} days with entries from ${items.length} total items in ${totalTime}s`, 'success');
+            this.updateStatus('Ready');
+
+        } catch (error) {
+            this.safeLog(`❌ Data loading failed: ${error.message}`, 'error');
+            this.showNotification(`Failed to load data: ${this.describeApiError(error)}`, 'error');
+            this.updateStatus('Error', 'error');
+        } finally {
+            // Always hide loading overlay
+            this.hideLoading();
+        }
+    }
+
+    // Without a connection show whatever was loaded before (even if stale) plus the queued writes
+    async loadOfflineData(years) {
+        this.safeLog('📴 Offline - showing cached entries and pending changes', 'warn');
+
+        let cachedYears = years.map(year => this.dataCache.years.get(year)?.items);
+        if (!cachedYears.every(Boolean)) {
+            const profile = this.getActiveBoardProfile();
+            const snapshots = await this.itemCacheStore.getSnapshots(profile.boardId, this.user.id);
+            cachedYears = snapshots.map(snapshot => snapshot.items);
+        }
+
+        await this.processCachedData(this.mergeYearItems(cachedYears.filter(Boolean)));
+    }
+
+    // Load one year group's items: memory cache, then persistent cache + delta sync, then full query
+    async loadYearItems(profile, groupId, year, forceReload, progressCallback) {
+        if (!forceReload) {
+            const cachedItems = this.getCachedData(year);
+            if (cachedItems) {
+                return cachedItems;
+            }
+
+            // Reopening the app: start from the persisted items and sync only what changed
+            const restoredItems = await this.restoreYearItems(profile, groupId, year);
+            if (restoredItems) {
+                this.setCachedData(restoredItems, year);
+                return restoredItems;
+            }
+        }
+
+        this.updateLoadingDetails('Starting high-performance query...');
+        this.showLoading('Initializing database scan...', `
+            <div style="text-align: left; line-height: 1.6;">
+                <div><strong>Starting Database Scan</strong></div>
+                <div>🔍 Preparing to scan Monday.com database...</div>
+                <div>👤 User: ${this.user.name}</div>
+                <div>📅 Year: ${year}</div>
+                <div style="margin-top: 8px; font-size: 12px; color: #666;">
+                    This may take a moment depending on the number of entries in the database.
+                </div>
+            </div>
+        `);
+
+        try {
+            const startTime = Date.now();
+            const items = await this.queryYearItems(profile, groupId, year, progressCallback);
+            const loadTime = Date.now() - startTime;
+
+            if (items.length > 0) {
+                this.safeLog(`✅ High-performance query successful: ${items.length} items loaded in ${loadTime}ms`);
+                this.showNotification(`Loaded ${items.length} items in ${loadTime}ms`, 'success');
+            } else {
+                this.safeLog(`⚠️ Query returned 0 items for ${year}`, 'warn');
+            }
+
+            // Cache the data for future use
+            this.setCachedData(items, year);
+            await this.itemCacheStore.putSnapshot(this.getItemCacheKey(profile, groupId, year), items, startTime);
+            return items;
+        } catch (error) {
+            this.safeLog(`❌ High-performance query failed: ${error.message}`, 'warn');
+            throw error;
+        }
+    }
+
+    // Combine items from several year groups, dropping duplicates when years share a group
+    mergeYearItems(yearItems) {
+        const itemsById = new Map();
+        yearItems.forEach(items => {
+            items.forEach(item => itemsById.set(String(item.id), item));
+        });
+        return Array.from(itemsById.values());
+    }
+
+    // Fetch the year's items, using the server-side person/date filter when enabled
+    async queryYearItems(profile, groupId, year, progressCallback) {
+        if (this.queryMode === 'filtered') {
+            try {
+                this.safeLog(`🚀 Attempting filtered query for ${this.user.name} in ${year}...`);
+                return await this.mondayClient.queryItemsFiltered(profile.boardId, groupId, {
+                    personColumnId: profile.columns.person,
+                    personId: this.user.id,
+                    dateColumnId: profile.columns.date,
+                    startDate: `${year}-01-01`,
+                    endDate: `${year}-12-31`
+                }, progressCallback);
+            } catch (error) {
+                // Only a rejected filter is worth a full scan; auth/network/rate-limit failures would fail it too
+                if (error instanceof MondayApiError && error.type !== MondayApiError.TYPES.VALIDATION) {
+                    throw error;
+                }
+                this.safeLog(`⚠️ Filtered query failed, falling back to full scan: ${error.message}`, 'warn');
+            }
+        }
+
+        this.safeLog(`🚀 Attempting high-performance paginated query (500 items/page)...`);
+        return await this.mondayClient.queryItemsPaginated(profile.boardId, groupId, progressCallback);
+    }
+
+    setQueryMode(mode) {
+        this.queryMode = mode === 'full' ? 'full' : 'filtered';
+        localStorage.setItem('queryMode', this.queryMode);
+        this.clearCache();
+        this.safeLog(`Query mode set to: ${this.queryMode}`);
+    }
+
+    // Process cached data (fast path for week navigation)
+    async processCachedData(cachedItems) {
+        this.safeLog(`🔄 Processing ${cachedItems.length} cached items for week navigation`);
+
+        this.loadingStats = {
+            totalItems: cachedItems.length,
+            processedItems: 0,
+            currentPage: 0,
+            userMatches: 0,
+            currentWeekEntries: 0,
+            startTime: Date.now()
+        };
+
+        await this.processItemsWithDebug(cachedItems);
+
+        this.renderCalendarView();
+
+        const processTime = ((Date.now() - this.loadingStats.startTime) / 1000).toFixed(2);
+        this.safeLog(`✅ Cached data processed in ${processTime}s - Found ${this.entries.size} days with entries`);
+        this.showNotification(`Week navigation completed in ${processTime}s (using cached data)`, 'success');
+        this.updateStatus('Ready');
+        this.updateOutboxIndicator();
+    }
+
+    // Enhanced processItems to learn from existing entries and track progress
+    async processItemsWithDebug(items) {
+        this.entries.clear();
+        this.safeLog(`🔍 DEBUG: Starting to process ${items.length} items`);
+
+        const currentWeekDates = this.getViewDates().map(date => this.formatDate(date));
+        this.safeLog(`📅 Current week dates being checked: ${currentWeekDates.join(', ')}`);
+
+        let userMatchCount = 0;
+        let dateExtractedCount = 0;
+        let currentWeekEntries = 0;
+        const pairUsage = {};
+
+        this.safeLog(`👤 Looking for items assigned to user: ${this.user.name} (ID: ${this.user.id})`);
+
+        // Process items in chunks to avoid blocking UI
+        const chunkSize = 100;
+        for (let i = 0; i < items.length; i += chunkSize) {
+            const chunk = items.slice(i, i + chunkSize);
+
+            // Update progress UI
+            this.loadingStats.processedItems = i + chunk.length;
+            const progressPercent = Math.min(100, Math.round((this.loadingStats.processedItems / items.length) * 100));
+
+            requestAnimationFrame(() => {
+                this.updateLoadingDetails(`
+                    <div style="text-align: left; line-height: 1.6;">
+                        <div><strong>Processing Items: ${progressPercent}%</strong></div>
+                        <div>📊 Processed: <strong>${this.loadingStats.processedItems.toLocaleString()}</strong> of <strong>${items.length.toLocaleString()}</strong> items</div>
+                        <div>✅ User Matches: <strong>${userMatchCount}</strong></div>
+                        <div>📅 Current Week Entries: <strong>${currentWeekEntries}</strong></div>
+                        <div style="margin-top: 8px; font-size: 12px; color: #666;">
+                            Analyzing each entry for date and user assignment...
+                        </div>
+                    </div>
+                `);
+            });
+
+            // Allow UI updates between chunks
+            if (i > 0 && i % 500 === 0) {
+                // Use setTimeout to yield to the UI thread
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            chunk.forEach(item => {
+                const userCheck = this.debugIsUserItem(item);
+                if (userCheck.isMatch) {
+                    userMatchCount++;
+                    this.loadingStats.userMatches = userMatchCount;
+
+                    const date = this.extractItemDate(item);
+
+                    if (date) {
+                        const entryData = this.itemToEntry(item, date);
+
+                        // Every loaded entry counts towards the usage ranking, not only the viewed ones
+                        this.recordPairUsage(pairUsage, entryData);
+
+                        if (currentWeekDates.includes(date)) {
+                            dateExtractedCount++;
+                            currentWeekEntries++;
+                            this.loadingStats.currentWeekEntries = currentWeekEntries;
+
+                            if (!this.entries.has(date)) {
+                                this.entries.set(date, []);
+                            }
+
+                            this.entries.get(date).push(entryData);
+
+                            // Learn from this entry - add to customer-work pairs
+                            this.addCustomerWorkPair(entryData.customer, entryData.workItem);
+                        }
+                    }
+                }
+            });
+        }
+
+        this.replacePairUsage(pairUsage, this.getViewYears());
+        this.loadedDates = new Set(currentWeekDates);
+
+        // Writes still waiting in the outbox are shown on top of the Monday.com data
+        this.applyOutboxToEntries();
+
+        this.safeLog(`📊 PROCESSING SUMMARY: ${userMatchCount} user matches, ${dateExtractedCount} with dates, ${currentWeekEntries} current week entries`);
+        this.safeLog(`💡 Learned ${this.customerWorkPairs.size} customer-work item pairs from data`);
+    }
+
+    itemToEntry(item, date = this.extractItemDate(item)) {
+        return {
+            id: item.id,
+            date,
+            activityType: this.extractStatusValue(item),
+            customer: this.extractColumnValue(item, this.getColumnId('customer')),
+            workItem: this.extractColumnValue(item, this.getColumnId('workItem')),
+            comment: this.extractCommentValue(item),
+            hours: this.extractColumnValue(item, this.getColumnId('hours'))
+        };
+    }
+
+    debugIsUserItem(item) {
+        if (!this.user) {
+            return { isMatch: false, reason: 'No user' };
+        }
+
+        // Check if item name contains user name
+        if (item.name && item.name.includes(this.user.name)) {
+            return { isMatch: true, reason: 'Name match' };
+        }
+
+        // Check person column
+        if (item.column_values) {
+            const personColumnId = this.getColumnId('person');
+            for (const col of item.column_values) {
+                if (col.id === personColumnId) {
+                    if (col.value && col.value !== 'null' && col.value !== '""') {
+                        try {
+                            const personData = JSON.parse(col.value);
+                            if (personData.personsAndTeams && Array.isArray(personData.personsAndTeams)) {
+                                const isUser = personData.personsAndTeams.some(person =>
+                                    person.id === this.user.id
+                                );
+                                if (isUser) return { isMatch: true, reason: 'Person ID match' };
+                            }
+                        } catch (e) {
+                            // Continue to next check
+                        }
+                    }
+
+                    if (col.text && (col.text.includes(this.user.name) || col.text.includes(this.user.email))) {
+                        return { isMatch: true, reason: 'Person text match' };
+                    }
+                }
+            }
+        }
+
+        return {
+            isMatch: false,
+            reason: `No match - item: "${item.name}", user: ${this.user.name} (${this.user.id})`
+        };
+    }
+
+    updateLoadingDetails(details) {
+        const detailsElement = document.getElementById('loadingDetails');
+        if (detailsElement) {
+            detailsElement.innerHTML = details;
+            // Force UI update
+            detailsElement.style.display = 'none';
+            detailsElement.offsetHeight; // Trigger reflow
+            detailsElement.style.display = 'block';
+        }
+    }
+
+    getYearGroupId(board, year) {
+        if (!board || !board.groups) {
+            return null;
+        }
+
+        // Look for exact year match
+        let group = board.groups.find(g => g.title === year);
+        if (group) return group.id;
+
+        // Look for partial match
+        group = board.groups.find(g => g.title.includes(year));
+        if (group) return group.id;
+
+        // Use the board profile's fallback group if the board has it
+        const fallbackGroupId = this.getActiveBoardProfile().fallbackGroupId;
+        group = board.groups.find(g => g.id === fallbackGroupId);
+        if (group) {
+            this.safeLog(`No group for ${year}, using the fallback group ${group.id}`, 'warn');
+            return group.id;
+        }
+
+        // Guessing another group would file entries under the wrong year
+        return null;
+    }
+
+    extractItemDate(item) {
+        if (!item.column_values) return null;
+
+        const dateColumnId = this.getColumnId('date');
+        for (const col of item.column_values) {
+            if (col.id === dateColumnId) {
+                if (col.value && col.value !== 'null' && col.value !== '""') {
+                    try {
+                        const value = JSON.parse(col.value);
+                        if (value && value.date) {
+                            return value.date.split('T')[0];
+                        }
+                    } catch (e) {
+                        // Continue to text check
+                    }
+                }
+
+                if (col.text && col.text !== 'null' && col.text !== '""') {
+                    const dateStr = col.text.split('T')[0];
+                    if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
+                        return dateStr;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    extractColumnValue(item, columnId) {
+        if (!item.column_values) return '';
+
+        for (const col of item.column_values) {
+            if (col.id === columnId) {
+                if (col.text && col.text !== 'null' && col.text !== '""') {
+                    return col.text;
+                }
+                if (col.value && col.value !== 'null' && col.value !== '""') {
+                    try {
+                        const value = JSON.parse(col.value);
+                        if (typeof value === 'string') return value;
+                        if (value && value.text) return value.text;
+                    } catch (e) {
+                        return col.value;
+                    }
+                }
+            }
+        }
+
+        return '';
+    }
+
+    extractCommentValue(item) {
+        return this.extractColumnValue(item, this.getColumnId('comment'));
+    }
+
+    extractStatusValue(item) {
+        if (!item.column_values) return 1;
+
+        const statusColumnId = this.getColumnId('activityType');
+        for (const col of item.column_values) {
+            if (col.id === statusColumnId && col.value && col.value !== 'null' && col.value !== '""') {
+                try {
+                    const value = JSON.parse(col.value);
+                    if (value && typeof value.index === 'number') {
+                        return this.fromBoardStatusIndex(value.index);
+                    }
+                } catch (e) {
+                    // Fallback to text parsing if JSON parsing fails
+                    if (col.text) {
+                        const text = col.text.toLowerCase();
+                        const statusMap = {
+                            'vacation': 0, 'billable': 1, 'holding': 2, 'education': 3,
+                            'work reduction': 4, 'tbd': 5, 'holiday': 6, 'presales': 7,
+                            'illness': 8, 'paid not worked': 9, 'intellectual capital': 10,
+                            'business development': 11, 'overhead': 12
+                        };
+                        for (const [key, value] of Object.entries(statusMap)) {
+                            if (text.includes(key)) return value;
+                        }
+                    }
+                }
+            }
+        }
+        return 1;
+    }
+
+    previousWeek() {
+        this.currentWeekStart.setDate(this.currentWeekStart.getDate() - 7);
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    nextWeek() {
+        this.currentWeekStart.setDate(this.currentWeekStart.getDate() + 7);
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    selectWeek(dateString) {
+        this.currentWeekStart = this.getMonday(new Date(dateString));
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    previousMonth() {
+        this.currentMonthStart = new Date(this.currentMonthStart.getFullYear(), this.currentMonthStart.getMonth() - 1, 1, 12);
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    nextMonth() {
+        this.currentMonthStart = new Date(this.currentMonthStart.getFullYear(), this.currentMonthStart.getMonth() + 1, 1, 12);
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    selectMonth(dateString) {
+        this.currentMonthStart = this.getMonthStart(new Date(`${dateString}T12:00:00`));
+        this.renderCalendarView();
+        this.loadData(false); // Use cache for fast navigation
+    }
+
+    showLoading(message = 'Loading...', details = '') {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        const loadingMessage = document.getElementById('loadingMessage');
+        const loadingDetails = document.getElementById('loadingDetails');
+
+        if (loadingMessage) {
+            loadingMessage.textContent = message;
+            // Force UI update
+            loadingMessage.style.display = 'none';
+            loadingMessage.offsetHeight;
+            loadingMessage.style.display = 'block';
+        }
+
+        if (loadingDetails) {
+            loadingDetails.innerHTML = details;
+            // Force UI update
+            loadingDetails.style.display = 'none';
+            loadingDetails.offsetHeight;
+            loadingDetails.style.display = 'block';
+        }
+
+        if (loadingOverlay) {
+            loadingOverlay.style.display = 'flex';
+        }
+    }
+
+    hideLoading() {
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        if (loadingOverlay) {
+            loadingOverlay.style.display = 'none';
+        }
+    }
+
+    showNotification(message, type = 'success') {
+        const notification = document.getElementById('notification');
+        if (!notification) return;
+
+        notification.textContent = message;
+        notification.className = `notification ${type}`;
+        notification.classList.remove('hidden');
+
+        setTimeout(() => {
+            notification.classList.add('hidden');
+        }, 5000);
+    }
+
+    // Autocomplete functionality
+    initializeAutocomplete() {
+        // This will be called when the modal opens
+        this.safeLog('Autocomplete system initialized');
+    }
+
+    setupFormAutocomplete() {
+        const customerInput = document.getElementById('customer');
+        const workItemInput = document.getElementById('workItem');
+
+        if (customerInput) {
+            // Clear previous event listeners
+            customerInput.removeEventListener('input', this.customerInputHandler);
+            customerInput.removeEventListener('focus', this.customerFocusHandler);
+
+            this.customerInputHandler = (e) => this.handleCustomerInput(e);
+            this.customerFocusHandler = () => this.showCustomerSuggestions();
+
+            customerInput.addEventListener('input', this.customerInputHandler);
+            customerInput.addEventListener('focus', this.customerFocusHandler);
+        }
+
+        if (workItemInput) {
+            workItemInput.removeEventListener('focus', this.workItemFocusHandler);
+            workItemInput.removeEventListener('input', this.workItemInputHandler);
+            workItemInput.removeEventListener('change', this.workItemChangeHandler);
+
+            this.workItemFocusHandler = () => this.showWorkItemSuggestions();
+            this.workItemInputHandler = () => this.showWorkItemSuggestions();
+            this.workItemChangeHandler = () => this.applyUsualPairValues();
+
+            workItemInput.addEventListener('focus', this.workItemFocusHandler);
+            workItemInput.addEventListener('input', this.workItemInputHandler);
+            workItemInput.addEventListener('change', this.workItemChangeHandler);
+        }
+    }
+
+    handleCustomerInput(e) {
+        const customer = e.target.value.trim();
+        if (customer.length > 1) {
+            this.showCustomerSuggestions();
+        } else {
+            this.hideSuggestions();
+        }
+    }
+
+    showCustomerSuggestions() {
+        const customerInput = document.getElementById('customer');
+        if (!customerInput) return;
+
+        const ranked = this.rankSuggestions(customerInput.value, this.getCustomers(), customer => this.getCustomerUsage(customer));
+
+        this.showSuggestions(customerInput, ranked, (selectedCustomer) => {
+            customerInput.value = selectedCustomer;
+            this.showWorkItemSuggestions();
+        });
+    }
+
+    showWorkItemSuggestions() {
+        const customerInput = document.getElementById('customer');
+        const workItemInput = document.getElementById('workItem');
+        if (!customerInput || !workItemInput) return;
+
+        const customer = customerInput.value.trim();
+        if (!customer) return;
+
+        const usage = this.getPairUsageMap();
+        const ranked = this.rankSuggestions(workItemInput.value, this.getWorkItemsForCustomer(customer), workItem => usage.get(`${customer}|${workItem}`))
+            .map(suggestion => {
+                const usual = this.getUsualPairValues(customer, suggestion.value);
+                return usual ? { ...suggestion, hint: `${this.getActivityTypeName(usual.activityType)}, ${usual.hours}h` } : suggestion;
+            });
+
+        this.showSuggestions(workItemInput, ranked, (selectedWorkItem) => {
+            workItemInput.value = selectedWorkItem;
+            this.applyUsualPairValues();
+        });
+    }
+
+    // Pre-fill the activity type and hours usually logged on the chosen pair (new entries only) and say so
+    applyUsualPairValues() {
+        const customer = document.getElementById('customer');
+        const workItem = document.getElementById('workItem');
+        if (!customer || !workItem) return;
+
+        const usual = this.getUsualPairValues(customer.value.trim(), workItem.value.trim());
+        const catalogPair = this.getCatalogPair(customer.value, workItem.value);
+        this.updatePairUsageHint(usual, catalogPair);
+        if (this.isEditing) return;
+
+        const activityType = document.getElementById('activityType');
+        const hours = document.getElementById('hours');
+        if (usual) {
+            if (activityType && usual.activityType !== undefined) activityType.value = usual.activityType;
+            if (hours && usual.hours) hours.value = usual.hours;
+        } else if (activityType && catalogPair && catalogPair.billable) {
+            activityType.value = '1';
+        }
+    }
+
+    updatePairUsageHint(usual, catalogPair = null) {
+        const hint = document.getElementById('pairUsageHint');
+        if (!hint) return;
+
+        const parts = [];
+        if (usual) {
+            parts.push(`Usually ${this.getActivityTypeName(usual.activityType)}, ${usual.hours}h (used ${usual.count} ${usual.count === 1 ? 'time' : 'times'})`);
+        }
+        if (catalogPair && catalogPair.billable !== null) {
+            parts.push(`Catalog: ${catalogPair.billable ? 'billable' : 'not billable'}`);
+        }
+
+        hint.textContent = parts.join(' · ');
+        hint.style.display = parts.length > 0 ? 'block' : 'none';
+    }
+
+    // Suggestions are strings or { value, indices, hint }; indices are the matched characters to highlight
+    showSuggestions(inputElement, suggestions, onSelect) {
+        this.hideSuggestions();
+
+        if (suggestions.length === 0) return;
+
+        const suggestionsDiv = document.createElement('div');
+        suggestionsDiv.className = 'autocomplete-suggestions';
+        suggestionsDiv.style.cssText = `
+            position: absolute;
+            background: white;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            max-height: 200px;
+            overflow-y: auto;
+            z-index: 1000;
+            width: ${inputElement.offsetWidth}px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        `;
+
+        const values = suggestions.map(suggestion => typeof suggestion === 'string' ? suggestion : suggestion.value);
+        const chooseSuggestion = (value) => {
+            onSelect(value);
+            this.hideSuggestions();
+        };
+
+        suggestions.forEach((suggestion, index) => {
+            const suggestionItem = document.createElement('div');
+            const { value, indices = [], hint = '' } = typeof suggestion === 'string' ? { value: suggestion } : suggestion;
+            const matched = new Set(indices);
+
+            value.split('').forEach((char, position) => {
+                if (matched.has(position)) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'suggestion-match';
+                    mark.textContent = char;
+                    suggestionItem.appendChild(mark);
+                } else {
+                    suggestionItem.appendChild(document.createTextNode(char));
+                }
+            });
+            if (hint) {
+                const hintElement = document.createElement('span');
+                hintElement.className = 'suggestion-hint';
+                hintElement.textContent = hint;
+                suggestionItem.appendChild(hintElement);
+            }
+
+            suggestionItem.style.cssText = `
+                padding: 8px 12px;
+                cursor: pointer;
+                border-bottom: 1px solid #f0f0f0;
+            `;
+            suggestionItem.addEventListener('mouseenter', () => {
+                suggestionItem.style.background = '#f0f0f0';
+            });
+            suggestionItem.addEventListener('mouseleave', () => {
+                suggestionItem.style.background = 'white';
+            });
+            suggestionItem.addEventListener('click', () => chooseSuggestion(values[index]));
+            suggestionsDiv.appendChild(suggestionItem);
+        });
+
+        const rect = inputElement.getBoundingClientRect();
+        suggestionsDiv.style.top = `${rect.bottom + window.scrollY}px`;
+        suggestionsDiv.style.left = `${rect.left + window.scrollX}px`;
+
+        document.body.appendChild(suggestionsDiv);
+
+        // Close suggestions when clicking outside
+        this.suggestionsClickHandler = (e) => {
+            if (!suggestionsDiv.contains(e.target) && e.target !== inputElement) {
+                this.hideSuggestions();
+            }
+        };
+        document.addEventListener('click', this.suggestionsClickHandler);
+
+        // Arrow keys walk the list, Enter picks the highlighted suggestion, Escape closes the list only
+        let activeIndex = -1;
+        this.suggestionsKeyHandler = (e) => {
+            const items = Array.from(suggestionsDiv.children);
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                activeIndex = e.key === 'ArrowDown' ?
+                    (activeIndex + 1) % items.length :
+                    (activeIndex <= 0 ? items.length : activeIndex) - 1;
+                items.forEach((item, index) => {
+                    item.classList.toggle('active', index === activeIndex);
+                    item.style.background = index === activeIndex ? '#f0f0f0' : 'white';
+                });
+                if (items[activeIndex].scrollIntoView) items[activeIndex].scrollIntoView({ block: 'nearest' });
+            } else if (e.key === 'Enter' && activeIndex >= 0) {
+                e.preventDefault();
+                e.stopPropagation();
+                chooseSuggestion(values[activeIndex]);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.hideSuggestions();
+            }
+        };
+        this.suggestionsInput = inputElement;
+        inputElement.addEventListener('keydown', this.suggestionsKeyHandler);
+    }
+
+    hideSuggestions() {
+        const existing = document.querySelector('.autocomplete-suggestions');
+        if (existing) {
+            existing.remove();
+        }
+        if (this.suggestionsClickHandler) {
+            document.removeEventListener('click', this.suggestionsClickHandler);
+            this.suggestionsClickHandler = null;
+        }
+        if (this.suggestionsKeyHandler) {
+            this.suggestionsInput.removeEventListener('keydown', this.suggestionsKeyHandler);
+            this.suggestionsKeyHandler = null;
+            this.suggestionsInput = null;
+        }
+    }
+
+    // Enhanced Customer-work pairs management modal
+    openCustomerWorkPairsModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        const allPairs = this.getAllCustomerWorkPairs();
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 800px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Manage Customer-Work Item Pairs</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+                
+                <div class="modal-body">
+                    <!-- Project Catalog -->
+                    <div class="catalog-status" style="display: flex; justify-content: space-between; align-items: center; gap: 10px; background: #eef6fc; padding: 12px 15px; border-radius: 5px; margin-bottom: 20px;">
+                        <div style="font-size: 14px;">
+                            ${this.isCatalogConfigured() ?
+                `<strong>Project catalog:</strong> board ${this.catalogSettings.boardId}, ${this.catalog.pairs.length} pairs
+                                ${this.catalog.syncedAt ? `<span style="color: #7f8c8d;">(synced ${new Date(this.catalog.syncedAt).toLocaleString()})</span>` : '<span style="color: #7f8c8d;">(not synced yet)</span>'}
+                                <div style="font-size: 12px; color: #7f8c8d;">Catalog pairs are active or expired as the catalog board says.</div>` :
+                '<strong>Project catalog:</strong> not configured - suggestions only come from your own entries'}
+                        </div>
+                        <div style="display: flex; gap: 10px;">
+                            <button id="catalogSettingsButton" class="btn-secondary" style="padding: 4px 8px; font-size: 12px;">Catalog Settings</button>
+                            ${this.isCatalogConfigured() ? '<button id="syncCatalog" class="btn-secondary" style="padding: 4px 8px; font-size: 12px;">Sync Now</button>' : ''}
+                        </div>
+                    </div>
+
+                    <!-- Add New Pair Form -->
+                    <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin-bottom: 20px;">
+                        <h4 style="margin-bottom: 10px;">Add New Customer-Work Pair</h4>
+                        <div style="display: grid; grid-template-columns: 1fr 1fr auto; gap: 10px; align-items: end;">
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: 500;">Customer</label>
+                                <input type="text" id="newCustomer" placeholder="Enter customer name" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                            </div>
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: 500;">Work Item</label>
+                                <input type="text" id="newWorkItem" placeholder="Enter work item" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                            </div>
+                            <div>
+                                <button id="addNewPair" class="btn-primary" style="padding: 8px 16px;">Add Pair</button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Management Controls -->
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                        <div>
+                            <span style="font-weight: 500;">Active: ${allPairs.active.length} | Expired: ${allPairs.expired.length}</span>
+                        </div>
+                        <div style="display: flex; gap: 10px;">
+                            <button id="exportPairs" class="btn-secondary">Export Pairs</button>
+                            <button id="importPairs" class="btn-secondary">Import Pairs</button>
+                            <input type="file" id="importFile" accept=".json" style="display: none;">
+                        </div>
+                    </div>
+
+                    <!-- Active Pairs Section -->
+                    <div style="margin-bottom: 30px;">
+                        <h4 style="color: #27ae60; margin-bottom: 10px;">Active Pairs (${allPairs.active.length})</h4>
+                        <div style="max-height: 300px; overflow-y: auto; border: 1px solid #e0e0e0; border-radius: 5px;">
+                            ${allPairs.active.length > 0 ?
+                allPairs.active.map((pair, index) => `
+                                    <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                        <div style="flex: 1;">
+                                            <strong>${pair.customer}</strong> - ${pair.workItem}
+                                            ${this.renderCatalogBadge(pair)}
+                                        </div>
+                                        ${pair.catalog ? '' : `<div style="display: flex; gap: 5px;">
+                                            <button class="edit-pair btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px;">
+                                                Edit
+                                            </button>
+                                            <button class="mark-expired btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px;">
+                                                Mark Expired
+                                            </button>
+                                        </div>`}
+                                    </div>
+                                `).join('') :
+                '<p style="text-align: center; color: #666; padding: 20px;">No active customer-work item pairs found.</p>'
+            }
+                        </div>
+                    </div>
+
+                    <!-- Expired Pairs Section -->
+                    <div>
+                        <h4 style="color: #e74c3c; margin-bottom: 10px;">Expired Pairs (${allPairs.expired.length})</h4>
+                        <div style="max-height: 200px; overflow-y: auto; border: 1px solid #e0e0e0; border-radius: 5px;">
+                            ${allPairs.expired.length > 0 ?
+                allPairs.expired.map((pair, index) => `
+                                    <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'}; opacity: 0.7;">
+                                        <div style="flex: 1;">
+                                            <strong>${pair.customer}</strong> - ${pair.workItem}
+                                            ${this.renderCatalogBadge(pair)}
+                                        </div>
+                                        ${pair.catalog ? '' : `<div style="display: flex; gap: 5px;">
+                                            <button class="unmark-expired btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px;">
+                                                Reactivate
+                                            </button>
+                                            <button class="delete-pair btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px; background: #e74c3c;">
+                                                Delete
+                                            </button>
+                                        </div>`}
+                                    </div>
+                                `).join('') :
+                '<p style="text-align: center; color: #666; padding: 20px;">No expired customer-work item pairs found.</p>'
+            }
+                        </div>
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closePairsModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        // Event handlers for the modal
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closePairsModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('#catalogSettingsButton').addEventListener('click', () => {
+            closeModal();
+            this.openCatalogSettingsModal();
+        });
+
+        const syncCatalogBtn = modal.querySelector('#syncCatalog');
+        if (syncCatalogBtn) {
+            syncCatalogBtn.addEventListener('click', async () => {
+                closeModal();
+                await this.syncCatalog(true);
+                this.openCustomerWorkPairsModal();
+            });
+        }
+
+        // Add new pair functionality
+        modal.querySelector('#addNewPair').addEventListener('click', () => {
+            const newCustomer = modal.querySelector('#newCustomer').value.trim();
+            const newWorkItem = modal.querySelector('#newWorkItem').value.trim();
+
+            if (!newCustomer || !newWorkItem) {
+                this.showNotification('Please enter both customer and work item', 'error');
+                return;
+            }
+
+            this.addCustomerWorkPair(newCustomer, newWorkItem);
+            this.showNotification(`Added new pair: ${newCustomer} - ${newWorkItem}`, 'success');
+
+            // Clear inputs
+            modal.querySelector('#newCustomer').value = '';
+            modal.querySelector('#newWorkItem').value = '';
+
+            // Refresh the modal
+            closeModal();
+            this.openCustomerWorkPairsModal();
+        });
+
+        // Export functionality
+        modal.querySelector('#exportPairs').addEventListener('click', () => {
+            this.exportCustomerWorkPairs();
+        });
+
+        // Import functionality
+        modal.querySelector('#importPairs').addEventListener('click', () => {
+            modal.querySelector('#importFile').click();
+        });
+
+        modal.querySelector('#importFile').addEventListener('change', (e) => {
+            this.importCustomerWorkPairs(e.target.files[0]);
+            closeModal();
+        });
+
+        // Edit pair functionality
+        modal.querySelectorAll('.edit-pair').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const customer = e.target.getAttribute('data-customer');
+                const workItem = e.target.getAttribute('data-workitem');
+                this.openEditPairModal(customer, workItem, closeModal);
+            });
+        });
+
+        // Mark as expired functionality
+        modal.querySelectorAll('.mark-expired').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const customer = e.target.getAttribute('data-customer');
+                const workItem = e.target.getAttribute('data-workitem');
+                this.markPairAsExpired(customer, workItem);
+                this.showNotification(`Marked ${customer} - ${workItem} as expired`, 'success');
+                closeModal();
+                this.openCustomerWorkPairsModal();
+            });
+        });
+
+        // Unmark as expired functionality
+        modal.querySelectorAll('.unmark-expired').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const customer = e.target.getAttribute('data-customer');
+                const workItem = e.target.getAttribute('data-workitem');
+                this.unmarkPairAsExpired(customer, workItem);
+                this.addCustomerWorkPair(customer, workItem);
+                this.showNotification(`Reactivated ${customer} - ${workItem}`, 'success');
+                closeModal();
+                this.openCustomerWorkPairsModal();
+            });
+        });
+
+        // Delete pair functionality
+        modal.querySelectorAll('.delete-pair').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const customer = e.target.getAttribute('data-customer');
+                const workItem = e.target.getAttribute('data-workitem');
+
+                if (confirm(`Are you sure you want to permanently delete the pair "${customer} - ${workItem}"?`)) {
+                    this.expiredPairs.delete(`${customer}|${workItem}`);
+                    this.saveCustomerWorkPairs();
+                    this.showNotification(`Deleted pair: ${customer} - ${workItem}`, 'success');
+                    closeModal();
+                    this.openCustomerWorkPairsModal();
+                }
+            });
+        });
+    }
+
+    openEditPairModal(oldCustomer, oldWorkItem, onClose) {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1001;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 500px;">
+                <div class="modal-header" style="display: flex; justify-content: between; align-items: center; margin-bottom: 20px;">
+                    <h3>Edit Customer-Work Pair</h3>
+                    <button class="close-edit-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+                
+                <div class="modal-body">
+                    <div style="margin-bottom: 15px;">
+                        <label style="display: block; margin-bottom: 5px; font-weight: 500;">Customer</label>
+                        <input type="text" id="editCustomer" value="${oldCustomer}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                    </div>
+                    <div style="margin-bottom: 15px;">
+                        <label style="display: block; margin-bottom: 5px; font-weight: 500;">Work Item</label>
+                        <input type="text" id="editWorkItem" value="${oldWorkItem}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="cancelEdit" class="btn-secondary">Cancel</button>
+                    <button id="saveEdit" class="btn-primary">Save Changes</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeEditModal = () => {
+            modal.remove();
+            onClose();
+            this.openCustomerWorkPairsModal();
+        };
+
+        modal.querySelector('.close-edit-modal').addEventListener('click', closeEditModal);
+        modal.querySelector('#cancelEdit').addEventListener('click', closeEditModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeEditModal();
+        });
+
+        modal.querySelector('#saveEdit').addEventListener('click', () => {
+            const newCustomer = modal.querySelector('#editCustomer').value.trim();
+            const newWorkItem = modal.querySelector('#editWorkItem').value.trim();
+
+            if (!newCustomer || !newWorkItem) {
+                this.showNotification('Please enter both customer and work item', 'error');
+                return;
+            }
+
+            // Remove old pair
+            this.removeCustomerWorkPair(oldCustomer, oldWorkItem);
+            this.expiredPairs.delete(`${oldCustomer}|${oldWorkItem}`);
+
+            // Add new pair
+            this.addCustomerWorkPair(newCustomer, newWorkItem);
+
+            this.showNotification(`Updated pair: ${oldCustomer} - ${oldWorkItem} → ${newCustomer} - ${newWorkItem}`, 'success');
+            closeEditModal();
+        });
+    }
+
+    renderCatalogBadge(pair) {
+        if (!pair.catalog) return '';
+
+        const catalogPair = this.getCatalogPair(pair.customer, pair.workItem);
+        const billable = catalogPair && catalogPair.billable !== null ?
+            ` · ${catalogPair.billable ? 'billable' : 'non-billable'}` : '';
+        return `<span class="catalog-badge">catalog${billable}</span>`;
+    }
+
+    openCatalogSettingsModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'catalogSettingsModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        const { boardId, columns, labels } = this.catalogSettings;
+        const inputStyle = 'width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;';
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Project Catalog</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p style="font-size: 14px; color: #7f8c8d; margin-bottom: 15px;">
+                        A Monday.com board listing the valid customer and work item pairs. Its pairs are offered in autocomplete,
+                        and they expire when the active column says so. Use the column IDs from the board, or "name" for the item name.
+                        A checkbox column is read as is; for a status or text column, list the labels that mean active or billable.
+                    </p>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
+                        <div style="grid-column: span 2;">
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Catalog Board ID</label>
+                            <input type="text" id="catalogBoardId" value="${boardId}" placeholder="Leave empty to turn the catalog off" style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Customer Column *</label>
+                            <input type="text" id="catalogCustomerColumn" value="${columns.customer}" placeholder="e.g. text__1" style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Work Item Column *</label>
+                            <input type="text" id="catalogWorkItemColumn" value="${columns.workItem}" placeholder="name" style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Active Column</label>
+                            <input type="text" id="catalogActiveColumn" value="${columns.active}" placeholder="Checkbox or status; empty = all active" style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Billable Column</label>
+                            <input type="text" id="catalogBillableColumn" value="${columns.billable}" placeholder="Checkbox or status; optional" style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Active Labels</label>
+                            <input type="text" id="catalogActiveLabels" value="${labels.active}" placeholder="e.g. Active, Open; not for checkboxes" style="${inputStyle}">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Billable Labels</label>
+                            <input type="text" id="catalogBillableLabels" value="${labels.billable}" placeholder="e.g. Billable; not for checkboxes" style="${inputStyle}">
+                        </div>
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="cancelCatalogSettings" class="btn-secondary">Cancel</button>
+                    <button id="saveCatalogSettings" class="btn-primary">Save & Sync</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#cancelCatalogSettings').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('#saveCatalogSettings').addEventListener('click', async () => {
+            const settings = {
+                boardId: modal.querySelector('#catalogBoardId').value.trim(),
+                columns: {
+                    customer: modal.querySelector('#catalogCustomerColumn').value.trim(),
+                    workItem: modal.querySelector('#catalogWorkItemColumn').value.trim(),
+                    active: modal.querySelector('#catalogActiveColumn').value.trim(),
+                    billable: modal.querySelector('#catalogBillableColumn').value.trim()
+                },
+                labels: {
+                    active: modal.querySelector('#catalogActiveLabels').value.trim(),
+                    billable: modal.querySelector('#catalogBillableLabels').value.trim()
+                }
+            };
+
+            if (settings.boardId && (!settings.columns.customer || !settings.columns.workItem)) {
+                this.showNotification('Customer and work item columns are required', 'error');
+                return;
+            }
+
+            this.catalogSettings = settings;
+            this.saveCatalogSettings();
+            closeModal();
+
+            if (settings.boardId) {
+                await this.syncCatalog(true);
+            } else {
+                this.catalog = { pairs: [], syncedAt: null };
+                this.catalogIndex = null;
+                this.saveCatalog();
+                this.showNotification('Project catalog turned off', 'success');
+            }
+        });
+    }
+
+    exportCustomerWorkPairs() {
+        const allPairs = this.getAllCustomerWorkPairs();
+        const data = JSON.stringify({
+            active: allPairs.active,
+            expired: allPairs.expired,
+            exportedAt: new Date().toISOString()
+        }, null, 2);
+
+        this.downloadBlob(new Blob([data], { type: 'application/json' }), `customer-work-pairs-${new Date().toISOString().split('T')[0]}.json`);
+        this.showNotification('Customer-work pairs exported successfully', 'success');
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Header row plus one row per entry, ordered by date
+    buildEntryExportRows(entriesMap) {
+        const rows = [['Date', 'Activity Type', 'Customer', 'Work Item', 'Comment', 'Hours', 'Item ID']];
+        const clean = value => value && value !== 'null' ? value : '';
+
+        Array.from(entriesMap.keys()).sort().forEach(date => {
+            entriesMap.get(date).forEach(entry => {
+                rows.push([
+                    date,
+                    this.getActivityTypeName(entry.activityType),
+                    clean(entry.customer),
+                    clean(entry.workItem),
+                    clean(entry.comment),
+                    parseFloat(entry.hours) || 0,
+                    String(entry.id)
+                ]);
+            });
+        });
+
+        return rows;
+    }
+
+    // Entry import methods
+    getImportFields() {
+        return [
+            { field: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'datum'] },
+            { field: 'activityType', label: 'Activity Type', required: true, aliases: ['activity type', 'activity', 'type', 'status'] },
+            { field: 'customer', label: 'Customer', required: true, aliases: ['customer', 'client', 'kunde'] },
+            { field: 'workItem', label: 'Work Item', required: true, aliases: ['work item', 'workitem', 'project', 'task'] },
+            { field: 'comment', label: 'Comment', required: false, aliases: ['comment', 'description', 'notes', 'note'] },
+            { field: 'hours', label: 'Hours', required: true, aliases: ['hours', 'hrs', 'duration', 'time'] }
+        ];
+    }
+
+    // field -> column index guessed from the header row, -1 when nothing matches
+    guessImportMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_-]/g, ' '));
+        const mapping = {};
+
+        this.getImportFields().forEach(({ field, aliases }) => {
+            mapping[field] = normalized.findIndex(header => aliases.includes(header));
+        });
+
+        return mapping;
+    }
+
+    // YYYY-MM-DD or DD.MM.YYYY to YYYY-MM-DD; null when not a real date
+    parseImportDate(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        let year, month, day;
+
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {
+            [, day, month, year] = match.map(Number);
+        } else {
+            return null;
+        }
+
+        const date = new Date(year, month - 1, day, 12);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return this.formatDate(date);
+    }
+
+    // Activity type number (0-12) or name to its value; null when unknown
+    parseImportActivityType(value) {
+        const text = String(value || '').trim();
+        if (/^\d+$/.test(text)) {
+            return this.getActivityTypeName(text) !== 'Unknown' ? String(parseInt(text)) : null;
+        }
+
+        const option = this.getActivityTypeOptions().find(opt => opt.label.trim().toLowerCase() === text.toLowerCase());
+        return option ? String(option.value) : null;
+    }
+
+    validateImportRows(rows, mapping, existingEntries) {
+        const normalize = value => String(value || '').trim().toLowerCase();
+        const cellValue = (row, field) => mapping[field] >= 0 ? String(row.cells[mapping[field]] || '').trim() : '';
+        const seen = new Set();
+
+        return rows.map(row => {
+            const errors = [];
+            const rawActivity = cellValue(row, 'activityType');
+            const rawHours = cellValue(row, 'hours').replace(',', '.');
+            const entry = {
+                date: this.parseImportDate(cellValue(row, 'date')),
+                activityType: this.parseImportActivityType(rawActivity),
+                customer: cellValue(row, 'customer'),
+                workItem: cellValue(row, 'workItem'),
+                comment: cellValue(row, 'comment'),
+                hours: parseFloat(rawHours)
+            };
+
+            if (!entry.date) errors.push(`Invalid date "${cellValue(row, 'date')}"`);
+            if (entry.activityType === null) errors.push(`Unknown activity type "${rawActivity}"`);
+            if (!entry.customer) errors.push('Missing customer');
+            if (!entry.workItem) errors.push('Missing work item');
+            if (!/^\d+(\.\d+)?$/.test(rawHours) || entry.hours <= 0 || entry.hours > 24) {
+                errors.push(`Hours must be between 0 and 24 ("${cellValue(row, 'hours')}")`);
+            }
+
+            // Same duplicate rule as the entry form: a row for a day that already has the customer and work item.
+            // An identical entry is an error (e.g. a re-imported export); otherwise the import asks what to do.
+            const notices = [];
+            if (errors.length === 0) {
+                const key = [entry.date, normalize(entry.customer), normalize(entry.workItem)].join('|');
+                const existing = this.findDuplicateEntry(entry, null, existingEntries);
+
+                if (existing && String(existing.activityType) === entry.activityType && parseFloat(existing.hours) === entry.hours) {
+                    errors.push('Duplicate of an existing entry');
+                } else if (seen.has(key)) {
+                    errors.push('Duplicate of an earlier row');
+                } else if (existing) {
+                    notices.push(`Already logged: ${existing.hours}h ${this.getActivityTypeName(existing.activityType)} - you will be asked to merge or update`);
+                }
+                seen.add(key);
+            }
+
+            // Numbered by file line, so blank lines skipped by the parser don't shift the numbers
+            return { rowNumber: row.lineNumber, entry, errors, notices };
+        });
+    }
+
+    openImportEntriesModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'importEntriesModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 1100px; width: 90%; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Import Entries from CSV</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="margin-bottom: 15px;">
+                        <input type="file" id="importEntriesFile" accept=".csv,text/csv">
+                        <div style="font-size: 12px; color: #7f8c8d; margin-top: 5px;">
+                            The first row must hold the column names. Dates as YYYY-MM-DD or DD.MM.YYYY; activity types as number or name.
+                        </div>
+                    </div>
+                    <div id="importMapping" class="import-mapping"></div>
+                    <div id="importSummary" style="margin: 10px 0; font-size: 14px;"></div>
+                    <div id="importPreview"></div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="closeImportModal" class="btn-secondary">Close</button>
+                    <button id="submitImport" class="btn-primary batch-submit" disabled>
+                        <i class="fas fa-file-import"></i> Import Valid Rows
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        let headers = [];
+        let dataRows = [];
+        let mapping = {};
+        let validatedRows = [];
+        let existingEntries = new Map();
+        let hasCreatedEntries = false;
+
+        const closeModal = async () => {
+            modal.remove();
+            if (hasCreatedEntries) {
+                await this.loadData(false);
+            }
+        };
+
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeImportModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        const renderPreview = async () => {
+            const dates = Array.from(new Set(dataRows
+                .map(row => mapping.date >= 0 ? this.parseImportDate(row.cells[mapping.date]) : null)
+                .filter(Boolean)))
+                .map(date => new Date(`${date}T12:00:00`));
+
+            existingEntries = new Map();
+            if (dates.length > 0) {
+                this.showLoading('Checking for duplicates...', `${dates.length} days`);
+                try {
+                    existingEntries = await this.getEntriesForDates(dates);
+                } catch (error) {
+                    this.showNotification(`Could not check for duplicates: ${this.describeApiError(error)}`, 'warning');
+                    this.safeLog(`Import duplicate check failed: ${error.message}`, 'warn');
+                } finally {
+                    this.hideLoading();
+                }
+            }
+
+            validatedRows = this.validateImportRows(dataRows, mapping, existingEntries);
+            const validCount = validatedRows.filter(row => row.errors.length === 0).length;
+
+            modal.querySelector('#importSummary').textContent =
+                `${validatedRows.length} rows: ${validCount} valid, ${validatedRows.length - validCount} with errors`;
+            modal.querySelector('#submitImport').disabled = validCount === 0;
+
+            modal.querySelector('#importPreview').innerHTML = `
+                <table class="batch-entry-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Date</th>
+                            <th>Activity Type</th>
+                            <th>Customer</th>
+                            <th>Work Item</th>
+                            <th>Comment</th>
+                            <th>Hours</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${validatedRows.map(({ rowNumber, entry, errors, notices }) => `
+                            <tr class="batch-row import-row ${errors.length > 0 ? 'batch-row-failed' : ''}" data-row="${rowNumber}">
+                                <td>${rowNumber}</td>
+                                <td>${entry.date || ''}</td>
+                                <td>${entry.activityType !== null ? this.getActivityTypeName(entry.activityType) : ''}</td>
+                                <td>${entry.customer}</td>
+                                <td>${entry.workItem}</td>
+                                <td>${entry.comment}</td>
+                                <td>${isNaN(entry.hours) ? '' : entry.hours}</td>
+                                <td class="batch-status">${errors.length > 0 ?
+                                    `<small class="import-errors">${errors.join('<br>')}</small>` :
+                                    notices.map(notice => `<small class="import-notice">${notice}</small>`).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        };
+
+        const renderMapping = () => {
+            modal.querySelector('#importMapping').innerHTML = this.getImportFields().map(({ field, label, required }) => `
+                <div>
+                    <label style="display: block; margin-bottom: 5px; font-size: 12px; font-weight: 500;">${label}${required ? ' *' : ''}</label>
+                    <select class="import-column" data-field="${field}" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+                        <option value="-1">(not imported)</option>
+                        ${headers.map((header, index) => `
+                            <option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${header || `Column ${index + 1}`}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('');
+
+            modal.querySelectorAll('.import-column').forEach(select => {
+                select.addEventListener('change', () => {
+                    mapping[select.getAttribute('data-field')] = parseInt(select.value);
+                    renderPreview();
+                });
+            });
+        };
+
+        modal.querySelector('#importEntriesFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = async (event) => {
+                const rows = this.spreadsheetExporter.parseCsv(event.target.result);
+                if (rows.length < 2) {
+                    this.showNotification('The file has no entry rows', 'error');
+                    return;
+                }
+
+                headers = rows[0].cells;
+                dataRows = rows.slice(1);
+                mapping = this.guessImportMapping(headers);
+                renderMapping();
+                await renderPreview();
+            };
+            reader.readAsText(file);
+        });
+
+        modal.querySelector('#submitImport').addEventListener('click', async () => {
+            const created = await this.submitImportRows(modal, validatedRows, existingEntries);
+            hasCreatedEntries = hasCreatedEntries || created > 0;
+        });
+    }
+
+    // Create the valid, not yet imported rows, after the duplicate check against existingEntries (date -> entries);
+    // updates each row's result cell and returns the number of entries created or updated
+    async submitImportRows(modal, validatedRows, existingEntries) {
+        let rows = validatedRows
+            .filter(({ errors }) => errors.length === 0)
+            .map(({ rowNumber, entry }) => ({ row: modal.querySelector(`.import-row[data-row="${rowNumber}"]`), entry }))
+            .filter(({ row }) => row && !row.classList.contains('batch-row-saved'));
+
+        if (rows.length === 0) {
+            this.showNotification('There are no valid rows left to import', 'warning');
+            return 0;
+        }
+
+        if (this.isOffline()) {
+            this.showNotification('You are offline - connect to Monday.com to import entries', 'warning');
+            return 0;
+        }
+
+        const resolution = await this.applyDuplicateChoice(rows, ({ row }, status, message) => this.setBatchRowStatus(row, status, message), existingEntries);
+        if (!resolution) return 0;
+
+        const resolvedDuplicates = resolution.updated.length;
+        rows = resolution.remaining;
+        if (rows.length === 0) {
+            if (resolution.failed.length > 0) {
+                this.showNotification(`Updated ${resolvedDuplicates} existing entries, ${resolution.failed.length} failed`, 'warning');
+            } else {
+                this.showNotification(`Updated ${resolvedDuplicates} existing entries`, 'success');
+            }
+            return resolvedDuplicates;
+        }
+
+        const submitButton = modal.querySelector('#submitImport');
+        submitButton.disabled = true;
+        this.updateStatus('Importing Entries', 'loading');
+
+        let created = 0;
+        let failed = resolution.failed.length;
+
+        try {
+            rows.forEach(({ row }) => this.setBatchRowStatus(row, 'saving'));
+            const results = await this.createEntryItemsBatch(rows.map(({ entry }) => entry));
+
+            results.forEach((result, index) => {
+                const { row, entry } = rows[index];
+                if (result.success) {
+                    this.addCustomerWorkPair(entry.customer, entry.workItem);
+                    this.setBatchRowStatus(row, 'saved');
+                    row.querySelector('.batch-status').insertAdjacentHTML('beforeend', ` <small>Item ${result.id}</small>`);
+                    created++;
+                } else {
+                    this.setBatchRowStatus(row, 'failed', result.error);
+                    row.querySelector('.batch-status').insertAdjacentHTML('beforeend', ` <small class="import-errors">${result.error}</small>`);
+                    this.safeLog(`Import of row ${row.getAttribute('data-row')} failed: ${result.error}`, 'error');
+                    failed++;
+                }
+            });
+        } catch (error) {
+            rows.forEach(({ row }) => this.setBatchRowStatus(row, 'failed', error.message));
+            this.safeLog(`Entry import failed: ${error.message}`, 'error');
+            this.showNotification(`Failed to import entries: ${this.describeApiError(error)}`, 'error');
+        } finally {
+            submitButton.disabled = false;
+            this.updateStatus('Ready');
+        }
+
+        if (created > 0) {
+            // Invalidate cache since we added new data
+            this.clearCache();
+        }
+
+        const updatedNote = resolvedDuplicates > 0 ? ` (${resolvedDuplicates} existing entries updated)` : '';
+        if (failed > 0) {
+            this.showNotification(`Imported ${created} entries, ${failed} failed${updatedNote}`, 'warning');
+        } else if (created > 0) {
+            this.showNotification(`Imported ${created} entries successfully!${updatedNote}`, 'success');
+        }
+
+        return created + resolvedDuplicates;
+    }
+
+    openExportEntriesModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        const weekDates = this.getWeekDates(this.getActiveWeekStart());
+        const monthStart = this.getMonthStart(this.viewMode === 'month' ? this.currentMonthStart : this.currentWeekStart);
+        const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0, 12);
+        const ranges = {
+            week: [weekDates[0], weekDates[6]],
+            month: [monthStart, monthEnd]
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 500px;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Export Entries</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="margin-bottom: 15px;">
+                        <label style="display: block; margin-bottom: 5px; font-weight: 500;">Period</label>
+                        <select id="exportPeriod" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                            <option value="week">Week of ${this.formatShortDate(weekDates[0])}</option>
+                            <option value="month" ${this.viewMode === 'month' ? 'selected' : ''}>${monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</option>
+                            <option value="custom">Custom range</option>
+                        </select>
+                    </div>
+                    <div id="exportCustomRange" style="display: none; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">From</label>
+                            <input type="date" id="exportStart" value="${this.formatDate(monthStart)}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">To</label>
+                            <input type="date" id="exportEnd" value="${this.formatDate(monthEnd)}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                    </div>
+                    <div>
+                        <label style="display: block; margin-bottom: 5px; font-weight: 500;">Format</label>
+                        <select id="exportFormat" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                            <option value="xlsx">Excel (.xlsx)</option>
+                            <option value="csv">CSV (.csv)</option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="cancelExport" class="btn-secondary">Cancel</button>
+                    <button id="runExport" class="btn-primary">
+                        <i class="fas fa-file-export"></i> Export
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#cancelExport').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('#exportPeriod').addEventListener('change', (e) => {
+            modal.querySelector('#exportCustomRange').style.display = e.target.value === 'custom' ? 'grid' : 'none';
+        });
+
+        modal.querySelector('#runExport').addEventListener('click', async () => {
+            const period = modal.querySelector('#exportPeriod').value;
+            const format = modal.querySelector('#exportFormat').value;
+            let [start, end] = ranges[period] || [];
+
+            if (period === 'custom') {
+                const startValue = modal.querySelector('#exportStart').value;
+                const endValue = modal.querySelector('#exportEnd').value;
+                if (!startValue || !endValue || startValue > endValue) {
+                    this.showNotification('Please select a valid date range', 'error');
+                    return;
+                }
+                start = new Date(`${startValue}T12:00:00`);
+                end = new Date(`${endValue}T12:00:00`);
+            }
+
+            await this.exportEntries(start, end, format);
+            closeModal();
+        });
+    }
+
+    async exportEntries(startDate, endDate, format) {
+        this.showLoading('Preparing export...', `${this.formatDate(startDate)} to ${this.formatDate(endDate)}`);
+        try {
+            const entriesMap = await this.getEntriesForDates(this.getDateRange(startDate, endDate));
+            const rows = this.buildEntryExportRows(entriesMap);
+            const filename = `claims-${this.formatDate(startDate)}-to-${this.formatDate(endDate)}.${format}`;
+            const blob = format === 'csv' ?
+                this.spreadsheetExporter.toCsvBlob(rows) :
+                this.spreadsheetExporter.toXlsxBlob(rows, 'Claims');
+
+            this.downloadBlob(blob, filename);
+            this.showNotification(`Exported ${rows.length - 1} entries`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to export entries: ${this.describeApiError(error)}`, 'error');
+            this.safeLog(`Entry export failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    importCustomerWorkPairs(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const data = JSON.parse(e.target.result);
+                let importedCount = 0;
+
+                if (data.active && Array.isArray(data.active)) {
+                    data.active.forEach(pair => {
+                        if (pair.customer && pair.workItem) {
+                            this.addCustomerWorkPair(pair.customer, pair.workItem);
+                            importedCount++;
+                        }
+                    });
+                }
+
+                if (data.expired && Array.isArray(data.expired)) {
+                    data.expired.forEach(pair => {
+                        if (pair.customer && pair.workItem) {
+                            this.expiredPairs.add(`${pair.customer}|${pair.workItem}`);
+                        }
+                    });
+                    this.saveCustomerWorkPairs();
+                }
+
+                this.showNotification(`Imported ${importedCount} customer-work pairs`, 'success');
+                this.openCustomerWorkPairsModal();
+            } catch (error) {
+                this.showNotification('Failed to import file - invalid format', 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    updateBoardProfileInfo() {
+        const boardProfileName = document.getElementById('boardProfileName');
+        if (boardProfileName) {
+            const profile = this.getActiveBoardProfile();
+            boardProfileName.textContent = `Board: ${profile.name} (${profile.boardId})`;
+        }
+    }
+
+    // Board profile management modal
+    openBoardProfilesModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        const profiles = Array.from(this.boardProfiles.values());
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 700px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Board Profiles</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="display: flex; justify-content: flex-end; margin-bottom: 15px;">
+                        <button id="addBoardProfile" class="btn-primary">Add Profile</button>
+                    </div>
+
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                        ${profiles.map((profile, index) => `
+                            <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                <div style="flex: 1;">
+                                    <strong>${profile.name}</strong> - Board ${profile.boardId}
+                                    ${profile.id === this.activeBoardProfileId ? '<span style="color: #27ae60; font-weight: 500;"> (active)</span>' : ''}
+                                </div>
+                                <div style="display: flex; gap: 5px;">
+                                    ${profile.id !== this.activeBoardProfileId ? `
+                                        <button class="activate-profile btn-primary" data-profile-id="${profile.id}" style="padding: 4px 8px; font-size: 12px;">
+                                            Use
+                                        </button>` : ''}
+                                    <button class="edit-profile btn-secondary" data-profile-id="${profile.id}" style="padding: 4px 8px; font-size: 12px;">
+                                        Edit
+                                    </button>
+                                    ${profile.id !== 'default' ? `
+                                        <button class="delete-profile btn-secondary" data-profile-id="${profile.id}" style="padding: 4px 8px; font-size: 12px; background: #e74c3c;">
+                                            Delete
+                                        </button>` : ''}
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closeProfilesModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeProfilesModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('#addBoardProfile').addEventListener('click', () => {
+            closeModal();
+            this.openEditBoardProfileModal(null);
+        });
+
+        modal.querySelectorAll('.activate-profile').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const profileId = e.target.getAttribute('data-profile-id');
+                closeModal();
+                if (this.setActiveBoardProfile(profileId)) {
+                    this.showNotification(`Switched to board profile: ${this.getActiveBoardProfile().name}`, 'success');
+                }
+            });
+        });
+
+        modal.querySelectorAll('.edit-profile').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const profileId = e.target.getAttribute('data-profile-id');
+                closeModal();
+                this.openEditBoardProfileModal(profileId);
+            });
+        });
+
+        modal.querySelectorAll('.delete-profile').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const profileId = e.target.getAttribute('data-profile-id');
+                const profile = this.boardProfiles.get(profileId);
+
+                if (profile && confirm(`Are you sure you want to delete the board profile "${profile.name}"?`)) {
+                    if (!this.deleteBoardProfile(profileId)) return;
+                    this.showNotification(`Deleted board profile: ${profile.name}`, 'success');
+                    closeModal();
+                    this.openBoardProfilesModal();
+                }
+            });
+        });
+    }
+
+    // Hours per customer, work item and activity type over a date range, from an entries map
+    buildReport(entriesMap, dates) {
+        const report = {
+            totalHours: 0,
+            billableHours: 0,
+            expectedHours: 0,
+            entryCount: 0,
+            byCustomer: new Map(),
+            byWorkItem: new Map(),
+            byActivityType: new Map()
+        };
+        const add = (map, key, hours) => map.set(key, (map.get(key) || 0) + hours);
+
+        dates.forEach(date => {
+            const dateStr = this.formatDate(date);
+            const dayEntries = entriesMap.get(dateStr) || [];
+            const isHoliday = this.holidays.has(dateStr) || dayEntries.some(entry => parseInt(entry.activityType) === 6);
+
+            if (!isHoliday) {
+                report.expectedHours += this.getScheduledHours(date);
+            }
+
+            dayEntries.forEach(entry => {
+                const hours = parseFloat(entry.hours) || 0;
+                const customer = entry.customer && entry.customer !== 'null' ? entry.customer : 'No customer';
+                const workItem = entry.workItem && entry.workItem !== 'null' ? entry.workItem : 'No work item';
+
+                report.totalHours += hours;
+                report.entryCount++;
+                if (parseInt(entry.activityType) === 1) report.billableHours += hours;
+
+                add(report.byCustomer, customer, hours);
+                add(report.byWorkItem, `${customer} - ${workItem}`, hours);
+                add(report.byActivityType, this.getActivityTypeName(entry.activityType), hours);
+            });
+        });
+
+        report.billableRatio = report.totalHours > 0 ? report.billableHours / report.totalHours : 0;
+        report.utilization = report.expectedHours > 0 ? report.billableHours / report.expectedHours : 0;
+        return report;
+    }
+
+    // Horizontal bar chart drawn with plain elements, largest value first
+    renderBarChart(title, values) {
+        const rows = Array.from(values.entries()).sort((a, b) => b[1] - a[1]);
+        const max = rows.length > 0 ? rows[0][1] : 0;
+
+        return `
+            <div class="report-chart">
+                <h4>${title}</h4>
+                ${rows.length === 0 ? '<div class="report-empty">No entries</div>' : ''}
+                ${rows.map(([label, hours]) => `
+                    <div class="report-bar-row" title="${label}: ${hours.toFixed(1)}h">
+                        <div class="report-bar-label">${this.truncateText(label, 35)}</div>
+                        <div class="report-bar-track">
+                            <div class="report-bar" style="width: ${max > 0 ? (hours / max) * 100 : 0}%;"></div>
+                        </div>
+                        <div class="report-bar-value">${hours.toFixed(1)}h</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderReport(report) {
+        const billablePercent = Math.round(report.billableRatio * 100);
+        const utilizationPercent = Math.round(report.utilization * 100);
+
+        return `
+            <div class="report-stats">
+                <div class="stat">
+                    <span class="stat-value">${report.totalHours.toFixed(1)}</span>
+                    <span class="stat-label">Total Hours</span>
+                </div>
+                <div class="stat">
+                    <span class="stat-value">${report.billableHours.toFixed(1)}</span>
+                    <span class="stat-label">Billable Hours</span>
+                </div>
+                <div class="stat">
+                    <span class="stat-value">${report.expectedHours.toFixed(1)}</span>
+                    <span class="stat-label">Expected Hours</span>
+                </div>
+                <div class="stat">
+                    <span class="stat-value">${utilizationPercent}%</span>
+                    <span class="stat-label">Utilization</span>
+                </div>
+                <div class="report-ratio" title="Billable ${billablePercent}% / non-billable ${100 - billablePercent}%">
+                    <div class="report-donut" style="background: conic-gradient(#27ae60 0 ${billablePercent}%, #bdc3c7 ${billablePercent}% 100%);">
+                        <span>${billablePercent}%</span>
+                    </div>
+                    <span class="stat-label">Billable Ratio</span>
+                </div>
+            </div>
+            ${this.renderBarChart('Hours by Customer', report.byCustomer)}
+            ${this.renderBarChart('Hours by Work Item', report.byWorkItem)}
+            ${this.renderBarChart('Hours by Activity Type', report.byActivityType)}
+        `;
+    }
+
+    openReportsModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
+
+        const monthStart = this.getMonthStart(this.viewMode === 'month' ? this.currentMonthStart : this.currentWeekStart);
+        const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0, 12);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'reportsModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 900px; width: 90%; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Reports</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="display: flex; gap: 10px; align-items: flex-end; margin-bottom: 20px;">
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">From</label>
+                            <input type="date" id="reportStart" value="${this.formatDate(monthStart)}" style="padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">To</label>
+                            <input type="date" id="reportEnd" value="${this.formatDate(monthEnd)}" style="padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <button id="runReport" class="btn-primary">
+                            <i class="fas fa-chart-bar"></i> Show Report
+                        </button>
+                    </div>
+                    <div id="reportResults"></div>
+                </div>
+
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closeReportsModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeReportsModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        const runReport = async () => {
+            const startValue = modal.querySelector('#reportStart').value;
+            const endValue = modal.querySelector('#reportEnd').value;
+            if (!startValue || !endValue || startValue > endValue) {
+                this.showNotification('Please select a valid date range', 'error');
+                return;
+            }
+
+            const dates = this.getDateRange(new Date(`${startValue}T12:00:00`), new Date(`${endValue}T12:00:00`));
+            const results = modal.querySelector('#reportResults');
+
+            this.showLoading('Building report...', `${startValue} to ${endValue}`);
+            try {
+                const entriesMap = await this.getEntriesForDates(dates);
+                results.innerHTML = this.renderReport(this.buildReport(entriesMap, dates));
+            } catch (error) {
+                this.showNotification(`Failed to build report: ${this.describeApiError(error)}`, 'error');
+                this.safeLog(`Report failed: ${error.message}`, 'error');
+            } finally {
+                this.hideLoading();
+            }
         };
+
+        modal.querySelector('#runReport').addEventListener('click', runReport);
+        runReport();
     }
 
-    updateLoadingDetails(details) {
-        const detailsElement = document.getElementById('loadingDetails');
-        if (detailsElement) {
-            detailsElement.innerHTML = details;
-            // Force UI update
-            detailsElement.style.display = 'none';
-            detailsElement.offsetHeight; // Trigger reflow
-            detailsElement.style.display = 'block';
+    loadTeamMembers() {
+        try {
+            const stored = localStorage.getItem('teamViewMembers');
+            if (stored) {
+                this.teamMembers = JSON.parse(stored);
+            }
+        } catch (error) {
+            this.safeLog('Failed to load team members from storage', 'warn');
         }
     }
 
-    getYearGroupId(board, year) {
-        if (!board || !board.groups) {
-            return null;
+    saveTeamMembers() {
+        try {
+            localStorage.setItem('teamViewMembers', JSON.stringify(this.teamMembers));
+        } catch (error) {
+            this.safeLog('Failed to save team members to storage', 'warn');
         }
+    }
 
-        // Look for exact year match
-        let group = board.groups.find(g => g.title === year);
-        if (group) return group.id;
-
-        // Look for current year
-        const currentYear = new Date().getFullYear().toString();
-        group = board.groups.find(g => g.title === currentYear);
-        if (group) return group.id;
-
-        // Look for partial match
-        group = board.groups.find(g => g.title.includes(year));
-        if (group) return group.id;
+    // IDs of the people in an item's person column, teams left out
+    getItemPersonIds(item) {
+        const personColumnId = this.getColumnId('person');
+        const column = (item.column_values || []).find(col => col.id === personColumnId);
+        if (!column || !column.value || column.value === 'null' || column.value === '""') return [];
 
-        // Use first group as fallback
-        if (board.groups.length > 0) {
-            return board.groups[0].id;
+        try {
+            return (JSON.parse(column.value).personsAndTeams || [])
+                .filter(person => person.kind !== 'team')
+                .map(person => String(person.id));
+        } catch (e) {
+            return [];
         }
+    }
 
-        return null;
+    // Everyone who can be picked: account users, people in the person column of loaded items, and teams
+    async loadTeamDirectory() {
+        const [users, teams] = await Promise.all([
+            this.mondayClient.getUsers().catch(error => {
+                this.safeLog(`Could not load users: ${error.message}`, 'warn');
+                return [];
+            }),
+            this.mondayClient.getTeams().catch(error => {
+                this.safeLog(`Could not load teams: ${error.message}`, 'warn');
+                return [];
+            })
+        ]);
+
+        const people = new Map();
+        users.forEach(user => people.set(String(user.id), { id: String(user.id), name: user.name }));
+        this.dataCache.years.forEach(cached => {
+            cached.items.forEach(item => {
+                // Names come from the users directory; someone missing from it (e.g. deactivated) only has an ID
+                this.getItemPersonIds(item).forEach(id => {
+                    if (!people.has(id)) people.set(id, { id, name: `User ${id}` });
+                });
+            });
+        });
+
+        return {
+            people: Array.from(people.values()).sort((a, b) => a.name.localeCompare(b.name)),
+            teams: teams.map(team => ({
+                id: String(team.id),
+                name: team.name,
+                members: (team.users || []).map(user => ({ id: String(user.id), name: user.name }))
+            }))
+        };
     }
 
-    extractItemDate(item) {
-        if (!item.column_values) return null;
+    // Entries of several people for the given dates: memberId -> Map(date -> entries)
+    async loadTeamEntries(members, dates) {
+        const profile = this.getActiveBoardProfile();
+        const dateStrings = dates.map(date => this.formatDate(date));
+        const years = Array.from(new Set(dateStrings.map(dateStr => dateStr.substring(0, 4))));
+        const teamEntries = new Map(members.map(member => [member.id, new Map()]));
+        if (members.length === 0) return teamEntries;
 
-        for (const col of item.column_values) {
-            if (col.id === 'date4') {
-                if (col.value && col.value !== 'null' && col.value !== '""') {
-                    try {
-                        const value = JSON.parse(col.value);
-                        if (value && value.date) {
-                            return value.date.split('T')[0];
-                        }
-                    } catch (e) {
-                        // Continue to text check
-                    }
-                }
+        const board = await this.mondayClient.getBoardWithGroups(profile.boardId);
 
-                if (col.text && col.text !== 'null' && col.text !== '""') {
-                    const dateStr = col.text.split('T')[0];
-                    if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                        return dateStr;
-                    }
-                }
+        for (const year of years) {
+            const groupId = this.getYearGroupId(board, year);
+            if (!groupId) {
+                throw new Error(`Could not find group for year ${year}`);
             }
-        }
 
-        return null;
-    }
+            const yearDates = dateStrings.filter(dateStr => dateStr.startsWith(year));
+            const items = await this.queryTeamItems(profile, groupId, year, members, yearDates[0], yearDates[yearDates.length - 1]);
 
-    extractColumnValue(item, columnId) {
-        if (!item.column_values) return '';
+            items.forEach(item => {
+                const date = this.extractItemDate(item);
+                if (!date || !yearDates.includes(date)) return;
 
-        for (const col of item.column_values) {
-            if (col.id === columnId) {
-                if (col.text && col.text !== 'null' && col.text !== '""') {
-                    return col.text;
-                }
-                if (col.value && col.value !== 'null' && col.value !== '""') {
-                    try {
-                        const value = JSON.parse(col.value);
-                        if (typeof value === 'string') return value;
-                        if (value && value.text) return value.text;
-                    } catch (e) {
-                        return col.value;
+                const personIds = this.getItemPersonIds(item);
+                members.forEach(member => {
+                    if (!personIds.includes(member.id)) return;
+
+                    const memberEntries = teamEntries.get(member.id);
+                    if (!memberEntries.has(date)) {
+                        memberEntries.set(date, []);
                     }
-                }
-            }
+                    memberEntries.get(date).push(this.itemToEntry(item, date));
+                });
+            });
         }
 
-        return '';
-    }
-
-    extractCommentValue(item) {
-        return this.extractColumnValue(item, 'text2__1');
+        return teamEntries;
     }
 
-    extractStatusValue(item) {
-        if (!item.column_values) return 1;
+    // A full-scan cache already holds everyone's items; otherwise ask for each member's items in the date range
+    async queryTeamItems(profile, groupId, year, members, startDate, endDate) {
+        const cachedItems = this.queryMode === 'full' ? this.getCachedData(year) : null;
+        if (cachedItems) {
+            return cachedItems;
+        }
 
-        for (const col of item.column_values) {
-            if (col.id === 'status' && col.value && col.value !== 'null' && col.value !== '""') {
-                try {
-                    const value = JSON.parse(col.value);
-                    if (value && typeof value.index === 'number') {
-                        return value.index;
-                    }
-                } catch (e) {
-                    // Fallback to text parsing if JSON parsing fails
-                    if (col.text) {
-                        const text = col.text.toLowerCase();
-                        const statusMap = {
-                            'vacation': 0, 'billable': 1, 'holding': 2, 'education': 3,
-                            'work reduction': 4, 'tbd': 5, 'holiday': 6, 'presales': 7,
-                            'illness': 8, 'paid not worked': 9, 'intellectual capital': 10,
-                            'business development': 11, 'overhead': 12
-                        };
-                        for (const [key, value] of Object.entries(statusMap)) {
-                            if (text.includes(key)) return value;
-                        }
-                    }
+        const memberItems = [];
+        for (const member of members) {
+            try {
+                memberItems.push(await this.mondayClient.queryItemsFiltered(profile.boardId, groupId, {
+                    personColumnId: profile.columns.person,
+                    personId: member.id,
+                    dateColumnId: profile.columns.date,
+                    startDate,
+                    endDate
+                }));
+            } catch (error) {
+                // Only a rejected filter is worth a full scan; auth/network/rate-limit failures would fail it too
+                if (error instanceof MondayApiError && error.type !== MondayApiError.TYPES.VALIDATION) {
+                    throw error;
                 }
+                this.safeLog(`⚠️ Filtered team query failed, falling back to full scan: ${error.message}`, 'warn');
+                return await this.mondayClient.queryItemsPaginated(profile.boardId, groupId);
             }
         }
-        return 1;
-    }
 
-    previousWeek() {
-        this.currentWeekStart.setDate(this.currentWeekStart.getDate() - 7);
-        this.renderCalendarView();
-        this.loadData(false); // Use cache for fast navigation
+        return this.mergeYearItems(memberItems);
     }
 
-    nextWeek() {
-        this.currentWeekStart.setDate(this.currentWeekStart.getDate() + 7);
-        this.renderCalendarView();
-        this.loadData(false); // Use cache for fast navigation
-    }
+    renderTeamGrid(members, weekDates, teamEntries) {
+        if (members.length === 0) {
+            return '<p style="color: #666;">Select team members to see their timesheets.</p>';
+        }
 
-    selectWeek(dateString) {
-        this.currentWeekStart = this.getMonday(new Date(dateString));
-        this.renderCalendarView();
-        this.loadData(false); // Use cache for fast navigation
+        const header = weekDates.map(date =>
+            `<th class="${this.isWeekend(date) ? 'weekend-day' : ''}">${this.formatShortDate(date)}</th>`
+        ).join('');
+        const today = this.formatDate(new Date());
+
+        // Colleagues' schedules and holidays are not known, so the expected hours are the viewer's
+        const rows = members.map(member => {
+            const memberEntries = teamEntries.get(member.id) || new Map();
+            let weekTotal = 0;
+            let weekExpected = 0;
+
+            const cells = weekDates.map(date => {
+                const dateStr = this.formatDate(date);
+                const dayEntries = memberEntries.get(dateStr) || [];
+                const total = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
+                const expected = this.getExpectedHours(dateStr, dayEntries);
+                const completeness = this.getDayCompleteness(dateStr, dayEntries);
+                weekTotal += total;
+                weekExpected += expected;
+
+                // Days still to come are not short of hours yet
+                const status = dateStr > today && completeness !== 'complete' ? 'upcoming' : completeness;
+
+                return `
+                    <td class="team-cell team-cell-${status}" data-member-id="${member.id}" data-date="${dateStr}" title="${dayEntries.length} entries, ${expected}h expected by your schedule">
+                        ${total > 0 ? `${total.toFixed(1)}h` : '-'}
+                    </td>
+                `;
+            }).join('');
+
+            return `
+                <tr>
+                    <td><button class="team-member-link" data-member-id="${member.id}" title="Show the week's entries">${member.name}</button></td>
+                    ${cells}
+                    <td class="team-total"><strong>${weekTotal.toFixed(1)}h</strong> / ${weekExpected.toFixed(1)}h</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <p class="team-grid-note">Expected hours and colors follow your own work schedule and holidays, not each colleague's. Days still to come are not marked.</p>
+            <table class="team-grid">
+                <thead><tr><th>Member</th>${header}<th>Total / your schedule</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
-    showLoading(message = 'Loading...', details = '') {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        const loadingMessage = document.getElementById('loadingMessage');
-        const loadingDetails = document.getElementById('loadingDetails');
+    renderTeamEntries(member, dateStrings, teamEntries) {
+        const memberEntries = teamEntries.get(member.id) || new Map();
 
-        if (loadingMessage) {
-            loadingMessage.textContent = message;
-            // Force UI update
-            loadingMessage.style.display = 'none';
-            loadingMessage.offsetHeight;
-            loadingMessage.style.display = 'block';
-        }
+        const days = dateStrings.map(dateStr => {
+            const dayEntries = memberEntries.get(dateStr) || [];
+            const total = dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours || 0), 0);
 
-        if (loadingDetails) {
-            loadingDetails.innerHTML = details;
-            // Force UI update
-            loadingDetails.style.display = 'none';
-            loadingDetails.offsetHeight;
-            loadingDetails.style.display = 'block';
-        }
+            return `
+                <div class="team-day">
+                    <div class="team-day-header">
+                        <strong>${this.formatDisplayDate(new Date(`${dateStr}T12:00:00`))}</strong>
+                        <span>${total.toFixed(1)}h</span>
+                    </div>
+                    ${dayEntries.length > 0 ?
+                        dayEntries.map(entry => this.renderEntryItem(entry, { readOnly: true })).join('') :
+                        '<div style="color: #999; font-size: 12px;">No entries</div>'}
+                </div>
+            `;
+        }).join('');
 
-        if (loadingOverlay) {
-            loadingOverlay.style.display = 'flex';
-        }
+        return `<h4 style="margin-bottom: 10px;">${member.name}</h4>${days}`;
     }
 
-    hideLoading() {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        if (loadingOverlay) {
-            loadingOverlay.style.display = 'none';
+    // Colleagues' week grids side by side; entries can be looked at but not changed
+    async openTeamViewModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
         }
-    }
 
-    showNotification(message, type = 'success') {
-        const notification = document.getElementById('notification');
-        if (!notification) return;
+        const weekStart = new Date(this.getActiveWeekStart());
+        let teamEntries = new Map();
 
-        notification.textContent = message;
-        notification.className = `notification ${type}`;
-        notification.classList.remove('hidden');
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'teamViewModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
 
-        setTimeout(() => {
-            notification.classList.add('hidden');
-        }, 5000);
-    }
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 1100px; width: 95%; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Team View</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
 
-    // Autocomplete functionality
-    initializeAutocomplete() {
-        // This will be called when the modal opens
-        this.safeLog('Autocomplete system initialized');
-    }
+                <div class="modal-body">
+                    <div style="display: flex; gap: 10px; align-items: center; margin-bottom: 15px;">
+                        <button id="teamPrevWeek" class="btn-secondary" title="Previous week"><i class="fas fa-chevron-left"></i></button>
+                        <strong id="teamWeekLabel"></strong>
+                        <button id="teamNextWeek" class="btn-secondary" title="Next week"><i class="fas fa-chevron-right"></i></button>
+                        <button id="toggleTeamPicker" class="btn-secondary" style="margin-left: auto;">
+                            <i class="fas fa-users"></i> Select Members
+                        </button>
+                    </div>
 
-    setupFormAutocomplete() {
-        const customerInput = document.getElementById('customer');
-        const workItemInput = document.getElementById('workItem');
+                    <div id="teamPicker" class="team-picker" style="display: none;">
+                        <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                            <select id="teamSelect" style="flex: 1; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                                <option value="">Loading teams...</option>
+                            </select>
+                            <button id="addTeamMembers" class="btn-secondary">Add Team</button>
+                        </div>
+                        <input type="text" id="teamPeopleFilter" placeholder="Filter people..." style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px; margin-bottom: 10px;">
+                        <div id="teamPeopleList" class="team-people-list">Loading people...</div>
+                        <div style="text-align: right; margin-top: 10px;">
+                            <button id="applyTeamMembers" class="btn-primary">Show Timesheets</button>
+                        </div>
+                    </div>
 
-        if (customerInput) {
-            // Clear previous event listeners
-            customerInput.removeEventListener('input', this.customerInputHandler);
-            customerInput.removeEventListener('focus', this.customerFocusHandler);
+                    <div id="teamGrid"></div>
+                    <div id="teamEntries" class="team-entries"></div>
+                </div>
 
-            this.customerInputHandler = (e) => this.handleCustomerInput(e);
-            this.customerFocusHandler = () => this.showCustomerSuggestions();
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closeTeamViewModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
 
-            customerInput.addEventListener('input', this.customerInputHandler);
-            customerInput.addEventListener('focus', this.customerFocusHandler);
-        }
+        document.body.appendChild(modal);
 
-        if (workItemInput) {
-            workItemInput.removeEventListener('focus', this.workItemFocusHandler);
-            this.workItemFocusHandler = () => this.showWorkItemSuggestions();
-            workItemInput.addEventListener('focus', this.workItemFocusHandler);
-        }
-    }
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeTeamViewModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        const picker = modal.querySelector('#teamPicker');
+        const peopleList = modal.querySelector('#teamPeopleList');
+        const teamSelect = modal.querySelector('#teamSelect');
+        let directory = null;
+        const selected = new Map(this.teamMembers.map(member => [member.id, member]));
+
+        const renderPeople = () => {
+            const filter = modal.querySelector('#teamPeopleFilter').value.trim().toLowerCase();
+            // Picked members stay listed even when the directory does not know them (e.g. left the account)
+            const people = [...directory.people];
+            selected.forEach(member => {
+                if (!people.some(person => person.id === member.id)) people.push(member);
+            });
+
+            const visible = people.filter(person => !filter || person.name.toLowerCase().includes(filter));
+            peopleList.innerHTML = visible.length > 0 ? visible.map(person => `
+                <label class="team-person">
+                    <input type="checkbox" data-id="${person.id}" data-name="${person.name}" ${selected.has(person.id) ? 'checked' : ''}>
+                    ${person.name}${person.id === String(this.user.id) ? ' (you)' : ''}
+                </label>
+            `).join('') : '<div style="color: #999;">No matching people</div>';
+
+            peopleList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.addEventListener('change', () => {
+                    const id = checkbox.getAttribute('data-id');
+                    if (checkbox.checked) {
+                        selected.set(id, { id, name: checkbox.getAttribute('data-name') });
+                    } else {
+                        selected.delete(id);
+                    }
+                });
+            });
+        };
+
+        const openPicker = async () => {
+            picker.style.display = 'block';
+            if (directory) return;
+
+            directory = await this.loadTeamDirectory();
+            teamSelect.innerHTML = directory.teams.length > 0 ?
+                '<option value="">Choose a team...</option>' +
+                    directory.teams.map(team => `<option value="${team.id}">${team.name} (${team.members.length})</option>`).join('') :
+                '<option value="">No teams found</option>';
+            renderPeople();
+        };
+
+        const showEntries = (memberId, dateStrings) => {
+            const member = this.teamMembers.find(m => m.id === memberId);
+            if (!member) return;
+            modal.querySelector('#teamEntries').innerHTML = this.renderTeamEntries(member, dateStrings, teamEntries);
+        };
+
+        const loadGrid = async () => {
+            const weekDates = this.getWeekDates(weekStart);
+            modal.querySelector('#teamWeekLabel').textContent =
+                `${this.formatShortDate(weekDates[0])} - ${this.formatShortDate(weekDates[6])}`;
+            modal.querySelector('#teamEntries').innerHTML = '';
+
+            const grid = modal.querySelector('#teamGrid');
+            this.showLoading('Loading team timesheets...', `${this.teamMembers.length} members`);
+            try {
+                teamEntries = await this.loadTeamEntries(this.teamMembers, weekDates);
+                grid.innerHTML = this.renderTeamGrid(this.teamMembers, weekDates, teamEntries);
+            } catch (error) {
+                grid.innerHTML = '';
+                this.showNotification(`Failed to load team timesheets: ${this.describeApiError(error)}`, 'error');
+                this.safeLog(`Team view failed: ${error.message}`, 'error');
+                return;
+            } finally {
+                this.hideLoading();
+            }
+
+            grid.querySelectorAll('.team-cell').forEach(cell => {
+                cell.addEventListener('click', () => {
+                    showEntries(cell.getAttribute('data-member-id'), [cell.getAttribute('data-date')]);
+                });
+            });
+            grid.querySelectorAll('.team-member-link').forEach(link => {
+                link.addEventListener('click', () => {
+                    showEntries(link.getAttribute('data-member-id'), weekDates.map(date => this.formatDate(date)));
+                });
+            });
+        };
+
+        modal.querySelector('#teamPrevWeek').addEventListener('click', () => {
+            weekStart.setDate(weekStart.getDate() - 7);
+            loadGrid();
+        });
+        modal.querySelector('#teamNextWeek').addEventListener('click', () => {
+            weekStart.setDate(weekStart.getDate() + 7);
+            loadGrid();
+        });
+        modal.querySelector('#toggleTeamPicker').addEventListener('click', () => {
+            if (picker.style.display === 'none') {
+                openPicker();
+            } else {
+                picker.style.display = 'none';
+            }
+        });
+        modal.querySelector('#teamPeopleFilter').addEventListener('input', () => {
+            if (directory) renderPeople();
+        });
+        modal.querySelector('#addTeamMembers').addEventListener('click', () => {
+            const team = directory && directory.teams.find(t => t.id === teamSelect.value);
+            if (!team) {
+                this.showNotification('Please choose a team', 'warning');
+                return;
+            }
+            team.members.forEach(member => selected.set(member.id, member));
+            renderPeople();
+        });
+        modal.querySelector('#applyTeamMembers').addEventListener('click', () => {
+            this.teamMembers = Array.from(selected.values()).sort((a, b) => a.name.localeCompare(b.name));
+            this.saveTeamMembers();
+            picker.style.display = 'none';
+            loadGrid();
+        });
 
-    handleCustomerInput(e) {
-        const customer = e.target.value.trim();
-        if (customer.length > 1) {
-            this.showCustomerSuggestions();
+        if (this.teamMembers.length === 0) {
+            const weekDates = this.getWeekDates(weekStart);
+            modal.querySelector('#teamWeekLabel').textContent =
+                `${this.formatShortDate(weekDates[0])} - ${this.formatShortDate(weekDates[6])}`;
+            modal.querySelector('#teamGrid').innerHTML = this.renderTeamGrid([], weekDates, teamEntries);
+            openPicker();
         } else {
-            this.hideSuggestions();
+            loadGrid();
         }
     }
 
-    showCustomerSuggestions() {
-        const customerInput = document.getElementById('customer');
-        if (!customerInput) return;
-
-        const customers = this.getCustomers();
-        const filtered = customers.filter(c =>
-            c.toLowerCase().includes(customerInput.value.toLowerCase())
-        );
+    // Summary of every issue in the viewed week or month, e.g. before month-end submission
+    openValidationModal() {
+        if (!this.user) {
+            this.showNotification('Please save your API key first', 'warning');
+            return;
+        }
 
-        this.showSuggestions(customerInput, filtered, (selectedCustomer) => {
-            customerInput.value = selectedCustomer;
-            this.showWorkItemSuggestions();
-        });
-    }
+        const issues = this.validateDates(this.getViewDates());
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        const periodLabel = this.viewMode === 'month' ?
+            this.currentMonthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }) :
+            `Week of ${this.formatShortDate(this.currentWeekStart)}`;
 
-    showWorkItemSuggestions() {
-        const customerInput = document.getElementById('customer');
-        const workItemInput = document.getElementById('workItem');
-        if (!customerInput || !workItemInput) return;
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
 
-        const customer = customerInput.value.trim();
-        if (!customer) return;
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 700px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Timesheet Check - ${periodLabel}</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
 
-        const workItems = this.getWorkItemsForCustomer(customer);
-        const filtered = workItems.filter(w =>
-            w.toLowerCase().includes(workItemInput.value.toLowerCase())
-        );
+                <div class="modal-body">
+                    <div style="margin-bottom: 15px; color: ${issues.length === 0 ? '#27ae60' : '#7f8c8d'};">
+                        ${issues.length === 0 ?
+                            '<i class="fas fa-check-circle"></i> No issues found - the timesheet is complete.' :
+                            `${errorCount} errors and ${issues.length - errorCount} warnings`}
+                    </div>
 
-        this.showSuggestions(workItemInput, filtered, (selectedWorkItem) => {
-            workItemInput.value = selectedWorkItem;
-        });
-    }
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                        ${issues.map((issue, index) => `
+                            <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                <div style="flex: 1;" class="day-issue-${issue.severity}">
+                                    <i class="fas ${issue.severity === 'error' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}"></i>
+                                    <strong>${this.formatShortDate(new Date(`${issue.date}T12:00:00`))}</strong> - ${issue.message}
+                                </div>
+                                <button class="show-issue-day btn-secondary" data-date="${issue.date}" style="padding: 4px 8px; font-size: 12px;">
+                                    Show
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
 
-    showSuggestions(inputElement, suggestions, onSelect) {
-        this.hideSuggestions();
+                <div class="modal-footer" style="margin-top: 20px; text-align: right;">
+                    <button id="closeValidationModal" class="btn-primary">Close</button>
+                </div>
+            </div>
+        `;
 
-        if (suggestions.length === 0) return;
+        document.body.appendChild(modal);
 
-        const suggestionsDiv = document.createElement('div');
-        suggestionsDiv.className = 'autocomplete-suggestions';
-        suggestionsDiv.style.cssText = `
-            position: absolute;
-            background: white;
-            border: 1px solid #ccc;
-            border-radius: 4px;
-            max-height: 200px;
-            overflow-y: auto;
-            z-index: 1000;
-            width: ${inputElement.offsetWidth}px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        `;
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#closeValidationModal').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
 
-        suggestions.forEach(suggestion => {
-            const suggestionItem = document.createElement('div');
-            suggestionItem.textContent = suggestion;
-            suggestionItem.style.cssText = `
-                padding: 8px 12px;
-                cursor: pointer;
-                border-bottom: 1px solid #f0f0f0;
-            `;
-            suggestionItem.addEventListener('mouseenter', () => {
-                suggestionItem.style.background = '#f0f0f0';
-            });
-            suggestionItem.addEventListener('mouseleave', () => {
-                suggestionItem.style.background = 'white';
-            });
-            suggestionItem.addEventListener('click', () => {
-                onSelect(suggestion);
-                this.hideSuggestions();
+        modal.querySelectorAll('.show-issue-day').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                closeModal();
+                this.openWeekView(e.target.getAttribute('data-date'));
             });
-            suggestionsDiv.appendChild(suggestionItem);
         });
-
-        const rect = inputElement.getBoundingClientRect();
-        suggestionsDiv.style.top = `${rect.bottom + window.scrollY}px`;
-        suggestionsDiv.style.left = `${rect.left + window.scrollX}px`;
-
-        document.body.appendChild(suggestionsDiv);
-
-        // Close suggestions when clicking outside
-        this.suggestionsClickHandler = (e) => {
-            if (!suggestionsDiv.contains(e.target) && e.target !== inputElement) {
-                this.hideSuggestions();
-            }
-        };
-        document.addEventListener('click', this.suggestionsClickHandler);
     }
 
-    hideSuggestions() {
-        const existing = document.querySelector('.autocomplete-suggestions');
-        if (existing) {
-            existing.remove();
-        }
-        if (this.suggestionsClickHandler) {
-            document.removeEventListener('click', this.suggestionsClickHandler);
-            this.suggestionsClickHandler = null;
-        }
-    }
+    openTimesheetSettingsModal() {
+        const weekdays = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+        const holidays = Array.from(this.holidays.entries()).sort(([a], [b]) => a.localeCompare(b));
 
-    // Enhanced Customer-work pairs management modal
-    openCustomerWorkPairsModal() {
         const modal = document.createElement('div');
         modal.className = 'modal';
         modal.style.cssText = `
@@ -1618,202 +7402,261 @@ class ClaimWebApp {
             z-index: 1000;
         `;
 
-        const allPairs = this.getAllCustomerWorkPairs();
-
         modal.innerHTML = `
-            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 800px; max-height: 90vh; overflow-y: auto;">
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 700px; max-height: 90vh; overflow-y: auto;">
                 <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-                    <h3>Manage Customer-Work Item Pairs</h3>
+                    <h3>Timesheet Settings</h3>
                     <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
                 </div>
-                
+
                 <div class="modal-body">
-                    <!-- Add New Pair Form -->
-                    <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin-bottom: 20px;">
-                        <h4 style="margin-bottom: 10px;">Add New Customer-Work Pair</h4>
-                        <div style="display: grid; grid-template-columns: 1fr 1fr auto; gap: 10px; align-items: end;">
-                            <div>
-                                <label style="display: block; margin-bottom: 5px; font-weight: 500;">Customer</label>
-                                <input type="text" id="newCustomer" placeholder="Enter customer name" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
-                            </div>
-                            <div>
-                                <label style="display: block; margin-bottom: 5px; font-weight: 500;">Work Item</label>
-                                <input type="text" id="newWorkItem" placeholder="Enter work item" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
-                            </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Maximum Hours per Day</label>
+                            <input type="number" id="settingsMaxDailyHours" min="1" max="24" step="0.5" value="${this.timesheetSettings.maxDailyHours}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Hours Increment</label>
+                            <input type="number" id="settingsHoursIncrement" min="0" max="8" step="0.05" value="${this.timesheetSettings.hoursIncrement}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                    </div>
+                    <div style="font-size: 12px; color: #7f8c8d; margin-top: 10px;">
+                        Entries whose hours are not a multiple of the increment are flagged; use 0 to allow any value.
+                    </div>
+
+                    <h4 style="margin: 20px 0 10px;">Work Schedule (expected hours per day)</h4>
+                    <div style="display: grid; grid-template-columns: repeat(7, 1fr); gap: 8px;">
+                        ${weekdays.map(([day, label]) => `
                             <div>
-                                <button id="addNewPair" class="btn-primary" style="padding: 8px 16px;">Add Pair</button>
+                                <label style="display: block; margin-bottom: 5px; font-size: 12px; font-weight: 500;">${label}</label>
+                                <input type="number" class="settings-weekday-hours" data-day="${day}" min="0" max="24" step="0.5" value="${this.timesheetSettings.weeklyHours[day]}" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
                             </div>
-                        </div>
+                        `).join('')}
                     </div>
 
-                    <!-- Management Controls -->
-                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+                    <h4 style="margin: 20px 0 10px;">Holidays</h4>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 10px;">
                         <div>
-                            <span style="font-weight: 500;">Active: ${allPairs.active.length} | Expired: ${allPairs.expired.length}</span>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Holiday Entry Customer</label>
+                            <input type="text" id="settingsHolidayCustomer" value="${this.timesheetSettings.holidayCustomer}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
                         </div>
-                        <div style="display: flex; gap: 10px;">
-                            <button id="exportPairs" class="btn-secondary">Export Pairs</button>
-                            <button id="importPairs" class="btn-secondary">Import Pairs</button>
-                            <input type="file" id="importFile" accept=".json" style="display: none;">
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Holiday Entry Work Item</label>
+                            <input type="text" id="settingsHolidayWorkItem" value="${this.timesheetSettings.holidayWorkItem}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
                         </div>
                     </div>
+                    <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                        <button id="importHolidays" class="btn-secondary" style="padding: 4px 8px; font-size: 12px;">Import Calendar (.ics / .json)</button>
+                        <input type="file" id="holidayFile" accept=".ics,.json" style="display: none;">
+                        ${holidays.length > 0 ? '<button id="clearHolidays" class="btn-secondary" style="padding: 4px 8px; font-size: 12px; background: #e74c3c;">Clear Holidays</button>' : ''}
+                    </div>
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px; max-height: 200px; overflow-y: auto;">
+                        ${holidays.length === 0 ? `
+                            <div style="padding: 10px; text-align: center; color: #7f8c8d;">No holiday calendar imported</div>` : ''}
+                        ${holidays.map(([date, name], index) => `
+                            <div class="pair-item" style="padding: 6px 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'}; font-size: 13px;">
+                                <strong>${date}</strong> - ${name}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
 
-                    <!-- Active Pairs Section -->
-                    <div style="margin-bottom: 30px;">
-                        <h4 style="color: #27ae60; margin-bottom: 10px;">Active Pairs (${allPairs.active.length})</h4>
-                        <div style="max-height: 300px; overflow-y: auto; border: 1px solid #e0e0e0; border-radius: 5px;">
-                            ${allPairs.active.length > 0 ?
-                allPairs.active.map((pair, index) => `
-                                    <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
-                                        <div style="flex: 1;">
-                                            <strong>${pair.customer}</strong> - ${pair.workItem}
-                                        </div>
-                                        <div style="display: flex; gap: 5px;">
-                                            <button class="edit-pair btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px;">
-                                                Edit
-                                            </button>
-                                            <button class="mark-expired btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px;">
-                                                Mark Expired
-                                            </button>
-                                        </div>
-                                    </div>
-                                `).join('') :
-                '<p style="text-align: center; color: #666; padding: 20px;">No active customer-work item pairs found.</p>'
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="cancelSettings" class="btn-secondary">Cancel</button>
+                    <button id="saveSettings" class="btn-primary">Save Settings</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => modal.remove();
+        modal.querySelector('.close-modal').addEventListener('click', closeModal);
+        modal.querySelector('#cancelSettings').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        modal.querySelector('#importHolidays').addEventListener('click', () => {
+            modal.querySelector('#holidayFile').click();
+        });
+
+        modal.querySelector('#holidayFile').addEventListener('change', (e) => {
+            this.importHolidayCalendar(e.target.files[0], () => {
+                closeModal();
+                this.openTimesheetSettingsModal();
+            });
+        });
+
+        const clearHolidaysBtn = modal.querySelector('#clearHolidays');
+        if (clearHolidaysBtn) {
+            clearHolidaysBtn.addEventListener('click', () => {
+                if (confirm('Remove all imported holidays?')) {
+                    this.holidays.clear();
+                    this.saveHolidays();
+                    this.renderCalendarView();
+                    closeModal();
+                    this.openTimesheetSettingsModal();
+                }
+            });
+        }
+
+        modal.querySelector('#saveSettings').addEventListener('click', () => {
+            const maxDailyHours = parseFloat(modal.querySelector('#settingsMaxDailyHours').value);
+            const hoursIncrement = parseFloat(modal.querySelector('#settingsHoursIncrement').value);
+
+            if (isNaN(maxDailyHours) || maxDailyHours <= 0 || maxDailyHours > 24) {
+                this.showNotification('Maximum hours per day must be between 0 and 24', 'error');
+                return;
             }
-                        </div>
-                    </div>
 
-                    <!-- Expired Pairs Section -->
-                    <div>
-                        <h4 style="color: #e74c3c; margin-bottom: 10px;">Expired Pairs (${allPairs.expired.length})</h4>
-                        <div style="max-height: 200px; overflow-y: auto; border: 1px solid #e0e0e0; border-radius: 5px;">
-                            ${allPairs.expired.length > 0 ?
-                allPairs.expired.map((pair, index) => `
-                                    <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'}; opacity: 0.7;">
-                                        <div style="flex: 1;">
-                                            <strong>${pair.customer}</strong> - ${pair.workItem}
-                                        </div>
-                                        <div style="display: flex; gap: 5px;">
-                                            <button class="unmark-expired btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px;">
-                                                Reactivate
-                                            </button>
-                                            <button class="delete-pair btn-secondary" data-customer="${pair.customer}" data-workitem="${pair.workItem}" style="padding: 4px 8px; font-size: 12px; background: #e74c3c;">
-                                                Delete
-                                            </button>
-                                        </div>
-                                    </div>
-                                `).join('') :
-                '<p style="text-align: center; color: #666; padding: 20px;">No expired customer-work item pairs found.</p>'
+            if (isNaN(hoursIncrement) || hoursIncrement < 0) {
+                this.showNotification('Please enter a valid hours increment', 'error');
+                return;
             }
-                        </div>
+
+            const weeklyHours = {};
+            modal.querySelectorAll('.settings-weekday-hours').forEach(input => {
+                weeklyHours[input.getAttribute('data-day')] = parseFloat(input.value) || 0;
+            });
+
+            if (Object.values(weeklyHours).some(hours => hours < 0 || hours > 24)) {
+                this.showNotification('Expected hours per day must be between 0 and 24', 'error');
+                return;
+            }
+
+            const holidayCustomer = modal.querySelector('#settingsHolidayCustomer').value.trim();
+            const holidayWorkItem = modal.querySelector('#settingsHolidayWorkItem').value.trim();
+
+            if (!holidayCustomer || !holidayWorkItem) {
+                this.showNotification('Please enter a customer and work item for holiday entries', 'error');
+                return;
+            }
+
+            this.timesheetSettings = {
+                ...this.timesheetSettings,
+                maxDailyHours,
+                hoursIncrement,
+                weeklyHours,
+                holidayCustomer,
+                holidayWorkItem
+            };
+            this.saveTimesheetSettings();
+            this.showNotification('Timesheet settings saved', 'success');
+            closeModal();
+            this.renderCalendarView();
+        });
+    }
+
+    openEntryTemplatesModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+        `;
+
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 700px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>Entry Templates</h3>
+                    <button class="close-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <div style="display: flex; justify-content: flex-end; margin-bottom: 15px;">
+                        <button id="addEntryTemplate" class="btn-primary">Add Template</button>
+                    </div>
+
+                    <div style="border: 1px solid #e0e0e0; border-radius: 5px;">
+                        ${this.entryTemplates.length === 0 ? `
+                            <div style="padding: 20px; text-align: center; color: #7f8c8d;">
+                                No templates yet. Add one to be reminded of recurring entries.
+                            </div>` : ''}
+                        ${this.entryTemplates.map((template, index) => `
+                            <div class="pair-item" style="display: flex; justify-content: space-between; align-items: center; padding: 10px; border-bottom: 1px solid #eee; background: ${index % 2 === 0 ? '#f8f9fa' : 'white'};">
+                                <div style="flex: 1;">
+                                    <strong>${template.name}</strong> - ${this.describeEntryTemplate(template)}
+                                    <div style="font-size: 12px; color: #7f8c8d;">${template.customer} - ${template.workItem}${template.comment ? ` (${template.comment})` : ''}</div>
+                                </div>
+                                <div style="display: flex; gap: 5px;">
+                                    <button class="edit-template btn-secondary" data-template-id="${template.id}" style="padding: 4px 8px; font-size: 12px;">
+                                        Edit
+                                    </button>
+                                    <button class="delete-template btn-secondary" data-template-id="${template.id}" style="padding: 4px 8px; font-size: 12px; background: #e74c3c;">
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                        `).join('')}
                     </div>
                 </div>
 
                 <div class="modal-footer" style="margin-top: 20px; text-align: right;">
-                    <button id="closePairsModal" class="btn-primary">Close</button>
+                    <button id="closeTemplatesModal" class="btn-primary">Close</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(modal);
 
-        // Event handlers for the modal
         const closeModal = () => modal.remove();
         modal.querySelector('.close-modal').addEventListener('click', closeModal);
-        modal.querySelector('#closePairsModal').addEventListener('click', closeModal);
+        modal.querySelector('#closeTemplatesModal').addEventListener('click', closeModal);
         modal.addEventListener('click', (e) => {
             if (e.target === modal) closeModal();
         });
 
-        // Add new pair functionality
-        modal.querySelector('#addNewPair').addEventListener('click', () => {
-            const newCustomer = modal.querySelector('#newCustomer').value.trim();
-            const newWorkItem = modal.querySelector('#newWorkItem').value.trim();
-
-            if (!newCustomer || !newWorkItem) {
-                this.showNotification('Please enter both customer and work item', 'error');
-                return;
-            }
-
-            this.addCustomerWorkPair(newCustomer, newWorkItem);
-            this.showNotification(`Added new pair: ${newCustomer} - ${newWorkItem}`, 'success');
-
-            // Clear inputs
-            modal.querySelector('#newCustomer').value = '';
-            modal.querySelector('#newWorkItem').value = '';
-
-            // Refresh the modal
-            closeModal();
-            this.openCustomerWorkPairsModal();
-        });
-
-        // Export functionality
-        modal.querySelector('#exportPairs').addEventListener('click', () => {
-            this.exportCustomerWorkPairs();
-        });
-
-        // Import functionality
-        modal.querySelector('#importPairs').addEventListener('click', () => {
-            modal.querySelector('#importFile').click();
-        });
-
-        modal.querySelector('#importFile').addEventListener('change', (e) => {
-            this.importCustomerWorkPairs(e.target.files[0]);
+        modal.querySelector('#addEntryTemplate').addEventListener('click', () => {
             closeModal();
+            this.openEditEntryTemplateModal(null);
         });
 
-        // Edit pair functionality
-        modal.querySelectorAll('.edit-pair').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const customer = e.target.getAttribute('data-customer');
-                const workItem = e.target.getAttribute('data-workitem');
-                this.openEditPairModal(customer, workItem, closeModal);
-            });
-        });
-
-        // Mark as expired functionality
-        modal.querySelectorAll('.mark-expired').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const customer = e.target.getAttribute('data-customer');
-                const workItem = e.target.getAttribute('data-workitem');
-                this.markPairAsExpired(customer, workItem);
-                this.showNotification(`Marked ${customer} - ${workItem} as expired`, 'success');
-                closeModal();
-                this.openCustomerWorkPairsModal();
-            });
-        });
-
-        // Unmark as expired functionality
-        modal.querySelectorAll('.unmark-expired').forEach(btn => {
+        modal.querySelectorAll('.edit-template').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const customer = e.target.getAttribute('data-customer');
-                const workItem = e.target.getAttribute('data-workitem');
-                this.unmarkPairAsExpired(customer, workItem);
-                this.addCustomerWorkPair(customer, workItem);
-                this.showNotification(`Reactivated ${customer} - ${workItem}`, 'success');
+                const templateId = e.target.getAttribute('data-template-id');
                 closeModal();
-                this.openCustomerWorkPairsModal();
+                this.openEditEntryTemplateModal(templateId);
             });
         });
 
-        // Delete pair functionality
-        modal.querySelectorAll('.delete-pair').forEach(btn => {
+        modal.querySelectorAll('.delete-template').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const customer = e.target.getAttribute('data-customer');
-                const workItem = e.target.getAttribute('data-workitem');
+                const templateId = e.target.getAttribute('data-template-id');
+                const template = this.entryTemplates.find(existing => existing.id === templateId);
 
-                if (confirm(`Are you sure you want to permanently delete the pair "${customer} - ${workItem}"?`)) {
-                    this.expiredPairs.delete(`${customer}|${workItem}`);
-                    this.saveCustomerWorkPairs();
-                    this.showNotification(`Deleted pair: ${customer} - ${workItem}`, 'success');
+                if (template && confirm(`Are you sure you want to delete the template "${template.name}"?`)) {
+                    this.deleteEntryTemplate(templateId);
+                    this.showNotification(`Deleted template: ${template.name}`, 'success');
                     closeModal();
-                    this.openCustomerWorkPairsModal();
+                    this.openEntryTemplatesModal();
                 }
             });
         });
     }
 
-    openEditPairModal(oldCustomer, oldWorkItem, onClose) {
+    openEditEntryTemplateModal(templateId) {
+        const existing = templateId ? this.entryTemplates.find(template => template.id === templateId) : null;
+        const template = existing || {
+            id: `template_${Date.now()}`,
+            name: '',
+            activityType: '1',
+            customer: '',
+            workItem: '',
+            comment: '',
+            hours: 8,
+            days: [1, 2, 3, 4, 5]
+        };
+        const weekdays = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+
         const modal = document.createElement('div');
         modal.className = 'modal';
         modal.style.cssText = `
@@ -1830,26 +7673,60 @@ class ClaimWebApp {
         `;
 
         modal.innerHTML = `
-            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 500px;">
-                <div class="modal-header" style="display: flex; justify-content: between; align-items: center; margin-bottom: 20px;">
-                    <h3>Edit Customer-Work Pair</h3>
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 600px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>${existing ? 'Edit' : 'Add'} Entry Template</h3>
                     <button class="close-edit-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
                 </div>
-                
+
                 <div class="modal-body">
-                    <div style="margin-bottom: 15px;">
-                        <label style="display: block; margin-bottom: 5px; font-weight: 500;">Customer</label>
-                        <input type="text" id="editCustomer" value="${oldCustomer}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Template Name</label>
+                            <input type="text" id="templateName" value="${template.name}" placeholder="e.g. Monday overhead" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Activity Type</label>
+                            <select id="templateActivityType" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                                ${this.getActivityTypeOptions().map(option => `
+                                    <option value="${option.value}" ${String(option.value) === String(template.activityType) ? 'selected' : ''}>${option.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Customer</label>
+                            <input type="text" id="templateCustomer" value="${template.customer}" list="templateCustomers" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                            <datalist id="templateCustomers">
+                                ${this.getCustomers().map(customer => `<option value="${customer}">`).join('')}
+                            </datalist>
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Work Item</label>
+                            <input type="text" id="templateWorkItem" value="${template.workItem}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Comment</label>
+                            <input type="text" id="templateComment" value="${template.comment || ''}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Hours</label>
+                            <input type="number" id="templateHours" min="0" max="24" step="0.5" value="${template.hours}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
                     </div>
-                    <div style="margin-bottom: 15px;">
-                        <label style="display: block; margin-bottom: 5px; font-weight: 500;">Work Item</label>
-                        <input type="text" id="editWorkItem" value="${oldWorkItem}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Repeats On</label>
+                    <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+                        ${weekdays.map(([day, label]) => `
+                            <label style="display: flex; align-items: center; gap: 4px;">
+                                <input type="checkbox" class="template-day" value="${day}" ${template.days.includes(day) ? 'checked' : ''}> ${label}
+                            </label>
+                        `).join('')}
                     </div>
                 </div>
 
                 <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
-                    <button id="cancelEdit" class="btn-secondary">Cancel</button>
-                    <button id="saveEdit" class="btn-primary">Save Changes</button>
+                    <button id="cancelTemplateEdit" class="btn-secondary">Cancel</button>
+                    <button id="saveTemplateEdit" class="btn-primary">Save Template</button>
                 </div>
             </div>
         `;
@@ -1858,89 +7735,191 @@ class ClaimWebApp {
 
         const closeEditModal = () => {
             modal.remove();
-            onClose();
-            this.openCustomerWorkPairsModal();
+            this.openEntryTemplatesModal();
         };
 
         modal.querySelector('.close-edit-modal').addEventListener('click', closeEditModal);
-        modal.querySelector('#cancelEdit').addEventListener('click', closeEditModal);
+        modal.querySelector('#cancelTemplateEdit').addEventListener('click', closeEditModal);
         modal.addEventListener('click', (e) => {
             if (e.target === modal) closeEditModal();
         });
 
-        modal.querySelector('#saveEdit').addEventListener('click', () => {
-            const newCustomer = modal.querySelector('#editCustomer').value.trim();
-            const newWorkItem = modal.querySelector('#editWorkItem').value.trim();
+        modal.querySelector('#saveTemplateEdit').addEventListener('click', () => {
+            const name = modal.querySelector('#templateName').value.trim();
+            const customer = modal.querySelector('#templateCustomer').value.trim();
+            const workItem = modal.querySelector('#templateWorkItem').value.trim();
+            const hours = parseFloat(modal.querySelector('#templateHours').value);
+            const days = Array.from(modal.querySelectorAll('.template-day:checked')).map(input => parseInt(input.value));
 
-            if (!newCustomer || !newWorkItem) {
-                this.showNotification('Please enter both customer and work item', 'error');
+            if (!name || !customer || !workItem) {
+                this.showNotification('Please enter a name, customer and work item', 'error');
                 return;
             }
 
-            // Remove old pair
-            this.removeCustomerWorkPair(oldCustomer, oldWorkItem);
-            this.expiredPairs.delete(`${oldCustomer}|${oldWorkItem}`);
+            if (isNaN(hours) || hours <= 0 || hours > 24) {
+                this.showNotification('Hours must be between 0 and 24', 'error');
+                return;
+            }
 
-            // Add new pair
-            this.addCustomerWorkPair(newCustomer, newWorkItem);
+            if (days.length === 0) {
+                this.showNotification('Please select at least one day', 'error');
+                return;
+            }
 
-            this.showNotification(`Updated pair: ${oldCustomer} - ${oldWorkItem} → ${newCustomer} - ${newWorkItem}`, 'success');
+            this.upsertEntryTemplate({
+                id: template.id,
+                name,
+                activityType: modal.querySelector('#templateActivityType').value,
+                customer,
+                workItem,
+                comment: modal.querySelector('#templateComment').value.trim(),
+                hours,
+                days
+            });
+
+            this.showNotification(`Saved template: ${name}`, 'success');
             closeEditModal();
         });
     }
 
-    exportCustomerWorkPairs() {
-        const allPairs = this.getAllCustomerWorkPairs();
-        const data = JSON.stringify({
-            active: allPairs.active,
-            expired: allPairs.expired,
-            exportedAt: new Date().toISOString()
-        }, null, 2);
+    openEditBoardProfileModal(profileId) {
+        const existing = profileId ? this.boardProfiles.get(profileId) : null;
+        const profile = existing || this.normalizeBoardProfile({ id: `profile_${Date.now()}`, name: '', boardId: '' });
+
+        const columnLabels = {
+            person: 'Person',
+            date: 'Date',
+            activityType: 'Activity Type (status)',
+            customer: 'Customer',
+            workItem: 'Work Item',
+            hours: 'Hours',
+            comment: 'Comment'
+        };
 
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `customer-work-pairs-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        this.showNotification('Customer-work pairs exported successfully', 'success');
-    }
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1001;
+        `;
 
-    importCustomerWorkPairs(file) {
-        if (!file) return;
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; padding: 20px; border-radius: 8px; max-width: 700px; max-height: 90vh; overflow-y: auto;">
+                <div class="modal-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3>${existing ? 'Edit' : 'Add'} Board Profile</h3>
+                    <button class="close-edit-modal" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
+                </div>
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                let importedCount = 0;
+                <div class="modal-body">
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Profile Name</label>
+                            <input type="text" id="profileName" value="${profile.name}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Board ID</label>
+                            <input type="text" id="profileBoardId" value="${profile.boardId}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                        <div>
+                            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Fallback Group ID</label>
+                            <input type="text" id="profileFallbackGroup" value="${profile.fallbackGroupId}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                        </div>
+                    </div>
 
-                if (data.active && Array.isArray(data.active)) {
-                    data.active.forEach(pair => {
-                        if (pair.customer && pair.workItem) {
-                            this.addCustomerWorkPair(pair.customer, pair.workItem);
-                            importedCount++;
-                        }
-                    });
-                }
+                    <h4 style="margin-bottom: 10px;">Column IDs</h4>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+                        ${Object.entries(columnLabels).map(([field, label]) => `
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: 500;">${label}</label>
+                                <input type="text" class="profile-column" data-field="${field}" value="${profile.columns[field]}" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px;">
+                            </div>
+                        `).join('')}
+                    </div>
 
-                if (data.expired && Array.isArray(data.expired)) {
-                    data.expired.forEach(pair => {
-                        if (pair.customer && pair.workItem) {
-                            this.expiredPairs.add(`${pair.customer}|${pair.workItem}`);
-                        }
-                    });
-                    this.saveCustomerWorkPairs();
-                }
+                    <h4 style="margin-bottom: 10px;">Status Label Index per Activity Type</h4>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 10px;">
+                        ${Object.keys(profile.statusIndexMap).map(activityType => `
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-size: 12px;">${activityType} - ${this.getActivityTypeName(activityType)}</label>
+                                <input type="number" min="0" class="profile-status" data-activity="${activityType}" value="${profile.statusIndexMap[activityType]}" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;">
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
 
-                this.showNotification(`Imported ${importedCount} customer-work pairs`, 'success');
-                this.openCustomerWorkPairsModal();
-            } catch (error) {
-                this.showNotification('Failed to import file - invalid format', 'error');
-            }
+                <div class="modal-footer" style="margin-top: 20px; text-align: right; display: flex; gap: 10px; justify-content: flex-end;">
+                    <button id="cancelProfileEdit" class="btn-secondary">Cancel</button>
+                    <button id="saveProfileEdit" class="btn-primary">Save Profile</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeEditModal = () => {
+            modal.remove();
+            this.openBoardProfilesModal();
         };
-        reader.readAsText(file);
+
+        modal.querySelector('.close-edit-modal').addEventListener('click', closeEditModal);
+        modal.querySelector('#cancelProfileEdit').addEventListener('click', closeEditModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeEditModal();
+        });
+
+        modal.querySelector('#saveProfileEdit').addEventListener('click', () => {
+            const name = modal.querySelector('#profileName').value.trim();
+            const boardId = modal.querySelector('#profileBoardId').value.trim();
+
+            if (!name || !boardId) {
+                this.showNotification('Please enter both a profile name and a board ID', 'error');
+                return;
+            }
+
+            const columns = {};
+            modal.querySelectorAll('.profile-column').forEach(input => {
+                columns[input.getAttribute('data-field')] = input.value.trim();
+            });
+
+            if (Object.values(columns).some(columnId => !columnId)) {
+                this.showNotification('Please enter a column ID for every field', 'error');
+                return;
+            }
+
+            const statusInputs = Array.from(modal.querySelectorAll('.profile-status'));
+            const invalidStatus = statusInputs.find(input => !/^\d+$/.test(input.value.trim()));
+            if (invalidStatus) {
+                this.showNotification(`Please enter a whole number as the status index of activity type ${invalidStatus.getAttribute('data-activity')}`, 'error');
+                invalidStatus.focus();
+                return;
+            }
+
+            const statusIndexMap = {};
+            statusInputs.forEach(input => {
+                statusIndexMap[input.getAttribute('data-activity')] = parseInt(input.value.trim(), 10);
+            });
+
+            const saved = this.upsertBoardProfile({
+                id: profile.id,
+                name,
+                boardId,
+                fallbackGroupId: modal.querySelector('#profileFallbackGroup').value.trim(),
+                columns,
+                statusIndexMap
+            });
+            if (!saved) return;
+
+            this.showNotification(`Saved board profile: ${saved.name}`, 'success');
+            closeEditModal();
+        });
     }
 }
 
@@ -0,0 +1,109 @@
+// item-cache-store.js
+class ItemCacheStore {
+    constructor() {
+        this.dbName = 'claimWebAppCache';
+        this.storeName = 'itemSnapshots';
+        // Version 3 keys snapshots by year and query mode as well; older snapshots are dropped on upgrade
+        this.version = 3;
+        this.db = null;
+        this.logger = typeof window.diagnosticLogger !== 'undefined' ? window.diagnosticLogger : {
+            log: (msg, type = 'info') => console[type === 'error' ? 'error' : type === 'warn' ? 'warn' : 'log'](msg)
+        };
+    }
+
+    isSupported() {
+        return typeof window.indexedDB !== 'undefined';
+    }
+
+    buildKey(boardId, groupId, year, queryMode, userId) {
+        return `${boardId}|${groupId}|${year}|${queryMode}|${userId}`;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.isSupported()) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 3 && db.objectStoreNames.contains(this.storeName)) {
+                    db.deleteObjectStore(this.storeName);
+                }
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const store = transaction.objectStore(this.storeName);
+            const request = operation(store);
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Returns { key, items, lastSyncedAt } or null when nothing is stored
+    async getSnapshot(key) {
+        try {
+            const snapshot = await this.runTransaction('readonly', store => store.get(key));
+            return snapshot || null;
+        } catch (error) {
+            this.logger?.log(`Failed to read cached items: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    // All snapshots of one board and user, whatever their group
+    async getSnapshots(boardId, userId) {
+        try {
+            const snapshots = await this.runTransaction('readonly', store => store.getAll());
+            return (snapshots || []).filter(snapshot =>
+                snapshot.key.startsWith(`${boardId}|`) && snapshot.key.endsWith(`|${userId}`)
+            );
+        } catch (error) {
+            this.logger?.log(`Failed to read cached items: ${error.message}`, 'warn');
+            return [];
+        }
+    }
+
+    async putSnapshot(key, items, lastSyncedAt) {
+        try {
+            await this.runTransaction('readwrite', store => store.put({ key, items, lastSyncedAt }));
+            this.logger?.log(`💾 Persisted ${items.length} items (${key})`);
+        } catch (error) {
+            this.logger?.log(`Failed to persist cached items: ${error.message}`, 'warn');
+        }
+    }
+
+    async deleteSnapshot(key) {
+        try {
+            await this.runTransaction('readwrite', store => store.delete(key));
+        } catch (error) {
+            this.logger?.log(`Failed to delete cached items: ${error.message}`, 'warn');
+        }
+    }
+
+    async clear() {
+        try {
+            await this.runTransaction('readwrite', store => store.clear());
+            this.logger?.log('🧹 Persistent cache cleared');
+        } catch (error) {
+            this.logger?.log(`Failed to clear persistent cache: ${error.message}`, 'warn');
+        }
+    }
+}
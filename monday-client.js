@@ -1,10 +1,50 @@
+class MondayApiError extends Error {
+    constructor(message, type, { status = null, retryAfterMs = null, details = null } = {}) {
+        super(message);
+        this.name = 'MondayApiError';
+        this.type = type;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.details = details;
+    }
+
+    get isRetryable() {
+        return this.type === MondayApiError.TYPES.RATE_LIMIT || this.type === MondayApiError.TYPES.NETWORK;
+    }
+}
+
+MondayApiError.TYPES = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate_limit',
+    VALIDATION: 'validation',
+    NETWORK: 'network'
+};
+
 class MondayClient {
     constructor() {
         this.apiKey = null;
+        this.boardId = null;
         this.baseUrl = 'https://api.monday.com/v2';
         this.logger = typeof window.diagnosticLogger !== 'undefined' ? window.diagnosticLogger : {
             log: (msg, type = 'info') => console[type === 'error' ? 'error' : type === 'warn' ? 'warn' : 'log'](msg)
         };
+
+        // Retry policy for rate-limit, complexity and network failures (network failures of queries only)
+        this.retryOptions = {
+            maxRetries: 5,
+            baseDelayMs: 1000,
+            maxDelayMs: 60000
+        };
+
+        // Request budget tracker: complexity reported by the API and a shared pause after limits are hit
+        this.budget = {
+            complexityRemaining: null,
+            complexityResetAt: null,
+            pausedUntil: 0,
+            lowComplexityThreshold: 50000,
+            requestCount: 0,
+            retryCount: 0
+        };
     }
 
     setApiKey(apiKey) {
@@ -12,14 +52,119 @@ class MondayClient {
         this.logger?.log('API key set');
     }
 
-    async makeRequest(query, variables = {}) {
+    setBoardId(boardId) {
+        this.boardId = boardId ? String(boardId) : null;
+        this.logger?.log(`Board ID set: ${this.boardId}`);
+    }
+
+    getBudgetStatus() {
+        return {
+            complexityRemaining: this.budget.complexityRemaining,
+            complexityResetAt: this.budget.complexityResetAt,
+            pausedUntil: this.budget.pausedUntil,
+            requestCount: this.budget.requestCount,
+            retryCount: this.budget.retryCount
+        };
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Wait while the budget tracker knows the API would reject us
+    async waitForBudget() {
+        const waitMs = this.budget.pausedUntil - Date.now();
+        if (waitMs > 0) {
+            this.logger?.log(`⏳ Waiting ${(waitMs / 1000).toFixed(1)}s for Monday.com rate limit reset`, 'warn');
+            await this.sleep(waitMs);
+        }
+    }
+
+    pauseRequests(ms) {
+        this.budget.pausedUntil = Math.max(this.budget.pausedUntil, Date.now() + ms);
+    }
+
+    // Queries that select `complexity { after reset_in_x_seconds }` keep the tracker current
+    recordComplexity(complexity) {
+        if (!complexity || typeof complexity.after !== 'number') return;
+
+        this.budget.complexityRemaining = complexity.after;
+        if (typeof complexity.reset_in_x_seconds === 'number') {
+            this.budget.complexityResetAt = Date.now() + complexity.reset_in_x_seconds * 1000;
+        }
+
+        if (complexity.after < this.budget.lowComplexityThreshold && complexity.reset_in_x_seconds) {
+            this.logger?.log(`Complexity budget low (${complexity.after} left), pausing until reset`, 'warn');
+            this.pauseRequests(complexity.reset_in_x_seconds * 1000);
+        }
+    }
+
+    // Seconds to wait extracted from Monday.com error messages/extensions, in ms
+    parseRetryAfter(error) {
+        const extensions = error.extensions || {};
+        if (typeof extensions.retry_in_seconds === 'number') {
+            return extensions.retry_in_seconds * 1000;
+        }
+
+        const match = (error.message || '').match(/reset in (\d+) seconds?/i);
+        return match ? parseInt(match[1]) * 1000 : null;
+    }
+
+    classifyGraphQLErrors(errors) {
+        const rateLimitCodes = ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED', 'RATE_LIMIT_EXCEEDED', 'maxConcurrencyExceeded', 'IP_RATE_LIMIT_EXCEEDED'];
+        const authCodes = ['UserUnauthorizedException', 'USER_UNAUTHORIZED', 'Unauthorized', 'UNAUTHENTICATED'];
+        const message = `Monday.com API error: ${errors.map(error => error.message).join(', ')}`;
+
+        const rateLimitError = errors.find(error => {
+            const code = error.extensions?.code || '';
+            return rateLimitCodes.includes(code) || /complexity budget|rate limit/i.test(error.message || '');
+        });
+        if (rateLimitError) {
+            return new MondayApiError(message, MondayApiError.TYPES.RATE_LIMIT, {
+                retryAfterMs: this.parseRetryAfter(rateLimitError),
+                details: errors
+            });
+        }
+
+        const isAuthError = errors.some(error => authCodes.includes(error.extensions?.code || '') || /not authenticated|unauthorized/i.test(error.message || ''));
+        if (isAuthError) {
+            return new MondayApiError(message, MondayApiError.TYPES.AUTH, { details: errors });
+        }
+
+        return new MondayApiError(message, MondayApiError.TYPES.VALIDATION, { details: errors });
+    }
+
+    async classifyHttpError(response) {
+        const errorText = await response.text();
+        const message = `HTTP error! status: ${response.status}, response: ${errorText}`;
+        const retryAfterHeader = response.headers?.get ? response.headers.get('retry-after') : null;
+        const retryAfterMs = retryAfterHeader && !isNaN(parseInt(retryAfterHeader)) ? parseInt(retryAfterHeader) * 1000 : null;
+
+        if (response.status === 401 || response.status === 403) {
+            return new MondayApiError(message, MondayApiError.TYPES.AUTH, { status: response.status });
+        }
+        if (response.status === 429) {
+            return new MondayApiError(message, MondayApiError.TYPES.RATE_LIMIT, { status: response.status, retryAfterMs });
+        }
+        if (response.status >= 500) {
+            return new MondayApiError(message, MondayApiError.TYPES.NETWORK, { status: response.status, retryAfterMs });
+        }
+        return new MondayApiError(message, MondayApiError.TYPES.VALIDATION, { status: response.status });
+    }
+
+    // Send a GraphQL request and return the raw result ({ data, errors }); throws MondayApiError on HTTP/network failures
+    async executeRequest(query, variables = {}) {
         if (!this.apiKey) {
             this.logger?.log('API key not set', 'error');
-            throw new Error('API key not set');
+            throw new MondayApiError('API key not set', MondayApiError.TYPES.AUTH);
         }
 
+        await this.waitForBudget();
+        this.budget.requestCount++;
+
+        let response;
         try {
-            const response = await fetch(this.baseUrl, {
+            response = await fetch(this.baseUrl, {
                 method: 'POST',
                 headers: {
                     'Authorization': this.apiKey,
@@ -31,19 +176,83 @@ class MondayClient {
                     variables
                 })
             });
+        } catch (error) {
+            throw new MondayApiError(`Network error: ${error.message}`, MondayApiError.TYPES.NETWORK);
+        }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP error! status: ${response.status}, response: ${errorText}`);
-            }
+        if (!response.ok) {
+            throw await this.classifyHttpError(response);
+        }
+
+        const result = await response.json();
+
+        // Older API errors come as top-level error_code/error_message instead of an errors array
+        if (!result.errors && (result.error_code || result.error_message)) {
+            result.errors = [{
+                message: result.error_message || result.error_code,
+                extensions: { code: result.error_code }
+            }];
+        }
+
+        this.recordComplexity(result.data?.complexity);
+        return result;
+    }
+
+    getRetryDelay(error, attempt) {
+        if (error.retryAfterMs) {
+            return Math.min(error.retryAfterMs, this.retryOptions.maxDelayMs);
+        }
+        const exponential = this.retryOptions.baseDelayMs * Math.pow(2, attempt);
+        const jitter = Math.random() * this.retryOptions.baseDelayMs;
+        return Math.min(exponential + jitter, this.retryOptions.maxDelayMs);
+    }
 
-            const result = await response.json();
+    // executeRequest with retries for rate-limit/network failures. With allowPartialErrors the raw
+    // result is returned when the API processed the request (per-field errors are left to the caller).
+    // Mutations are only retried when rate-limited: after a network failure or 5xx the server may
+    // already have applied them, and sending them again would e.g. create the items twice.
+    async executeWithRetry(query, variables = {}, allowPartialErrors = false) {
+        const isMutation = /^\s*mutation\b/.test(query);
 
-            if (result.errors && result.errors.length > 0) {
-                const errorMessages = result.errors.map(error => error.message).join(', ');
-                throw new Error(`Monday.com API error: ${errorMessages}`);
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await this.executeRequest(query, variables);
+
+                if (result.errors && result.errors.length > 0) {
+                    const error = this.classifyGraphQLErrors(result.errors);
+                    const hasData = result.data && Object.values(result.data).some(value => value !== null);
+
+                    // Errors that rejected the whole request are retried even for partial-error callers
+                    if (!allowPartialErrors || error.isRetryable && !hasData) {
+                        throw error;
+                    }
+                }
+
+                return result;
+            } catch (error) {
+                if (!(error instanceof MondayApiError) || !error.isRetryable || attempt >= this.retryOptions.maxRetries) {
+                    throw error;
+                }
+                if (isMutation && error.type !== MondayApiError.TYPES.RATE_LIMIT) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (error.type === MondayApiError.TYPES.RATE_LIMIT) {
+                    // Every request shares the budget, so pause them all
+                    this.pauseRequests(delay);
+                }
+
+                this.budget.retryCount++;
+                this.logger?.log(`🔁 ${error.type} error, retry ${attempt + 1}/${this.retryOptions.maxRetries} in ${(delay / 1000).toFixed(1)}s: ${error.message}`, 'warn');
+                await this.sleep(delay);
             }
+        }
+    }
 
+    async makeRequest(query, variables = {}) {
+        try {
+            const result = await this.executeWithRetry(query, variables);
             return result.data;
         } catch (error) {
             this.logger?.log(`Monday.com API request failed: ${error.message}`, 'error');
@@ -73,6 +282,55 @@ class MondayClient {
         }
     }
 
+    // Account members, for picking whose timesheets to view
+    async getUsers() {
+        this.logger?.log('Getting account users...');
+        const query = `
+            query GetUsers {
+                users(kind: non_guests) {
+                    id
+                    name
+                    email
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeRequest(query);
+            this.logger?.log(`✅ Loaded ${data.users?.length || 0} users`);
+            return data.users || [];
+        } catch (error) {
+            this.logger?.log(`❌ Failed to get users: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    async getTeams() {
+        this.logger?.log('Getting teams...');
+        const query = `
+            query GetTeams {
+                teams {
+                    id
+                    name
+                    users {
+                        id
+                        name
+                        email
+                    }
+                }
+            }
+        `;
+
+        try {
+            const data = await this.makeRequest(query);
+            this.logger?.log(`✅ Loaded ${data.teams?.length || 0} teams`);
+            return data.teams || [];
+        } catch (error) {
+            this.logger?.log(`❌ Failed to get teams: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
     async getBoardWithGroups(boardId) {
         this.logger?.log(`Getting board with groups: ${boardId}`);
         const query = `
@@ -118,6 +376,10 @@ class MondayClient {
         while (true) {
             const query = cursor ? `
                 query GetItemsPage($boardId: ID!, $groupId: String!, $cursor: String!) {
+                    complexity {
+                        after
+                        reset_in_x_seconds
+                    }
                     boards(ids: [$boardId]) {
                         groups(ids: [$groupId]) {
                             items_page(limit: ${pageSize}, cursor: $cursor) {
@@ -137,6 +399,10 @@ class MondayClient {
                 }
             ` : `
                 query GetItemsPage($boardId: ID!, $groupId: String!) {
+                    complexity {
+                        after
+                        reset_in_x_seconds
+                    }
                     boards(ids: [$boardId]) {
                         groups(ids: [$groupId]) {
                             items_page(limit: ${pageSize}) {
@@ -214,6 +480,205 @@ class MondayClient {
         return allItems;
     }
 
+    // Every item of a board, whatever its group, with only the given columns (used for the project catalog)
+    async getBoardItems(boardId, columnIds) {
+        this.logger?.log(`Querying all items of board: ${boardId}`);
+
+        const pageSize = 500;
+        const maxPages = 20;
+        const itemFields = `
+            cursor
+            items {
+                id
+                name
+                column_values(ids: $columnIds) {
+                    id
+                    type
+                    value
+                    text
+                }
+            }
+        `;
+
+        let allItems = [];
+        let cursor = null;
+        let page = 1;
+
+        while (true) {
+            const query = cursor ? `
+                query GetNextBoardItems($cursor: String!, $columnIds: [String!]) {
+                    next_items_page(limit: ${pageSize}, cursor: $cursor) {
+                        ${itemFields}
+                    }
+                }
+            ` : `
+                query GetBoardItems($boardId: ID!, $columnIds: [String!]) {
+                    boards(ids: [$boardId]) {
+                        items_page(limit: ${pageSize}) {
+                            ${itemFields}
+                        }
+                    }
+                }
+            `;
+
+            const variables = cursor ? { cursor, columnIds } : { boardId, columnIds };
+
+            try {
+                const data = await this.makeRequest(query, variables);
+                const itemsPage = cursor ? data.next_items_page : data.boards?.[0]?.items_page;
+                if (!itemsPage) break;
+
+                const pageItems = itemsPage.items || [];
+                allItems = allItems.concat(pageItems);
+                this.logger?.log(`Board page ${page}: ${pageItems.length} items (Total: ${allItems.length})`);
+
+                if (!itemsPage.cursor || pageItems.length < pageSize) break;
+
+                cursor = itemsPage.cursor;
+                page++;
+
+                if (page > maxPages) {
+                    this.logger?.log(`Reached safety limit of ${maxPages} pages (${maxPages * pageSize} items)`, 'warn');
+                    break;
+                }
+            } catch (error) {
+                this.logger?.log(`❌ Failed to query board items: ${error.message}`, 'error');
+                throw error;
+            }
+        }
+
+        this.logger?.log(`✅ Board query completed: ${allItems.length} items`);
+        return allItems;
+    }
+
+    // Build items_page query_params restricting items to one person within a date range
+    buildPersonDateQueryParams({ personColumnId, personId, dateColumnId, startDate, endDate }) {
+        return {
+            rules: [
+                {
+                    column_id: personColumnId,
+                    compare_value: [`person-${personId}`],
+                    operator: 'any_of'
+                },
+                {
+                    column_id: dateColumnId,
+                    compare_value: [startDate, endDate],
+                    operator: 'between'
+                }
+            ],
+            operator: 'and'
+        };
+    }
+
+    // Server-side filtered query: only fetches the items matching the person/date rules
+    async queryItemsFiltered(boardId, groupId, filter, onProgress = null) {
+        this.logger?.log(`Querying filtered items: ${groupId} (person ${filter.personId}, ${filter.startDate} to ${filter.endDate})`);
+
+        const pageSize = 500;
+        const maxPages = 20;
+        const queryParams = this.buildPersonDateQueryParams(filter);
+
+        let allItems = [];
+        let cursor = null;
+        let page = 1;
+
+        while (true) {
+            // The cursor carries the filter, so later pages use next_items_page
+            const query = cursor ? `
+                query GetNextFilteredPage($cursor: String!) {
+                    complexity {
+                        after
+                        reset_in_x_seconds
+                    }
+                    next_items_page(limit: ${pageSize}, cursor: $cursor) {
+                        cursor
+                        items {
+                            id
+                            name
+                            column_values {
+                                id
+                                value
+                                text
+                            }
+                        }
+                    }
+                }
+            ` : `
+                query GetFilteredItems($boardId: ID!, $groupId: String!, $queryParams: ItemsQuery!) {
+                    complexity {
+                        after
+                        reset_in_x_seconds
+                    }
+                    boards(ids: [$boardId]) {
+                        groups(ids: [$groupId]) {
+                            items_page(limit: ${pageSize}, query_params: $queryParams) {
+                                cursor
+                                items {
+                                    id
+                                    name
+                                    column_values {
+                                        id
+                                        value
+                                        text
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            `;
+
+            const variables = cursor ?
+                { cursor } :
+                { boardId, groupId: String(groupId), queryParams };
+
+            try {
+                const data = await this.makeRequest(query, variables);
+
+                let itemsPage = null;
+                if (cursor) {
+                    itemsPage = data.next_items_page;
+                } else if (data.boards && data.boards.length > 0 &&
+                    data.boards[0].groups && data.boards[0].groups.length > 0) {
+                    itemsPage = data.boards[0].groups[0].items_page;
+                }
+
+                if (!itemsPage) {
+                    break;
+                }
+
+                const pageItems = itemsPage.items || [];
+                allItems = allItems.concat(pageItems);
+
+                this.logger?.log(`Filtered page ${page}: ${pageItems.length} items (Total: ${allItems.length})`);
+
+                if (onProgress && typeof onProgress === 'function') {
+                    Promise.resolve().then(() => {
+                        onProgress(allItems.length, pageItems.length, page);
+                    });
+                }
+
+                if (!itemsPage.cursor || pageItems.length < pageSize) {
+                    break;
+                }
+
+                cursor = itemsPage.cursor;
+                page++;
+
+                if (page > maxPages) {
+                    this.logger?.log(`Reached safety limit of ${maxPages} pages (${maxPages * pageSize} items)`, 'warn');
+                    break;
+                }
+            } catch (error) {
+                this.logger?.log(`Error in filtered query page ${page}: ${error.message}`, 'error');
+                throw error;
+            }
+        }
+
+        this.logger?.log(`✅ Filtered query completed: ${allItems.length} total items`);
+        return allItems;
+    }
+
     // Alternative method: Try to get all items in one request if possible
     async queryAllItemsDirect(boardId, groupId, onProgress = null) {
         this.logger?.log(`Attempting direct query for all items in group: ${groupId}`);
@@ -265,6 +730,71 @@ class MondayClient {
         }
     }
 
+    // Activity log entries for the board since the given ISO timestamp (used for delta sync)
+    async getActivityLogs(boardId, fromIso) {
+        this.logger?.log(`Getting activity logs since ${fromIso}`);
+        const pageSize = 1000;
+        const maxPages = 10;
+        const query = `
+            query GetActivityLogs($boardId: ID!, $from: ISO8601DateTime!, $page: Int!) {
+                boards(ids: [$boardId]) {
+                    activity_logs(from: $from, limit: ${pageSize}, page: $page) {
+                        id
+                        event
+                        data
+                        created_at
+                    }
+                }
+            }
+        `;
+
+        let allLogs = [];
+        for (let page = 1; page <= maxPages; page++) {
+            const data = await this.makeRequest(query, { boardId, from: fromIso, page });
+            const logs = data.boards?.[0]?.activity_logs || [];
+            allLogs = allLogs.concat(logs);
+
+            if (logs.length < pageSize) {
+                break;
+            }
+        }
+
+        this.logger?.log(`✅ Activity logs loaded: ${allLogs.length} events`);
+        return allLogs;
+    }
+
+    // Fetch specific items by ID; deleted items are simply absent from the result
+    async getItemsByIds(itemIds) {
+        this.logger?.log(`Getting ${itemIds.length} items by ID`);
+        const chunkSize = 100;
+        const query = `
+            query GetItemsByIds($itemIds: [ID!]) {
+                items(ids: $itemIds, limit: ${chunkSize}) {
+                    id
+                    name
+                    state
+                    group {
+                        id
+                    }
+                    column_values {
+                        id
+                        value
+                        text
+                    }
+                }
+            }
+        `;
+
+        let allItems = [];
+        for (let i = 0; i < itemIds.length; i += chunkSize) {
+            const chunk = itemIds.slice(i, i + chunkSize);
+            const data = await this.makeRequest(query, { itemIds: chunk });
+            allItems = allItems.concat(data.items || []);
+        }
+
+        return allItems;
+    }
+
     async createItem(boardId, groupId, itemName, columnValues) {
         this.logger?.log(`Creating item: ${itemName}`);
         const query = `
@@ -297,8 +827,13 @@ class MondayClient {
         }
     }
 
-    async updateItem(itemId, columnValues, boardId = '6500270039') {
+    async updateItem(itemId, columnValues, boardId = this.boardId) {
         this.logger?.log(`Updating item: ${itemId}`);
+        if (!boardId) {
+            this.logger?.log('Board ID not set', 'error');
+            throw new Error('Board ID not set');
+        }
+
         const query = `
             mutation UpdateItem($itemId: ID!, $boardId: ID!, $columnValues: JSON!) {
                 change_multiple_column_values(
@@ -351,6 +886,139 @@ class MondayClient {
         }
     }
 
+    async moveItemToGroup(itemId, groupId) {
+        this.logger?.log(`Moving item ${itemId} to group ${groupId}`);
+        const query = `
+            mutation MoveItemToGroup($itemId: ID!, $groupId: String!) {
+                move_item_to_group(item_id: $itemId, group_id: $groupId) {
+                    id
+                }
+            }
+        `;
+
+        const variables = {
+            itemId,
+            groupId: String(groupId)
+        };
+
+        try {
+            const data = await this.makeRequest(query, variables);
+            this.logger?.log(`✅ Item moved successfully: ${itemId}`);
+            return data.move_item_to_group;
+        } catch (error) {
+            this.logger?.log(`❌ Failed to move item: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    // Build the aliased mutation field and variable definitions for one batch operation
+    buildBatchOperation(operation, index) {
+        const alias = `op${index}`;
+
+        switch (operation.type) {
+            case 'create':
+                return {
+                    alias,
+                    definitions: [`$boardId${index}: ID!`, `$groupId${index}: String!`, `$itemName${index}: String!`, `$columnValues${index}: JSON!`],
+                    field: `${alias}: create_item(board_id: $boardId${index}, group_id: $groupId${index}, item_name: $itemName${index}, column_values: $columnValues${index}) { id }`,
+                    variables: {
+                        [`boardId${index}`]: operation.boardId,
+                        [`groupId${index}`]: String(operation.groupId),
+                        [`itemName${index}`]: operation.itemName,
+                        [`columnValues${index}`]: operation.columnValues
+                    }
+                };
+            case 'update':
+                return {
+                    alias,
+                    definitions: [`$itemId${index}: ID!`, `$boardId${index}: ID!`, `$columnValues${index}: JSON!`],
+                    field: `${alias}: change_multiple_column_values(item_id: $itemId${index}, board_id: $boardId${index}, column_values: $columnValues${index}) { id }`,
+                    variables: {
+                        [`itemId${index}`]: operation.itemId,
+                        [`boardId${index}`]: operation.boardId || this.boardId,
+                        [`columnValues${index}`]: operation.columnValues
+                    }
+                };
+            case 'delete':
+                return {
+                    alias,
+                    definitions: [`$itemId${index}: ID!`],
+                    field: `${alias}: delete_item(item_id: $itemId${index}) { id }`,
+                    variables: {
+                        [`itemId${index}`]: operation.itemId
+                    }
+                };
+            default:
+                throw new Error(`Unknown batch operation type: ${operation.type}`);
+        }
+    }
+
+    // Run create/update/delete operations as aliased mutations, several per request.
+    // Resolves to one { index, success, id, error, errorType } result per operation, in input order.
+    async batchMutate(operations, chunkSize = 25) {
+        this.logger?.log(`Running ${operations.length} batched mutations (${chunkSize} per request)`);
+        const results = [];
+
+        for (let start = 0; start < operations.length; start += chunkSize) {
+            const chunk = operations.slice(start, start + chunkSize);
+            const built = chunk.map((operation, offset) => this.buildBatchOperation(operation, start + offset));
+
+            const query = `
+                mutation BatchMutation(${built.flatMap(op => op.definitions).join(', ')}) {
+                    ${built.map(op => op.field).join('\n                    ')}
+                }
+            `;
+            const variables = Object.assign({}, ...built.map(op => op.variables));
+
+            try {
+                const result = await this.executeWithRetry(query, variables, true);
+                const data = result.data || {};
+                const errors = result.errors || [];
+
+                built.forEach((op, offset) => {
+                    const opErrors = errors.filter(error => Array.isArray(error.path) && error.path[0] === op.alias);
+                    // Errors without a path (e.g. complexity) fail every operation that returned no data
+                    const generalErrors = errors.filter(error => !Array.isArray(error.path) || error.path.length === 0);
+                    const value = data[op.alias];
+
+                    if (value && opErrors.length === 0) {
+                        results.push({ index: start + offset, success: true, id: value.id, error: null, errorType: null });
+                    } else {
+                        const messages = (opErrors.length > 0 ? opErrors : generalErrors).map(error => error.message);
+                        results.push({
+                            index: start + offset,
+                            success: false,
+                            id: null,
+                            error: messages.join(', ') || 'No result returned',
+                            errorType: MondayApiError.TYPES.VALIDATION
+                        });
+                    }
+                });
+            } catch (error) {
+                this.logger?.log(`Batch request failed: ${error.message}`, 'error');
+                built.forEach((op, offset) => {
+                    results.push({ index: start + offset, success: false, id: null, error: error.message, errorType: error.type || null });
+                });
+            }
+        }
+
+        const failed = results.filter(result => !result.success).length;
+        this.logger?.log(`${failed > 0 ? '⚠️' : '✅'} Batched mutations completed: ${results.length - failed} succeeded, ${failed} failed`);
+        return results;
+    }
+
+    async createItemsBatch(items) {
+        return this.batchMutate(items.map(item => ({ type: 'create', ...item })));
+    }
+
+    async updateItemsBatch(updates) {
+        return this.batchMutate(updates.map(update => ({ type: 'update', ...update })));
+    }
+
+    async deleteItemsBatch(itemIds) {
+        return this.batchMutate(itemIds.map(itemId => ({ type: 'delete', itemId })));
+    }
+
     async testConnection() {
         this.logger?.log('Testing Monday.com connection...');
         try {
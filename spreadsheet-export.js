@@ -0,0 +1,240 @@
+// spreadsheet-export.js
+// Builds CSV and XLSX files in the browser from a header row and data rows, and reads CSV back
+class SpreadsheetExporter {
+    constructor() {
+        this.crcTable = null;
+    }
+
+    toCsv(rows) {
+        const escapeCell = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        // Excel needs the byte order mark to read UTF-8
+        return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+    }
+
+    // The reverse of toCsv: quoted cells, doubled quotes, comma or semicolon separated. Returns the non-blank
+    // rows as { lineNumber, cells }, lineNumber being the file line the row starts on
+    parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push({ lineNumber: rowLine, cells: row });
+                row = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push({ lineNumber: rowLine, cells: row });
+        }
+
+        return rows.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+    }
+
+    toCsvBlob(rows) {
+        return new Blob([this.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+    }
+
+    // Minimal single-sheet workbook; numbers stay numeric, everything else is an inline string
+    toXlsxBlob(rows, sheetName = 'Sheet1') {
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${this.escapeXml(sheetName.substring(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: this.buildSheetXml(rows)
+            }
+        ];
+
+        return new Blob([this.buildZip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    buildSheetXml(rows) {
+        const sheetRows = rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${this.columnName(columnIndex)}${rowIndex + 1}`;
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                const text = value === null || value === undefined ? '' : String(value);
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(text)}</t></is></c>`;
+            });
+            return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${sheetRows.join('')}</sheetData>` +
+            '</worksheet>';
+    }
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    }
+
+    escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+    }
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // ZIP archive with stored (uncompressed) entries, which every XLSX reader accepts
+    buildZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // local file header signature
+            local.setUint16(4, 20, true); // version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, 0, true); // time
+            local.setUint16(12, 0x21, true); // date: 1980-01-01
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // central directory signature
+            central.setUint16(4, 20, true); // version made by
+            central.setUint16(6, 20, true); // version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, 0, true);
+            central.setUint16(14, 0x21, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true); // local header offset
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+}